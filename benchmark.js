@@ -0,0 +1,82 @@
+import { performance } from 'node:perf_hooks';
+import { deepStrictEqual as eq } from 'node:assert/strict';
+import { rasterize } from './src/rasterize.js';
+import { RASTER_STRATEGIES, SHAPE_KINDS } from './src/validate-args.js';
+
+/**
+ * @typedef {import('./src/types.js').Background} Background
+ * @typedef {import('./src/types.js').Color} Color
+ * @typedef {import('./src/types.js').Shape} Shape
+ */
+
+// Times `rasterize()` with each strategy, on a few scenes which are like the
+// batch jobs: large canvases, and many small shapes or a few large ones.
+// Usage: `npm run benchmark`, or `node benchmark.js 5` for 5 runs per timing.
+
+const runs = Number(process.argv[2] || 3);
+
+/** A small seeded random number generator, so every run draws the same scenes. */
+let seed = 1;
+const random = () => {
+    seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+    return seed / 2 ** 32;
+};
+
+/** @type {() => Color} */
+const randomColor = () => ({
+    red: Math.floor(random() * 256),
+    green: Math.floor(random() * 256),
+    blue: Math.floor(random() * 256),
+});
+
+/** @type {Background} */
+const background = { ink: randomColor(), paper: randomColor(), pattern: 'breton' };
+
+/**
+ * @param {number} count How many shapes
+ * @param {number} maxSize The largest size, in world units
+ * @param {number} spread How far from the centre shapes can be, in world units
+ * @returns {Shape[]}
+ */
+const getShapes = (count, maxSize, spread) => Array.from({ length: count }, () => ({
+    kind: SHAPE_KINDS[Math.floor(random() * SHAPE_KINDS.length)],
+    size: 1 + Math.floor(random() * maxSize),
+    position: {
+        x: Math.round((random() * 2 - 1) * spread),
+        y: Math.round((random() * 2 - 1) * spread),
+    },
+    ink: randomColor(),
+    paper: randomColor(),
+    pattern: random() < 0.5 ? 'breton' : 'pinstripe',
+    strokeColor: randomColor(),
+    strokePosition: 'center',
+    strokeWidth: Math.floor(random() * 4),
+}));
+
+const scenes = [
+    { name: 'avatar, 256x256, 3 shapes', width: 256, height: 256, shapes: getShapes(3, 2, 3) },
+    { name: '1024x1024, 5 large shapes', width: 1024, height: 1024, shapes: getShapes(5, 5, 3) },
+    { name: '1024x1024, 200 small shapes', width: 1024, height: 1024, shapes: getShapes(200, 1, 5) },
+    { name: '2048x2048, 200 small shapes', width: 2048, height: 2048, shapes: getShapes(200, 1, 5) },
+];
+
+for (const { name, width, height, shapes } of scenes) {
+    /** @type {Record<string, Uint8ClampedArray>} */
+    const results = {};
+    const timings = RASTER_STRATEGIES.map((strategy) => {
+        // The first render warms up the JIT, and is not timed.
+        rasterize(width, height, background, shapes, { strategy });
+        const times = [];
+        for (let run = 0; run < runs; run++) {
+            const start = performance.now();
+            results[strategy] = rasterize(width, height, background, shapes, { strategy });
+            times.push(performance.now() - start);
+        }
+        times.sort((a, b) => a - b);
+        return `${strategy} ${times[Math.floor(times.length / 2)].toFixed(1)}ms`;
+    });
+
+    // Both strategies must draw exactly the same pixels.
+    eq(results['shape-first'], results['pixel-first']);
+    console.log(`${name}: ${timings.join(', ')} (median of ${runs})`);
+}
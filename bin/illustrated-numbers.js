@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+import { runCli } from '../src/cli.js';
+
+// Usage: `illustrated-numbers render 12345`, or `illustrated-numbers --help`.
+
+process.exitCode = await runCli(process.argv.slice(2), {
+    stdin: process.stdin,
+    stdout: process.stdout,
+    stderr: process.stderr,
+    env: process.env,
+});
@@ -0,0 +1,241 @@
+import { parseArgs } from 'node:util';
+import { formatColor } from './color.js';
+import { detectColorDepth } from './detect-color-depth.js';
+import { encodeIntegerToScene } from './encode-integer.js';
+import { integerToName, nameToInteger } from './name-codec.js';
+import { renderAnsi } from './render-ansi.js';
+import { validateEncodeOptions } from './validate-args.js';
+
+/**
+ * @typedef {import('./types.js').CellMode} CellMode
+ * @typedef {import('./types.js').Color} Color
+ * @typedef {import('./types.js').ColorDepth} ColorDepth
+ * @typedef {import('./types.js').EncodeOptions} EncodeOptions
+ * @typedef {import('./types.js').Scene} Scene
+ */
+
+/**
+ * Where the command line tool reads input and writes output. Tests pass their
+ * own streams, and the `illustrated-numbers` command passes the process's.
+ * @typedef {{
+ *    stdin: AsyncIterable<string|Uint8Array> & { isTTY?: boolean },
+ *    stdout: { write: (text: string) => unknown },
+ *    stderr: { write: (text: string) => unknown },
+ *    env?: Record<string, string|undefined>,
+ * }} CliIo
+ */
+
+/** The exit code when every input was handled */
+export const EXIT_OK = 0;
+
+/** The exit code when at least one input could not be handled */
+export const EXIT_FAILURE = 1;
+
+/** The exit code when the command line itself is wrong */
+export const EXIT_USAGE = 2;
+
+const USAGE = `Usage: illustrated-numbers <command> [options] [inputs...]
+
+Commands:
+  render <n...>     Draw each integer as ANSI art
+  name <n...>       Print each integer's canonical name
+  decode <name...>  Print the integer that each name names
+  scene <n...>      Print each integer's background and shapes
+
+If no inputs are given, they are read from stdin, one per line. Put '--'
+before negative inputs, so they are not read as options.
+
+Encoding options, which must be the same to decode:
+  --min <n>         The lowest integer in the range (default 0)
+  --max <n>         The highest integer in the range (default 4294967295)
+  --checksum        Add a check digit
+  --key <key>       Scramble integers with a secret key
+  --alphabet <a>    'classic' (default) or 'extended'
+  --palette <p>     'colorblind-safe' (default) or 'classic'
+
+Render options:
+  --width <px>      The width of the canvas in pixels (default 64)
+  --height <px>     The height of the canvas in pixels (default 48)
+  --depth <d>       'auto' (default), 'truecolor', '256', '16' or 'monochrome'
+  --cells <c>       'half' (default), 'quadrant' or 'braille'
+
+Other options:
+  --json            Print name, decode and scene results as JSON
+  -h, --help        Print this help
+
+Exit codes: 0 on success, 1 if any input failed, 2 for a usage error.
+`;
+
+const COMMANDS = ['render', 'name', 'decode', 'scene'];
+
+/** @type {import('node:util').ParseArgsConfig['options']} */
+const OPTIONS = {
+    min: { type: 'string' },
+    max: { type: 'string' },
+    checksum: { type: 'boolean' },
+    key: { type: 'string' },
+    alphabet: { type: 'string' },
+    palette: { type: 'string' },
+    width: { type: 'string' },
+    height: { type: 'string' },
+    depth: { type: 'string' },
+    cells: { type: 'string' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+/** #### Parses a decimal integer from the command line
+ * @param {string} text The text to parse
+ * @param {string} name What the integer is (for error messages)
+ * @returns {number} The integer
+ */
+const parseInteger = (text, name) => {
+    const trimmed = text.trim();
+    if (!/^-?\d+$/.test(trimmed)) throw RangeError(
+        `${name} '${text}' is not an integer`);
+    const n = Number(trimmed);
+    if (!Number.isSafeInteger(n)) throw RangeError(
+        `${name} '${text}' is not a safe integer`);
+    return n;
+}
+
+/** #### Describes a scene in a few lines of plain text
+ * @param {Scene} scene The scene to describe
+ * @returns {string} One line for the background, and one for each shape
+ */
+const describeScene = ({ background, shapes }) => [
+    `background: ${background.pattern}, ink ${formatColor(background.ink)}, paper ${formatColor(background.paper)}`,
+    ...shapes.map((shape, i) => [
+        `shapes[${i}]: ${shape.kind} of size ${shape.size} at ${shape.position.x},${shape.position.y}`,
+        `${shape.pattern}, ink ${formatColor(shape.ink)}, paper ${formatColor(shape.paper)}`,
+        `${shape.strokePosition} stroke ${formatColor(shape.strokeColor)}`,
+    ].join(', ')),
+].join('\n');
+
+/** #### Reads the lines of a stream, skipping blank lines
+ * @param {CliIo['stdin']} stdin The stream to read
+ * @returns {Promise<string[]>} The lines, without their line endings
+ */
+const readLines = async (stdin) => {
+    const decoder = new TextDecoder();
+    let text = '';
+    for await (const chunk of stdin) {
+        text += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    }
+    text += decoder.decode();
+    return text.split(/\r?\n/).filter((line) => line.trim() !== '');
+}
+
+/** #### Runs the `illustrated-numbers` command line tool
+ * Each input is handled on its own, so one bad input in a batch does not stop
+ * the rest. Errors are written to stderr, prefixed with the input.
+ * @param {string[]} args The command line arguments, eg `['name', '12345']`
+ * @param {CliIo} io Where to read input and write output
+ * @returns {Promise<number>} The exit code, one of EXIT_OK, EXIT_FAILURE or EXIT_USAGE
+ */
+export const runCli = async (args, io) => {
+    const { stdin, stdout, stderr, env = {} } = io;
+
+    /** @type {(message: string) => number} */
+    const usageError = (message) => {
+        stderr.write(`illustrated-numbers: ${message}\n`);
+        stderr.write(`Run 'illustrated-numbers --help' for usage.\n`);
+        return EXIT_USAGE;
+    };
+
+    // Parse the command line.
+    /** @type {ReturnType<typeof parseArgs>} */
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true, strict: true });
+    } catch (error) {
+        return usageError(/** @type {Error} */ (error).message);
+    }
+    const { values, positionals } = parsed;
+    const [command, ...inputs] = positionals;
+    if (values.help) {
+        stdout.write(USAGE);
+        return EXIT_OK;
+    }
+    if (typeof command === 'undefined') {
+        stderr.write(USAGE);
+        return EXIT_USAGE;
+    }
+
+    // Check the command and its options, before reading any input.
+    if (COMMANDS.indexOf(command) === -1) return usageError(
+        `unknown command '${command}', expected one of ${COMMANDS.join(', ')}`);
+    const renderOnly = ['width', 'height', 'depth', 'cells'].filter((name) => name in values);
+    if (command !== 'render' && renderOnly.length) return usageError(
+        `--${renderOnly[0]} can only be used with 'render'`);
+    if (command === 'render' && values.json) return usageError(
+        `--json can not be used with 'render'`);
+
+    /** @type {EncodeOptions} */
+    const options = {};
+    /** @type {{ width: number, height: number }} */
+    const canvas = { width: 64, height: 48 };
+    try {
+        if (typeof values.min === 'string') options.min = parseInteger(values.min, '--min');
+        if (typeof values.max === 'string') options.max = parseInteger(values.max, '--max');
+        if (values.checksum) options.checksum = true;
+        if (typeof values.key === 'string') options.key = values.key;
+        if (typeof values.alphabet === 'string') options.alphabet = /** @type {any} */ (values.alphabet);
+        if (typeof values.palette === 'string') options.palette = /** @type {any} */ (values.palette);
+        if (typeof values.width === 'string') canvas.width = parseInteger(values.width, '--width');
+        if (typeof values.height === 'string') canvas.height = parseInteger(values.height, '--height');
+        validateEncodeOptions(options, '', '--');
+    } catch (error) {
+        return usageError(/** @type {Error} */ (error).message.trim());
+    }
+    const depth = /** @type {ColorDepth} */ (values.depth || 'auto');
+    const cells = /** @type {CellMode} */ (values.cells || 'half');
+    if (command === 'render') {
+        // Find any problems with the canvas size, depth or cells by drawing
+        // an empty scene, so they are reported once, not for every input.
+        try {
+            const { background } = encodeIntegerToScene(options.min || 0, options);
+            renderAnsi(canvas.width, canvas.height, background, [], depth, cells);
+        } catch (error) {
+            return usageError(/** @type {Error} */ (error).message.replace(/^renderAnsi\(\) /, ''));
+        }
+    }
+
+    // Read the inputs from stdin if there are none on the command line.
+    if (inputs.length === 0) {
+        if (stdin.isTTY) return usageError(
+            `'${command}' needs at least one input, on the command line or stdin`);
+        inputs.push(...await readLines(stdin));
+    }
+
+    // Handle each input, carrying on after any errors.
+    let exitCode = EXIT_OK;
+    inputs.forEach((input, i) => {
+        try {
+            if (command === 'decode') {
+                const n = nameToInteger(input, options);
+                stdout.write(`${values.json ? JSON.stringify({ name: input.trim(), n }) : n}\n`);
+                return;
+            }
+            const n = parseInteger(input, 'input');
+            if (command === 'name') {
+                const name = integerToName(n, options);
+                stdout.write(`${values.json ? JSON.stringify({ n, name }) : name}\n`);
+            } else if (command === 'scene') {
+                const scene = encodeIntegerToScene(n, options);
+                stdout.write(`${values.json ? JSON.stringify({ n, ...scene }) : describeScene(scene)}\n`);
+            } else {
+                // Detect the color depth from the environment passed in, not
+                // the process's, so that tests are repeatable.
+                const { background, shapes } = encodeIntegerToScene(n, options);
+                if (i > 0) stdout.write('\n');
+                stdout.write(`${renderAnsi(canvas.width, canvas.height, background, shapes,
+                    depth === 'auto' ? detectColorDepth(env) : depth, cells)}\n`);
+            }
+        } catch (error) {
+            stderr.write(`illustrated-numbers: ${input.trim()}: ${/** @type {Error} */ (error).message}\n`);
+            exitCode = EXIT_FAILURE;
+        }
+    });
+    return exitCode;
+}
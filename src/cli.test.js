@@ -0,0 +1,87 @@
+import { deepStrictEqual as eq } from 'node:assert/strict';
+import { EXIT_FAILURE, EXIT_OK, EXIT_USAGE, runCli } from './cli.js';
+import { encodeIntegerToScene } from './encode-integer.js';
+import { integerToName } from './name-codec.js';
+import { renderAnsi } from './render-ansi.js';
+
+const xpx = 'runCli()';
+
+/** #### Runs the command line tool, and collects what it writes
+ * @param {string[]} args The command line arguments
+ * @param {string[]|null} [lines=null] Lines for stdin, or null for a terminal
+ * @returns {Promise<{ code: number, out: string, err: string }>}
+ */
+const run = async (args, lines = null) => {
+    let out = '';
+    let err = '';
+    const stdin = Object.assign((async function* () {
+        if (lines) yield lines.join('\n');
+    })(), { isTTY: lines === null });
+    const code = await runCli(args, {
+        stdin,
+        stdout: { write: (text) => out += text },
+        stderr: { write: (text) => err += text },
+        env: { TERM: 'dumb' },
+    });
+    return { code, out, err };
+};
+
+
+// Help and usage errors.
+
+eq((await run(['--help'])).code, EXIT_OK);
+eq((await run(['name', '-h'])).out.startsWith('Usage: illustrated-numbers <command>'), true);
+eq((await run([])).code, EXIT_USAGE);
+eq((await run([])).err.startsWith('Usage: illustrated-numbers <command>'), true);
+eq(await run(['frob', '1']), { code: EXIT_USAGE, out: '',
+    err: `illustrated-numbers: unknown command 'frob', expected one of render, name, decode, scene\nRun 'illustrated-numbers --help' for usage.\n` });
+eq((await run(['name', '1', '--bogus'])).err.startsWith(`illustrated-numbers: Unknown option '--bogus'`), true);
+eq((await run(['name', '1', '--width', '32'])).err.startsWith(`illustrated-numbers: --width can only be used with 'render'\n`), true);
+eq((await run(['render', '1', '--json'])).err.startsWith(`illustrated-numbers: --json can not be used with 'render'\n`), true);
+eq((await run(['name', '1', '--max', 'lots'])).err.startsWith(`illustrated-numbers: --max 'lots' is not an integer\n`), true);
+eq((await run(['name', '1', '--palette', 'pastel'])).err.startsWith(`illustrated-numbers: --palette must be one of 'classic' or 'colorblind-safe'\n`), true);
+eq(await run(['--min', '5', '--max', '1', 'name', '3']), { code: EXIT_USAGE, out: '',
+    err: `illustrated-numbers: --min must not be greater than --max\nRun 'illustrated-numbers --help' for usage.\n` });
+eq((await run(['name', '1', '--checksum', '--alphabet', 'extended'])).err.startsWith(`illustrated-numbers: --checksum can not be used with the 'extended' alphabet\n`), true);
+eq((await run(['render', '1', '--width', '999'])).err.startsWith(`illustrated-numbers: canvasWidth must be an integer between 1 and 120\n`), true);
+eq((await run(['render', '1', '--depth', '8'])).code, EXIT_USAGE);
+eq((await run(['render', '1', '--cells', 'sextant'])).code, EXIT_USAGE);
+eq((await run(['name'])).err.startsWith(`illustrated-numbers: 'name' needs at least one input, on the command line or stdin\n`), true);
+
+
+// Commands.
+
+eq(await run(['name', '12345', '42']), { code: EXIT_OK, out: `${integerToName(12345)}\n${integerToName(42)}\n`, err: '' });
+eq(await run(['name', '12345', '--checksum', '--palette', 'classic', '--json']), { code: EXIT_OK,
+    out: `${JSON.stringify({ n: 12345, name: integerToName(12345, { checksum: true, palette: 'classic' }) })}\n`, err: '' });
+eq(await run(['decode', integerToName(777, { key: 'secret' }), '--key', 'secret']), { code: EXIT_OK, out: '777\n', err: '' });
+eq((await run(['decode', integerToName(77, { max: 100 }), '--max', '100', '--json'])).out, `${JSON.stringify({ name: integerToName(77, { max: 100 }), n: 77 })}\n`);
+eq(await run(['scene', '12345', '--json']), { code: EXIT_OK, out: `${JSON.stringify({ n: 12345, ...encodeIntegerToScene(12345) })}\n`, err: '' });
+eq((await run(['scene', '12345'])).out, [
+    'background: breton, ink #000000, paper #e69f00',
+    'shapes[0]: circle of size 1 at -3,0, pinstripe, ink #000000, paper #e69f00, inside stroke #000000',
+    'shapes[1]: triangle of size 1 at 3,0, pinstripe, ink #0072b2, paper #d55e00, inside stroke #009e73',
+    '',
+].join('\n'));
+
+// Rendering uses the environment's color depth by default, 'dumb' here.
+const { background, shapes } = encodeIntegerToScene(12345);
+eq(await run(['render', '12345']), { code: EXIT_OK, out: `${renderAnsi(64, 48, background, shapes, 'monochrome')}\n`, err: '' });
+eq((await run(['render', '12345', '--width', '32', '--height', '32', '--depth', '16', '--cells', 'quadrant'])).out,
+    `${renderAnsi(32, 32, background, shapes, '16', 'quadrant')}\n`);
+
+
+// Batches from stdin.
+
+// Blank lines are skipped, and one bad input does not stop the rest.
+eq(await run(['name'], ['1', '', 'one', '  3  ']), { code: EXIT_FAILURE,
+    out: `${integerToName(1)}\n${integerToName(3)}\n`,
+    err: `illustrated-numbers: one: input 'one' is not an integer\n` });
+eq(await run(['decode'], [integerToName(5), 'a large blue']), { code: EXIT_FAILURE, out: '5\n',
+    err: `illustrated-numbers: a large blue: nameToInteger() name ends after word 3, expected 'and'\n` });
+eq((await run(['name'], [String(2 ** 32)])).err.startsWith(`illustrated-numbers: ${2 ** 32}: integerToName() n must be an integer`), true);
+eq((await run(['render', '--depth', 'monochrome'], ['1', '2'])).out,
+    `${renderAnsi(64, 48, encodeIntegerToScene(1).background, encodeIntegerToScene(1).shapes, 'monochrome')}\n\n` +
+    `${renderAnsi(64, 48, encodeIntegerToScene(2).background, encodeIntegerToScene(2).shapes, 'monochrome')}\n`);
+
+console.log(`All ${xpx} tests passed!`);
@@ -0,0 +1,375 @@
+import {
+    isFloatInRange,
+    validateBackground,
+    validateColor,
+    validateShape,
+} from './validate-args.js';
+
+/**
+ * @typedef {import('./types.js').Background} Background
+ * @typedef {import('./types.js').Color} Color
+ * @typedef {import('./types.js').ColorProblem} ColorProblem
+ * @typedef {import('./types.js').ColorVision} ColorVision
+ * @typedef {import('./types.js').Group} Group
+ * @typedef {import('./types.js').Shape} Shape
+ */
+
+/** Every kind of color vision that colors can be checked under
+ * @type {readonly ColorVision[]}
+ */
+export const COLOR_VISIONS = Object.freeze([
+    'normal',
+    'protanopia',
+    'deuteranopia',
+    'tritanopia',
+]);
+
+/** The smallest CIEDE2000 difference between two colors which
+ *  `checkSceneColors()` accepts. A difference of about 2 is just noticeable
+ *  side by side, so 10 leaves room for small shapes and poor screens.
+ */
+export const MIN_COLOR_DIFFERENCE = 10;
+
+/** The 148 named colors of CSS, from the CSS Color Module Level 4 */
+const CSS_COLOR_NAMES = Object.freeze({
+    aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff',
+    aquamarine: '#7fffd4', azure: '#f0ffff', beige: '#f5f5dc',
+    bisque: '#ffe4c4', black: '#000000', blanchedalmond: '#ffebcd',
+    blue: '#0000ff', blueviolet: '#8a2be2', brown: '#a52a2a',
+    burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00',
+    chocolate: '#d2691e', coral: '#ff7f50', cornflowerblue: '#6495ed',
+    cornsilk: '#fff8dc', crimson: '#dc143c', cyan: '#00ffff',
+    darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b',
+    darkgray: '#a9a9a9', darkgreen: '#006400', darkgrey: '#a9a9a9',
+    darkkhaki: '#bdb76b', darkmagenta: '#8b008b', darkolivegreen: '#556b2f',
+    darkorange: '#ff8c00', darkorchid: '#9932cc', darkred: '#8b0000',
+    darksalmon: '#e9967a', darkseagreen: '#8fbc8f', darkslateblue: '#483d8b',
+    darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f',
+    darkturquoise: '#00ced1', darkviolet: '#9400d3', deeppink: '#ff1493',
+    deepskyblue: '#00bfff', dimgray: '#696969', dimgrey: '#696969',
+    dodgerblue: '#1e90ff', firebrick: '#b22222', floralwhite: '#fffaf0',
+    forestgreen: '#228b22', fuchsia: '#ff00ff', gainsboro: '#dcdcdc',
+    ghostwhite: '#f8f8ff', gold: '#ffd700', goldenrod: '#daa520',
+    gray: '#808080', green: '#008000', greenyellow: '#adff2f', grey: '#808080',
+    honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c',
+    indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa',
+    lavenderblush: '#fff0f5', lawngreen: '#7cfc00', lemonchiffon: '#fffacd',
+    lightblue: '#add8e6', lightcoral: '#f08080', lightcyan: '#e0ffff',
+    lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3',
+    lightgreen: '#90ee90', lightgrey: '#d3d3d3', lightpink: '#ffb6c1',
+    lightsalmon: '#ffa07a', lightseagreen: '#20b2aa', lightskyblue: '#87cefa',
+    lightslategray: '#778899', lightslategrey: '#778899',
+    lightsteelblue: '#b0c4de', lightyellow: '#ffffe0', lime: '#00ff00',
+    limegreen: '#32cd32', linen: '#faf0e6', magenta: '#ff00ff',
+    maroon: '#800000', mediumaquamarine: '#66cdaa', mediumblue: '#0000cd',
+    mediumorchid: '#ba55d3', mediumpurple: '#9370db', mediumseagreen: '#3cb371',
+    mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a',
+    mediumturquoise: '#48d1cc', mediumvioletred: '#c71585',
+    midnightblue: '#191970', mintcream: '#f5fffa', mistyrose: '#ffe4e1',
+    moccasin: '#ffe4b5', navajowhite: '#ffdead', navy: '#000080',
+    oldlace: '#fdf5e6', olive: '#808000', olivedrab: '#6b8e23',
+    orange: '#ffa500', orangered: '#ff4500', orchid: '#da70d6',
+    palegoldenrod: '#eee8aa', palegreen: '#98fb98', paleturquoise: '#afeeee',
+    palevioletred: '#db7093', papayawhip: '#ffefd5', peachpuff: '#ffdab9',
+    peru: '#cd853f', pink: '#ffc0cb', plum: '#dda0dd', powderblue: '#b0e0e6',
+    purple: '#800080', rebeccapurple: '#663399', red: '#ff0000',
+    rosybrown: '#bc8f8f', royalblue: '#4169e1', saddlebrown: '#8b4513',
+    salmon: '#fa8072', sandybrown: '#f4a460', seagreen: '#2e8b57',
+    seashell: '#fff5ee', sienna: '#a0522d', silver: '#c0c0c0',
+    skyblue: '#87ceeb', slateblue: '#6a5acd', slategray: '#708090',
+    slategrey: '#708090', snow: '#fffafa', springgreen: '#00ff7f',
+    steelblue: '#4682b4', tan: '#d2b48c', teal: '#008080', thistle: '#d8bfd8',
+    tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee',
+    wheat: '#f5deb3', white: '#ffffff', whitesmoke: '#f5f5f5',
+    yellow: '#ffff00', yellowgreen: '#9acd32',
+});
+
+/** How linear-light RGB is seen with each color vision deficiency, as a
+ *  matrix applied to red, green and blue. These are the severity 1.0 (full
+ *  dichromacy) matrices from Machado, Oliveira and Fernandes (2009), 'A
+ *  Physiologically-based Model for Simulation of Color Vision Deficiency'.
+ * @type {Record<Exclude<ColorVision, 'normal'>, number[][]>}
+ */
+const VISION_MATRICES = {
+    protanopia: [
+        [0.152286, 1.052583, -0.204868],
+        [0.114503, 0.786281, 0.099216],
+        [-0.003882, -0.048116, 1.051998],
+    ],
+    deuteranopia: [
+        [0.367322, 0.860646, -0.227968],
+        [0.280085, 0.672501, 0.047413],
+        [-0.011820, 0.042940, 0.968881],
+    ],
+    tritanopia: [
+        [1.255528, -0.076749, -0.178779],
+        [-0.078411, 0.930809, 0.147602],
+        [0.004733, 0.691367, 0.303900],
+    ],
+};
+
+/** #### Decodes an sRGB channel, 0 to 255, to linear light, 0 to 1
+ * @param {number} channel The sRGB channel value
+ * @returns {number} The linear value
+ */
+const toLinear = (channel) => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+}
+
+/** #### Encodes a linear-light channel, 0 to 1, as sRGB, 0 to 255
+ * @param {number} value The linear value, which is clamped to 0 to 1
+ * @returns {number} The sRGB channel value, rounded to an integer
+ */
+const toSrgb = (value) => {
+    const c = Math.max(0, Math.min(1, value));
+    return Math.round(255 * (c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055));
+}
+
+/** #### Converts a color to CIELAB, with a D65 white point
+ * @param {Color} color The sRGB color
+ * @returns {[number, number, number]} L*, a* and b*
+ */
+const toLab = ({ red, green, blue }) => {
+    const r = toLinear(red);
+    const g = toLinear(green);
+    const b = toLinear(blue);
+    // sRGB to XYZ, relative to the D65 white point.
+    const x = (0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / 0.95047;
+    const y = (0.2126729 * r + 0.7151522 * g + 0.0721750 * b);
+    const z = (0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / 1.08883;
+    const f = (/** @type {number} */ t) => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+    const fx = f(x);
+    const fy = f(y);
+    const fz = f(z);
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/** #### Parses a CSS-style hex color or color name
+ * Accepts '#rgb' and '#rrggbb' hex colors, and the named colors of CSS, such
+ * as 'rebeccapurple'. Case and surrounding whitespace are ignored.
+ * @param {string} text The color to parse
+ * @returns {Color} The color
+ */
+export const parseColor = (text) => {
+    const xpx = 'parseColor()';
+
+    // Validate the argument.
+    if (typeof text !== 'string') throw TypeError(
+        `${xpx} text is type '${typeof text}' not 'string'`);
+
+    // Look up a named color, or expand a 3-digit hex color to 6 digits.
+    const lower = text.trim().toLowerCase();
+    let hex = Object.prototype.hasOwnProperty.call(CSS_COLOR_NAMES, lower)
+        ? CSS_COLOR_NAMES[/** @type {keyof typeof CSS_COLOR_NAMES} */ (lower)]
+        : lower;
+    if (/^#[0-9a-f]{3}$/.test(hex)) hex = hex.replace(/[0-9a-f]/g, '$&$&');
+    if (!/^#[0-9a-f]{6}$/.test(hex)) throw RangeError(
+        `${xpx} could not parse '${text}', expected '#rgb', '#rrggbb' or a CSS color name`);
+
+    return {
+        red: parseInt(hex.slice(1, 3), 16),
+        green: parseInt(hex.slice(3, 5), 16),
+        blue: parseInt(hex.slice(5, 7), 16),
+    };
+}
+
+/** #### Formats a color as a CSS hex color
+ * This is the inverse of `parseColor()` for hex colors. Renderers call it for
+ * every pixel, so the color is not validated, and must already be valid.
+ * @param {Color} color The color to format
+ * @returns {string} The color, eg '#ff8800'
+ */
+export const formatColor = ({ red, green, blue }) =>
+    `#${[red, green, blue].map((c) => c.toString(16).padStart(2, '0')).join('')}`;
+
+/** #### Simulates how a color looks with a color vision deficiency
+ * Protanopia and deuteranopia are the two kinds of red-green color
+ * blindness, and tritanopia is blue-yellow color blindness. Each is
+ * simulated at full strength, so milder deficiencies are covered too.
+ * @param {Color} color The color to simulate
+ * @param {ColorVision} vision The color vision, where 'normal' changes nothing
+ * @returns {Color} The color as it is seen
+ */
+export const simulateColorVision = (color, vision) => {
+    const xpx = 'simulateColorVision()';
+
+    // Validate the arguments.
+    validateColor(color, 'color', xpx);
+    if (typeof vision !== 'string') throw TypeError(
+        `${xpx} vision is type '${typeof vision}' not 'string'`);
+    if (COLOR_VISIONS.indexOf(vision) === -1) throw RangeError(
+        `${xpx} vision must be one of ${COLOR_VISIONS.map((v) => `'${v}'`).join(', ').replace(/, ([^,]+)$/, ' or $1')}`);
+
+    return seeColor(color, vision);
+}
+
+/** #### Simulates a color vision deficiency, without validating the arguments
+ * @param {Color} color The color to simulate
+ * @param {ColorVision} vision The color vision
+ * @returns {Color} The color as it is seen
+ */
+const seeColor = (color, vision) => {
+    if (vision === 'normal') return { red: color.red, green: color.green, blue: color.blue };
+    const linear = [toLinear(color.red), toLinear(color.green), toLinear(color.blue)];
+    const [red, green, blue] = VISION_MATRICES[vision].map((row) =>
+        toSrgb(row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]));
+    return { red, green, blue };
+}
+
+/** #### Measures the perceptual difference between two colors
+ * Uses the CIEDE2000 formula, where 0 means identical and about 2 is just
+ * noticeable side by side. Both colors are seen with the same color vision.
+ * @param {Color} a The first color
+ * @param {Color} b The second color
+ * @param {ColorVision} [vision='normal'] The color vision to simulate
+ * @returns {number} The CIEDE2000 color difference
+ */
+export const getColorDifference = (a, b, vision = 'normal') => {
+    const xpx = 'getColorDifference()';
+
+    // Validate the arguments.
+    validateColor(a, 'a', xpx);
+    validateColor(b, 'b', xpx);
+    if (typeof vision !== 'string') throw TypeError(
+        `${xpx} vision is type '${typeof vision}' not 'string'`);
+    if (COLOR_VISIONS.indexOf(vision) === -1) throw RangeError(
+        `${xpx} vision must be one of ${COLOR_VISIONS.map((v) => `'${v}'`).join(', ').replace(/, ([^,]+)$/, ' or $1')}`);
+
+    return ciede2000(toLab(seeColor(a, vision)), toLab(seeColor(b, vision)));
+}
+
+/** #### The CIEDE2000 color difference between two CIELAB colors
+ * Follows Sharma, Wu and Dalal (2005), 'The CIEDE2000 Color-Difference
+ * Formula', with the parametric weights kL, kC and kH all 1.
+ * @param {[number, number, number]} lab1 The first color's L*, a* and b*
+ * @param {[number, number, number]} lab2 The second color's L*, a* and b*
+ * @returns {number} The color difference
+ */
+const ciede2000 = ([l1, a1, b1], [l2, a2, b2]) => {
+    const rad = Math.PI / 180;
+    const meanC = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+    const g = 0.5 * (1 - Math.sqrt(meanC ** 7 / (meanC ** 7 + 25 ** 7)));
+    const a1p = a1 * (1 + g);
+    const a2p = a2 * (1 + g);
+    const c1p = Math.hypot(a1p, b1);
+    const c2p = Math.hypot(a2p, b2);
+    const hue = (/** @type {number} */ a, /** @type {number} */ b) =>
+        a === 0 && b === 0 ? 0 : (Math.atan2(b, a) / rad + 360) % 360;
+    const h1p = hue(a1p, b1);
+    const h2p = hue(a2p, b2);
+
+    // The differences in lightness, chroma and hue.
+    const deltaL = l2 - l1;
+    const deltaC = c2p - c1p;
+    let deltaH = 0;
+    if (c1p * c2p !== 0) {
+        deltaH = h2p - h1p;
+        if (deltaH > 180) deltaH -= 360;
+        else if (deltaH < -180) deltaH += 360;
+    }
+    const deltaBigH = 2 * Math.sqrt(c1p * c2p) * Math.sin(deltaH * rad / 2);
+
+    // The means, where the mean hue goes the short way around the circle.
+    const meanL = (l1 + l2) / 2;
+    const meanCp = (c1p + c2p) / 2;
+    let meanH = h1p + h2p;
+    if (c1p * c2p !== 0) {
+        if (Math.abs(h1p - h2p) <= 180) meanH /= 2;
+        else meanH = h1p + h2p < 360 ? (meanH + 360) / 2 : (meanH - 360) / 2;
+    }
+
+    // The weighting functions, and the rotation term for blues.
+    const t = 1
+        - 0.17 * Math.cos((meanH - 30) * rad)
+        + 0.24 * Math.cos(2 * meanH * rad)
+        + 0.32 * Math.cos((3 * meanH + 6) * rad)
+        - 0.20 * Math.cos((4 * meanH - 63) * rad);
+    const sL = 1 + 0.015 * (meanL - 50) ** 2 / Math.sqrt(20 + (meanL - 50) ** 2);
+    const sC = 1 + 0.045 * meanCp;
+    const sH = 1 + 0.015 * meanCp * t;
+    const rT = -2 * Math.sqrt(meanCp ** 7 / (meanCp ** 7 + 25 ** 7))
+        * Math.sin(60 * Math.exp(-(((meanH - 275) / 25) ** 2)) * rad);
+
+    return Math.sqrt(
+        (deltaL / sL) ** 2 +
+        (deltaC / sC) ** 2 +
+        (deltaBigH / sH) ** 2 +
+        rT * (deltaC / sC) * (deltaBigH / sH));
+}
+
+/** #### Finds colors in a scene which are hard to tell apart
+ * Every pair of different colors in the scene, from the background's ink and
+ * paper to each shape's ink, paper and stroke, is compared with normal color
+ * vision, and with simulated protanopia, deuteranopia and tritanopia. Colors
+ * which are exactly the same are not compared, because they are meant to
+ * look the same.
+ * @param {Background} background The scene's background
+ * @param {(Shape|Group)[]} shapes The scene's shapes and groups
+ * @param {number} [minDifference=MIN_COLOR_DIFFERENCE] The smallest CIEDE2000
+ *   difference which is accepted, from 0 to 100
+ * @returns {ColorProblem[]} Each pair of colors which is too similar, with the
+ *   first color vision it is too similar under, or an empty array
+ */
+export const checkSceneColors = (background, shapes, minDifference = MIN_COLOR_DIFFERENCE) => {
+    const xpx = 'checkSceneColors()';
+
+    // Validate the arguments.
+    validateBackground(background, xpx);
+    if (shapes === null) throw TypeError(
+        `${xpx} shapes is null not an array`);
+    if (!Array.isArray(shapes)) throw TypeError(
+        `${xpx} shapes is type '${typeof shapes}' not 'array'`);
+    shapes.forEach((shape, i) => validateShape(shape, xpx, i));
+    if (typeof minDifference !== 'number') throw TypeError(
+        `${xpx} minDifference is type '${typeof minDifference}' not 'number'`);
+    if (!isFloatInRange(minDifference, 0, 100)) throw RangeError(
+        `${xpx} minDifference must be a number between 0 and 100`);
+
+    // List the scene's colors, by where they are used. A color which is used
+    // more than once is only listed where it is first used.
+    /** @type {Array<{ name: string, color: Color }>} */
+    const colors = [];
+    /** @type {(name: string, color: Color) => void} */
+    const addColor = (name, color) => {
+        if (colors.some(({ color: c }) => isSameColor(c, color))) return;
+        colors.push({ name, color });
+    };
+    addColor('background.ink', background.ink);
+    addColor('background.paper', background.paper);
+    shapes.forEach((shape, i) => {
+        addColor(`shapes[${i}].ink`, shape.ink);
+        addColor(`shapes[${i}].paper`, shape.paper);
+        addColor(`shapes[${i}].strokeColor`, shape.strokeColor);
+    });
+
+    // Compare every pair of colors, under every color vision.
+    const labs = COLOR_VISIONS.map((vision) =>
+        colors.map(({ color }) => toLab(seeColor(color, vision))));
+    /** @type {ColorProblem[]} */
+    const problems = [];
+    for (let i = 0; i < colors.length; i++) {
+        for (let j = i + 1; j < colors.length; j++) {
+            for (let v = 0; v < COLOR_VISIONS.length; v++) {
+                const difference = ciede2000(labs[v][i], labs[v][j]);
+                if (difference >= minDifference) continue;
+                problems.push({
+                    first: colors[i].name,
+                    second: colors[j].name,
+                    vision: COLOR_VISIONS[v],
+                    difference,
+                });
+                break;
+            }
+        }
+    }
+    return problems;
+}
+
+/** #### Checks if two colors are exactly the same
+ * @param {Color} a The first color
+ * @param {Color} b The second color
+ * @returns {boolean} True if the colors are the same, false otherwise
+ */
+const isSameColor = (a, b) =>
+    a.red === b.red && a.green === b.green && a.blue === b.blue;
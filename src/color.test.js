@@ -0,0 +1,135 @@
+import { throws, deepStrictEqual as eq } from 'node:assert/strict';
+import {
+    COLOR_VISIONS,
+    MIN_COLOR_DIFFERENCE,
+    checkSceneColors,
+    formatColor,
+    getColorDifference,
+    parseColor,
+    simulateColorVision,
+} from './color.js';
+import { ENCODER_PALETTES } from './encode-integer.js';
+
+const xpx = 'color.js';
+
+/**
+ * @typedef {import('./types.js').Background} Background
+ * @typedef {import('./types.js').Color} Color
+ * @typedef {import('./types.js').Shape} Shape
+ */
+
+/** @type {Color} */
+const black = { red: 0, green: 0, blue: 0 };
+const white = { red: 255, green: 255, blue: 255 };
+const red = { red: 220, green: 40, blue: 40 };
+const green = { red: 40, green: 160, blue: 60 };
+
+/** @type {Background} */
+const validBg = { ink: black, paper: white, pattern: 'breton' };
+
+/** @type {Shape} */
+const validShape = {
+    kind: 'circle',
+    size: 3,
+    position: { x: 0, y: 0 },
+    ink: red,
+    paper: white,
+    pattern: 'pinstripe',
+    strokeColor: black,
+    strokePosition: 'center',
+    strokeWidth: 1,
+};
+
+
+// parseColor().
+
+// @ts-expect-error
+throws(() => parseColor(), { message: /^parseColor\(\) text is type 'undefined' not 'string'/});
+throws(() => parseColor(''), { message: /could not parse '', expected '#rgb', '#rrggbb' or a CSS color name/});
+throws(() => parseColor('#12345'), { message: /could not parse '#12345'/});
+throws(() => parseColor('#ggg'), { message: /could not parse '#ggg'/});
+throws(() => parseColor('123456'), { message: /could not parse '123456'/});
+throws(() => parseColor('toString'), { message: /could not parse 'toString'/});
+eq(parseColor('#000000'), black);
+eq(parseColor('#FFF'), white);
+eq(parseColor(' #dc2828 '), red);
+eq(parseColor('#0a9'), { red: 0, green: 170, blue: 153 });
+eq(parseColor('RebeccaPurple'), { red: 102, green: 51, blue: 153 });
+eq(parseColor('navy'), { red: 0, green: 0, blue: 128 });
+
+
+// formatColor().
+
+eq(formatColor(black), '#000000');
+eq(formatColor({ red: 0, green: 170, blue: 153 }), '#00aa99');
+eq(parseColor(formatColor(red)), red);
+
+
+// simulateColorVision().
+
+// Invalid colors throw the same errors as a shape's invalid colors.
+throws(() => simulateColorVision(null, 'normal'), { name: 'TypeError', message: `simulateColorVision() color is 'null' not a plain object` });
+throws(() => simulateColorVision({ ...red, red: 300 }, 'normal'), { name: 'RangeError', message: 'simulateColorVision() color is not a valid color' });
+// @ts-expect-error
+throws(() => simulateColorVision(red, 1), { message: /vision is type 'number' not 'string'/});
+// @ts-expect-error
+throws(() => simulateColorVision(red, 'achromatopsia'), { message: /vision must be one of 'normal', 'protanopia', 'deuteranopia' or 'tritanopia'/});
+eq(simulateColorVision(red, 'normal'), red);
+// Black and white look the same with every color vision.
+for (const vision of COLOR_VISIONS) {
+    eq(simulateColorVision(black, vision), black);
+    eq(simulateColorVision(white, vision), white);
+}
+// Red and green look alike with deuteranopia, which is red-green color blindness.
+eq(simulateColorVision(red, 'deuteranopia'), { red: 143, green: 128, blue: 30 });
+eq(simulateColorVision(green, 'deuteranopia'), { red: 149, green: 136, blue: 68 });
+
+
+// getColorDifference().
+
+throws(() => getColorDifference(red, { ...green, blue: 256 }), { name: 'RangeError', message: 'getColorDifference() b is not a valid color' });
+// @ts-expect-error
+throws(() => getColorDifference([ 255, 0, 0 ], green), { name: 'TypeError', message: `getColorDifference() a is 'array' not a plain object` });
+// @ts-expect-error
+throws(() => getColorDifference(red, green, 'mono'), { message: /vision must be one of 'normal', 'protanopia', 'deuteranopia' or 'tritanopia'/});
+eq(getColorDifference(red, red), 0);
+eq(Math.round(getColorDifference(black, white)), 100);
+eq(getColorDifference(red, green) === getColorDifference(green, red), true);
+eq(getColorDifference(red, green) > 40, true);
+eq(getColorDifference(red, green, 'protanopia') > MIN_COLOR_DIFFERENCE, true);
+eq(getColorDifference(red, green, 'deuteranopia') < MIN_COLOR_DIFFERENCE, true);
+eq(getColorDifference(red, green, 'tritanopia') > MIN_COLOR_DIFFERENCE, true);
+
+
+// checkSceneColors().
+
+throws(() => checkSceneColors(null, []), { message: /^checkSceneColors\(\) background is 'null' not a plain object/});
+throws(() => checkSceneColors(validBg, null), { message: /shapes is null not an array/});
+throws(() => checkSceneColors(validBg, [ { ...validShape, ink: { red: -1, green: 0, blue: 0 } } ]), { message: /shapes\[0\]\.ink is not a valid color/});
+// @ts-expect-error
+throws(() => checkSceneColors(validBg, [], '10'), { message: /minDifference is type 'string' not 'number'/});
+throws(() => checkSceneColors(validBg, [], 101), { message: /minDifference must be a number between 0 and 100/});
+
+// Colors which are exactly the same are not compared.
+eq(checkSceneColors(validBg, []), []);
+eq(checkSceneColors(validBg, [ validShape ]), []);
+
+// Red and green are too similar with deuteranopia.
+const problems = checkSceneColors(validBg, [ validShape, { ...validShape, ink: green } ]);
+eq(problems.map(({ first, second, vision }) => `${first} ${second} ${vision}`), [
+    'shapes[0].ink shapes[1].ink deuteranopia',
+]);
+eq(problems[0].difference < MIN_COLOR_DIFFERENCE, true);
+eq(checkSceneColors(validBg, [ validShape, { ...validShape, ink: green } ], 0), []);
+// Only black and white are 100 apart.
+eq(checkSceneColors(validBg, [ validShape ], 100).length, 2);
+
+// Every pair of colors in the colorblind-safe palette can be told apart.
+const safeBg = { ...validBg, ink: ENCODER_PALETTES['colorblind-safe'][0].color, paper: ENCODER_PALETTES['colorblind-safe'][1].color };
+const safeShapes = ENCODER_PALETTES['colorblind-safe'].slice(2).map(({ color }) => ({ ...validShape, ink: color, paper: color, strokeColor: color }));
+eq(checkSceneColors(safeBg, safeShapes), []);
+const classicBg = { ...validBg, ink: ENCODER_PALETTES.classic[0].color, paper: ENCODER_PALETTES.classic[1].color };
+const classicShapes = ENCODER_PALETTES.classic.slice(2).map(({ color }) => ({ ...validShape, ink: color, paper: color, strokeColor: color }));
+eq(checkSceneColors(classicBg, classicShapes).length > 0, true);
+
+console.log(`All ${xpx} tests passed!`);
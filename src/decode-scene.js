@@ -0,0 +1,258 @@
+import {
+    validateBackground,
+    validateEncodeOptions,
+    validateShape,
+} from './validate-args.js';
+import {
+    ENCODER_ALPHABETS,
+    ENCODER_COLORS,
+    ENCODER_KINDS,
+    ENCODER_PALETTES,
+    ENCODER_PATTERNS,
+    ENCODER_SIZES,
+    ENCODER_STROKE_POSITIONS,
+    ENCODER_STROKE_WIDTH,
+    findShapeMatchingBackground,
+    fromDigits,
+    getCheckDigit,
+    getCheckDigitIndex,
+    getDataRadices,
+    getInkDigitIndices,
+    getSceneRadices,
+    getShapeCount,
+    getSlotPosition,
+    sceneToDataDigits,
+} from './encode-integer.js';
+import { unpermute } from './keyed-permutation.js';
+
+/**
+ * @typedef {import('./types.js').Background} Background
+ * @typedef {import('./types.js').Color} Color
+ * @typedef {import('./types.js').EncodeOptions} EncodeOptions
+ * @typedef {import('./types.js').EncodeSettings} EncodeSettings
+ * @typedef {import('./types.js').NamedColor} NamedColor
+ * @typedef {import('./types.js').Shape} Shape
+ */
+
+/** #### Finds the index of a color in a palette
+ * @param {Color} color The color to look up
+ * @param {readonly NamedColor[]} colors The palette's colors
+ * @returns {number} The index, or -1 if the color is not one of the palette's
+ */
+const findColorDigit = (color, colors) => colors.findIndex(({ color: c }) =>
+    c.red === color.red && c.green === color.green && c.blue === color.blue);
+
+/** #### Gets the ink and paper digits of a background or shape
+ * @param {Background|Shape} target The background or shape
+ * @param {string} name The name of the target (for error messages)
+ * @param {string} xpx The name of the function (for error messages)
+ * @param {readonly NamedColor[]} colors The palette's colors
+ * @returns {[number, number]} The ink digit and the paper digit
+ */
+const getInkAndPaperDigits = (target, name, xpx, colors) => {
+    const inkDigit = findColorDigit(target.ink, colors);
+    if (inkDigit === -1) throw RangeError(
+        `${xpx} ${name}.ink is not one of the encoder's colors`);
+    const paperIndex = findColorDigit(target.paper, colors);
+    if (paperIndex === -1) throw RangeError(
+        `${xpx} ${name}.paper is not one of the encoder's colors`);
+    if (paperIndex === inkDigit) throw RangeError(
+        `${xpx} ${name}.paper must not be the same color as ${name}.ink`);
+    // Paper colors skip over the ink color, see `pickPaper()`.
+    const paperDigit = (paperIndex - inkDigit - 1 + colors.length) % colors.length;
+    return [inkDigit, paperDigit];
+}
+
+/** #### Gets the pattern digit of a background or shape
+ * @param {Background|Shape} target The background or shape
+ * @param {string} name The name of the target (for error messages)
+ * @param {string} xpx The name of the function (for error messages)
+ * @returns {number} The pattern digit
+ */
+const getPatternDigit = (target, name, xpx) => {
+    const patternDigit = ENCODER_PATTERNS.indexOf(target.pattern);
+    if (patternDigit === -1) throw RangeError(
+        `${xpx} ${name}.pattern must be one of ${ENCODER_PATTERNS.map((p) => `'${p}'`).join(' or ')}`);
+    if (typeof target.stripeWidth !== 'undefined') throw RangeError(
+        `${xpx} ${name}.stripeWidth must not be set`);
+    return patternDigit;
+}
+
+/** #### Gets the mixed-radix digits of a scene, checking it is canonical
+ * @param {Background} background The scene's background
+ * @param {Shape[]} shapes The scene's shapes
+ * @param {number} shapeCount The number of shapes the declared range needs
+ * @param {string} xpx The name of the function (for error messages)
+ * @param {readonly Shape['kind'][]} [kinds=ENCODER_KINDS] The alphabet's kinds
+ * @param {readonly NamedColor[]} [colors=ENCODER_COLORS] The palette's colors
+ * @returns {number[]} The digits, most significant first
+ */
+export const sceneToDigits = (background, shapes, shapeCount, xpx, kinds = ENCODER_KINDS, colors = ENCODER_COLORS) => {
+    if (shapes.length !== shapeCount) throw RangeError(
+        `${xpx} shapes has ${shapes.length} item${shapes.length === 1 ? '' : 's'} not ${shapeCount}`);
+
+    const digits = [
+        ...getInkAndPaperDigits(background, 'background', xpx, colors),
+        getPatternDigit(background, 'background', xpx),
+    ];
+
+    shapes.forEach((shape, i) => {
+        const name = `shapes[${i}]`;
+        const kind = kinds.indexOf(shape.kind);
+        if (kind === -1) throw RangeError(
+            `${xpx} ${name}.kind must be one of ${kinds.slice(0, -1).map((k) => `'${k}'`).join(', ')} or '${kinds.at(-1)}'`);
+        for (const field of /** @type {const} */ (['points', 'rotation', 'scale', 'opacity', 'blendMode'])) {
+            if (typeof shape[field] !== 'undefined') throw RangeError(
+                `${xpx} ${name}.${field} must not be set`);
+        }
+        const size = ENCODER_SIZES.indexOf(shape.size);
+        if (size === -1) throw RangeError(
+            `${xpx} ${name}.size must be one of ${ENCODER_SIZES.join(' or ')}`);
+        const { x, y } = getSlotPosition(i, shapeCount);
+        if (shape.position.x !== x || shape.position.y !== y) throw RangeError(
+            `${xpx} ${name}.position must be { x: ${x}, y: ${y} }`);
+        const strokeColor = findColorDigit(shape.strokeColor, colors);
+        if (strokeColor === -1) throw RangeError(
+            `${xpx} ${name}.strokeColor is not one of the encoder's colors`);
+        if (shape.strokeWidth !== ENCODER_STROKE_WIDTH) throw RangeError(
+            `${xpx} ${name}.strokeWidth must be ${ENCODER_STROKE_WIDTH}`);
+        digits.push(
+            kind,
+            size,
+            ...getInkAndPaperDigits(shape, name, xpx, colors),
+            getPatternDigit(shape, name, xpx),
+            strokeColor,
+            ENCODER_STROKE_POSITIONS.indexOf(shape.strokePosition),
+        );
+    });
+
+    return digits;
+}
+
+/** #### Converts the digits of a scene to an integer, ignoring any check digit
+ * @param {number[]} digits The digits, most significant first
+ * @param {number} shapeCount The number of shapes in the scene
+ * @param {EncodeSettings} settings The validated options
+ * @returns {bigint} The integer, which may be greater than `max`
+ */
+const dataDigitsToInteger = (digits, shapeCount, { min, max, checksum, key, alphabet }) => {
+    const dataDigits = sceneToDataDigits(digits, shapeCount);
+    if (checksum) dataDigits.splice(dataDigits.length - 2, 1);
+    const span = BigInt(max) - BigInt(min) + 1n;
+    const radices = getDataRadices(shapeCount, checksum, ENCODER_ALPHABETS[alphabet]);
+    let offset = fromDigits(dataDigits, radices);
+    // An offset outside the range cannot be unpermuted, and is left as it is
+    // so that it still decodes to an integer greater than `max`.
+    if (key !== null && offset < span) offset = unpermute(offset, span, key);
+    return BigInt(min) + offset;
+}
+
+/** #### Finds the integers whose scenes differ from a mistyped scene by one element
+ * Every digit except the check digit is tried with every other value it could
+ * have, and kept if the check digit then matches. The mistyped scene's own
+ * integer is also kept, in case it was the check digit which was mistyped.
+ * Changing an ink digit also changes its paper digit, so the paper color
+ * stays the same, as it would if one color word had been misread. Scenes
+ * with a shape that matches the background are never suggested.
+ * @param {number[]} digits The mistyped scene's digits, most significant first
+ * @param {number} shapeCount The number of shapes in the scene
+ * @param {EncodeSettings} settings The validated options
+ * @returns {number[]} The integers, nearest to the mistyped scene's first
+ */
+const findChecksumSuggestions = (digits, shapeCount, settings) => {
+    const radices = getSceneRadices(shapeCount, ENCODER_ALPHABETS[settings.alphabet]);
+    const checkDigitIndex = getCheckDigitIndex(shapeCount);
+    const checkDigit = digits[checkDigitIndex];
+    const inkDigitIndices = getInkDigitIndices(shapeCount);
+    const colorCount = ENCODER_COLORS.length;
+
+    /** @type {number[][]} */
+    const candidates = [];
+    digits.forEach((digit, i) => {
+        if (i === checkDigitIndex) return;
+        const isInk = inkDigitIndices.includes(i);
+        const paperIndex = (digit + 1 + digits[i + 1]) % colorCount;
+        for (let value = 0; value < radices[i]; value++) {
+            if (value === digit || (isInk && value === paperIndex)) continue;
+            const candidate = [...digits];
+            candidate[i] = value;
+            if (isInk) candidate[i + 1] = (paperIndex - value - 1 + colorCount) % colorCount;
+            if (getCheckDigit(candidate) === checkDigit
+                && findShapeMatchingBackground(candidate, shapeCount) === -1) candidates.push(candidate);
+        }
+    });
+
+    // Sort by distance from the mistyped scene's own integer, even if that
+    // integer is out of range.
+    const mistyped = dataDigitsToInteger(digits, shapeCount, settings);
+    const distance = (/** @type {bigint} */ n) => n > mistyped ? n - mistyped : mistyped - n;
+    if (findShapeMatchingBackground(digits, shapeCount) === -1) candidates.unshift(digits);
+    return candidates
+        .map((candidate) => dataDigitsToInteger(candidate, shapeCount, settings))
+        .filter((n) => n <= BigInt(settings.max))
+        .sort((a, b) => distance(a) < distance(b) ? -1 : distance(a) > distance(b) ? 1 : a < b ? -1 : 1)
+        .map(Number);
+}
+
+/** #### Converts the digits of a scene to an integer
+ * In checksum mode a mismatched check digit throws a RangeError, with a
+ * `suggestions` property listing the nearest integers the scene could have
+ * been meant to be. A shape with the same ink, paper and pattern as the
+ * background also throws a RangeError.
+ * @param {number[]} digits The digits, most significant first
+ * @param {number} shapeCount The number of shapes in the scene
+ * @param {EncodeSettings} settings The validated options
+ * @param {string} xpx The name of the function (for error messages)
+ * @param {string} noun What the digits came from, eg 'scene' (for error messages)
+ * @returns {number} The integer
+ */
+export const digitsToInteger = (digits, shapeCount, settings, xpx, noun) => {
+    if (settings.checksum && getCheckDigit(digits) !== digits[getCheckDigitIndex(shapeCount)]) {
+        const suggestions = findChecksumSuggestions(digits, shapeCount, settings);
+        const list = suggestions.length > 1
+            ? `${suggestions.slice(0, -1).join(', ')} or ${suggestions.at(-1)}`
+            : `${suggestions[0]}`;
+        throw Object.assign(RangeError(suggestions.length
+            ? `${xpx} checksum mismatch, did you mean ${list}?`
+            : `${xpx} checksum mismatch`), { suggestions });
+    }
+    const matchIndex = findShapeMatchingBackground(digits, shapeCount);
+    if (matchIndex !== -1) throw RangeError(
+        `${xpx} shape ${matchIndex + 1} of the ${noun} has the same ink, paper and pattern as the background`);
+    const n = dataDigitsToInteger(digits, shapeCount, settings);
+    if (n > BigInt(settings.max)) throw RangeError(
+        `${xpx} ${noun} decodes to an integer greater than ${settings.max}`);
+    return Number(n);
+}
+
+/** #### Decodes a scene back into the integer it was encoded from
+ * This is the inverse of `encodeIntegerToScene()`, and must be passed the
+ * same options. Scenes which `encodeIntegerToScene()` could not have
+ * produced, for example with an unknown color or a shape out of place, throw
+ * a RangeError which explains what is not canonical.
+ * @param {Background} background The scene's background
+ * @param {Shape[]} shapes The scene's shapes
+ * @param {EncodeOptions} [options={}] The declared range, default 0 to 2^32 - 1,
+ *   whether the scene has a check digit, the secret key it was encoded with,
+ *   its alphabet and its palette
+ * @returns {number} The integer
+ */
+export const decodeSceneToInteger = (background, shapes, options = {}) => {
+    const xpx = 'decodeSceneToInteger()';
+
+    // Validate the arguments.
+    validateBackground(background, xpx);
+    if (shapes === null) throw TypeError(
+        `${xpx} shapes is null not an array`);
+    if (!Array.isArray(shapes)) throw TypeError(
+        `${xpx} shapes is type '${typeof shapes}' not 'array'`);
+    shapes.forEach((shape, i) => validateShape(shape, xpx, i));
+    const settings = validateEncodeOptions(options, xpx);
+    const { min, max, checksum } = settings;
+    const kinds = ENCODER_ALPHABETS[settings.alphabet];
+
+    // Convert the scene to digits, and the digits to an integer.
+    const shapeCount = getShapeCount(BigInt(max) - BigInt(min) + 1n, checksum, kinds);
+    const digits = sceneToDigits(background, shapes, shapeCount, xpx, kinds, ENCODER_PALETTES[settings.palette]);
+    return digitsToInteger(digits, shapeCount, settings, xpx, 'scene');
+}
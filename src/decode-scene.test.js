@@ -0,0 +1,229 @@
+import { throws, deepStrictEqual as eq } from 'node:assert/strict';
+import { decodeSceneToInteger } from './decode-scene.js';
+import { ENCODER_COLORBLIND_SAFE_COLORS, encodeIntegerToScene, getCheckDigit } from './encode-integer.js';
+
+const xpx = 'decodeSceneToInteger()';
+
+/**
+ * @typedef {import('./types.js').EncodeOptions} EncodeOptions
+ * @typedef {import('./types.js').Shape} Shape
+ */
+
+const { background: validBg, shapes: validShapes } = encodeIntegerToScene(123456789);
+const [ validShape0, validShape1 ] = validShapes;
+
+/** @type {(a: import('./types.js').Color, b: import('./types.js').Color) => boolean} */
+const eqColor = (a, b) => a.red === b.red && a.green === b.green && a.blue === b.blue;
+
+
+// Invalid background and shapes.
+
+throws(() => decodeSceneToInteger(null, validShapes), { message: /background is 'null' not a plain object/});
+// @ts-expect-error
+throws(() => decodeSceneToInteger({ ...validBg, pattern: 'tartan' }, validShapes), { message: /background\.pattern is not a valid pattern/});
+throws(() => decodeSceneToInteger(validBg, null), { message: /shapes is null not an array/});
+throws(() => decodeSceneToInteger(validBg, /** @type {Shape[]} */ ({})), { message: /shapes is type 'object' not 'array'/});
+throws(() => decodeSceneToInteger(validBg, [ validShape0, { ...validShape1, size: 0 } ]), { message: /shapes\[1\]\.size must be an integer between 1 and 100/});
+
+
+// Invalid options.
+
+throws(() => decodeSceneToInteger(validBg, validShapes, null), { message: /options is 'null' not a plain object/});
+throws(() => decodeSceneToInteger(validBg, validShapes, { min: 1, max: 0 }), { message: /options\.min must not be greater than options\.max/});
+
+
+// Scenes which are valid, but not canonical.
+
+throws(() => decodeSceneToInteger(validBg, [ validShape0 ]), { message: /shapes has 1 item not 2/});
+throws(() => decodeSceneToInteger(validBg, [ ...validShapes, validShape1 ]), { message: /shapes has 3 items not 2/});
+throws(() => decodeSceneToInteger(validBg, validShapes, { max: 100 }), { message: /shapes has 2 items not 1/});
+throws(() => decodeSceneToInteger({ ...validBg, ink: { red: 1, green: 2, blue: 3 } }, validShapes), { message: /background\.ink is not one of the encoder's colors/});
+throws(() => decodeSceneToInteger({ ...validBg, paper: { red: 1, green: 2, blue: 3 } }, validShapes), { message: /background\.paper is not one of the encoder's colors/});
+throws(() => decodeSceneToInteger({ ...validBg, paper: validBg.ink }, validShapes), { message: /background\.paper must not be the same color as background\.ink/});
+throws(() => decodeSceneToInteger(validBg, [ validShape0, { ...validShape1, size: 3 } ]), { message: /shapes\[1\]\.size must be one of 1 or 2/});
+throws(() => decodeSceneToInteger(validBg, [ { ...validShape0, position: { x: 0, y: 0 } }, validShape1 ]), { message: /shapes\[0\]\.position must be \{ x: -3, y: 0 \}/});
+throws(() => decodeSceneToInteger(validBg, [ validShape1, validShape0 ]), { message: /shapes\[0\]\.position must be \{ x: -3, y: 0 \}/});
+throws(() => decodeSceneToInteger(validBg, [ validShape0, { ...validShape1, ink: { red: 1, green: 2, blue: 3 } } ]), { message: /shapes\[1\]\.ink is not one of the encoder's colors/});
+throws(() => decodeSceneToInteger(validBg, [ validShape0, { ...validShape1, paper: validShape1.ink } ]), { message: /shapes\[1\]\.paper must not be the same color as shapes\[1\]\.ink/});
+throws(() => decodeSceneToInteger(validBg, [ validShape0, { ...validShape1, strokeColor: { red: 1, green: 2, blue: 3 } } ]), { message: /shapes\[1\]\.strokeColor is not one of the encoder's colors/});
+throws(() => decodeSceneToInteger(validBg, [ validShape0, { ...validShape1, strokeWidth: 2 } ]), { message: /shapes\[1\]\.strokeWidth must be 1/});
+throws(() => decodeSceneToInteger(validBg, [ validShape0, { ...validShape1, kind: 'hexagon' } ]), { message: /shapes\[1\]\.kind must be one of 'circle', 'square' or 'triangle'/});
+throws(() => decodeSceneToInteger(validBg, [ validShape0, { ...validShape1, kind: 'star', points: 6 } ]), { message: /shapes\[1\]\.kind must be one of 'circle', 'square' or 'triangle'/});
+throws(() => decodeSceneToInteger(validBg, [ validShape0, { ...validShape1, kind: 'star', points: 6 } ], { alphabet: 'extended' }), { message: /shapes\[1\]\.points must not be set/});
+throws(() => decodeSceneToInteger(validBg, [ validShape0, { ...validShape1, rotation: 0 } ]), { message: /shapes\[1\]\.rotation must not be set/});
+throws(() => decodeSceneToInteger(validBg, [ { ...validShape0, scale: { x: 1, y: 1 } }, validShape1 ]), { message: /shapes\[0\]\.scale must not be set/});
+throws(() => decodeSceneToInteger(validBg, [ validShape0, { ...validShape1, opacity: 0.5 } ]), { message: /shapes\[1\]\.opacity must not be set/});
+throws(() => decodeSceneToInteger(validBg, [ { ...validShape0, blendMode: 'multiply' }, validShape1 ]), { message: /shapes\[0\]\.blendMode must not be set/});
+throws(() => decodeSceneToInteger({ ...validBg, pattern: 'dots' }, validShapes), { message: /background\.pattern must be one of 'breton' or 'pinstripe'/});
+throws(() => decodeSceneToInteger(validBg, [ validShape0, { ...validShape1, stripeWidth: 1 } ]), { message: /shapes\[1\]\.stripeWidth must not be set/});
+throws(() => decodeSceneToInteger(validBg, [ validShape0, { ...validShape1, ink: validBg.ink, paper: validBg.paper, pattern: validBg.pattern } ]), { name: 'RangeError', message: `${xpx} shape 2 of the scene has the same ink, paper and pattern as the background` });
+throws(() => decodeSceneToInteger(validBg, [ validShape0, /** @type {any} */ ({ ...validShape1, kind: 'group', operation: 'union', children: [ validShape1 ] }) ]), { message: /shapes\[1\]\.kind must be one of 'circle', 'square' or 'triangle'/});
+
+// The default range can hold more scenes than there are 32-bit integers.
+const tooBig = encodeIntegerToScene(2 ** 32, { max: 2 ** 32 });
+throws(() => decodeSceneToInteger(tooBig.background, tooBig.shapes), { message: /scene decodes to an integer greater than 4294967295/});
+
+
+// Valid inputs.
+
+eq(decodeSceneToInteger(validBg, validShapes), 123456789);
+
+// Round trips, for every integer in a small range.
+for (let n = -500; n <= 1500; n++) {
+    const { background, shapes } = encodeIntegerToScene(n, { min: -500, max: 1500 });
+    eq(decodeSceneToInteger(background, shapes, { min: -500, max: 1500 }), n);
+}
+
+// Round trips, for integers spread across several larger ranges. A simple
+// linear congruential generator picks the integers, so tests are repeatable.
+let seed = 12345;
+const nextRandom = () => (seed = (seed * 1103515245 + 12345) % 2 ** 31) / 2 ** 31;
+for (const options of /** @type {EncodeOptions[]} */ ([
+    {},
+    { min: 1, max: 1_000_000 },
+    { min: -(2 ** 40), max: 2 ** 40 },
+    { max: Number.MAX_SAFE_INTEGER },
+    { min: Number.MIN_SAFE_INTEGER, max: Number.MAX_SAFE_INTEGER },
+])) {
+    const { min = 0, max = 2 ** 32 - 1 } = options;
+    const ns = [ min, min + 1, max - 1, max ];
+    for (let i = 0; i < 500; i++) ns.push(min + Math.floor(nextRandom() * (max - min)));
+    for (const n of ns) {
+        const { background, shapes } = encodeIntegerToScene(n, options);
+        eq(decodeSceneToInteger(background, shapes, options), n);
+    }
+}
+
+
+// Checksum mode.
+
+// Round trips.
+for (let n = 0; n < 2 ** 32; n += 19999999) {
+    const { background, shapes } = encodeIntegerToScene(n, { checksum: true });
+    eq(decodeSceneToInteger(background, shapes, { checksum: true }), n);
+}
+
+// Any single color change is detected, and the original integer is suggested.
+const checkedOptions = { checksum: true, max: 100_000 };
+const checked = encodeIntegerToScene(1000, checkedOptions);
+for (const { color } of ENCODER_COLORBLIND_SAFE_COLORS) {
+    /** @type {import('./types.js').Scene[]} */
+    const mistakes = [
+        { background: { ...checked.background, ink: color }, shapes: checked.shapes },
+        { background: { ...checked.background, paper: color }, shapes: checked.shapes },
+        { background: checked.background, shapes: [ { ...checked.shapes[0], ink: color } ] },
+        { background: checked.background, shapes: [ { ...checked.shapes[0], paper: color } ] },
+        { background: checked.background, shapes: [ { ...checked.shapes[0], strokeColor: color } ] },
+    ];
+    for (const { background, shapes } of mistakes) {
+        if (eqColor(background.ink, background.paper) || eqColor(shapes[0].ink, shapes[0].paper)) continue;
+        if (JSON.stringify({ background, shapes }) === JSON.stringify(checked)) continue;
+        throws(() => decodeSceneToInteger(background, shapes, checkedOptions), (/** @type {any} */ error) => {
+            eq(error.message.startsWith(`${xpx} checksum mismatch, did you mean `), true);
+            eq(error.suggestions.includes(1000), true);
+            return true;
+        });
+    }
+}
+const { color: pink } = ENCODER_COLORBLIND_SAFE_COLORS[7];
+throws(() => decodeSceneToInteger(checked.background, [ { ...checked.shapes[0], strokeColor: pink } ], checkedOptions), {
+    message: /checksum mismatch, did you mean 1000, 999, 1006 or 1300\?/,
+    suggestions: [ 1000, 999, 1006, 1300 ],
+});
+
+
+// The extended alphabet.
+
+// Round trips, with and without a key.
+for (const options of /** @type {EncodeOptions[]} */ ([
+    { alphabet: 'extended' },
+    { alphabet: 'extended', key: 'secret', max: Number.MAX_SAFE_INTEGER },
+])) {
+    const { max = 2 ** 32 - 1 } = options;
+    for (let i = 0; i <= 100; i++) {
+        const n = Math.floor(max * i / 100);
+        const { background, shapes } = encodeIntegerToScene(n, options);
+        eq(decodeSceneToInteger(background, shapes, options), n);
+    }
+}
+
+// A scene must be decoded with the alphabet it was encoded with.
+const extended = encodeIntegerToScene(5328 * 3, { alphabet: 'extended' });
+eq(extended.shapes[1].kind, 'hexagon');
+throws(() => decodeSceneToInteger(extended.background, extended.shapes), { message: /shapes\[1\]\.kind must be one of 'circle', 'square' or 'triangle'/});
+
+// A kind 8 places away, eg a circle retyped as a cross, gives the same check
+// digit, so the extended alphabet can not be used in checksum mode.
+const circleDigits = [ 0, 1, 0, 0, 2, 3, 1, 0, 4, 2 ];
+const crossDigits = [ 0, 1, 0, 8, 2, 3, 1, 0, 4, 2 ];
+eq(getCheckDigit(crossDigits), getCheckDigit(circleDigits));
+const uncheckable = encodeIntegerToScene(0, { alphabet: 'extended' });
+eq(uncheckable.shapes[0].kind, 'circle');
+throws(() => decodeSceneToInteger(uncheckable.background, [ { ...uncheckable.shapes[0], kind: 'cross' }, uncheckable.shapes[1] ],
+    { alphabet: 'extended', checksum: true }), { name: 'RangeError', message: /options\.checksum can not be used with the 'extended' alphabet/});
+
+// In the classic alphabet, every digit has 8 values or fewer, so changing any
+// one of them to any other value is a checksum mismatch. Changing an ink digit
+// keeps the paper color, as retyping one color word would.
+const classicRadices = [ 8, 7, 2, 3, 2, 8, 7, 2, 8, 3 ];
+for (let i = 0; i < circleDigits.length; i++) {
+    if (i === 8) continue; // the check digit
+    const isInk = i === 0 || i === 5;
+    const paperIndex = (circleDigits[i] + 1 + circleDigits[i + 1]) % 8;
+    for (let value = 0; value < classicRadices[i]; value++) {
+        if (value === circleDigits[i] || (isInk && value === paperIndex)) continue;
+        const changed = [ ...circleDigits ];
+        changed[i] = value;
+        if (isInk) changed[i + 1] = (paperIndex - value - 1 + 8) % 8;
+        eq(getCheckDigit(changed) === getCheckDigit(circleDigits), false);
+    }
+}
+
+
+// The classic palette.
+
+// Round trips, with and without a check digit or key.
+for (const options of /** @type {EncodeOptions[]} */ ([
+    { palette: 'classic' },
+    { palette: 'classic', checksum: true },
+    { palette: 'classic', alphabet: 'extended', key: 'secret', max: Number.MAX_SAFE_INTEGER },
+])) {
+    const { max = 2 ** 32 - 1 } = options;
+    for (let i = 0; i <= 100; i++) {
+        const n = Math.floor(max * i / 100);
+        const { background, shapes } = encodeIntegerToScene(n, options);
+        eq(decodeSceneToInteger(background, shapes, options), n);
+    }
+}
+
+// A scene must be decoded with the palette it was encoded with.
+const classic = encodeIntegerToScene(1000, { palette: 'classic' });
+throws(() => decodeSceneToInteger(classic.background, classic.shapes), { message: /background\.ink is not one of the encoder's colors/});
+throws(() => decodeSceneToInteger(validBg, validShapes, { palette: 'classic' }), { message: /background\.ink is not one of the encoder's colors/});
+eq(decodeSceneToInteger(validBg, validShapes, { palette: 'colorblind-safe' }), 123456789);
+
+
+// Keyed mode.
+
+// Round trips, with and without a check digit.
+for (const options of /** @type {EncodeOptions[]} */ ([
+    { key: 'secret' },
+    { key: 'secret', checksum: true },
+    { key: 'secret', min: -500, max: 1500 },
+    { key: 'secret', max: Number.MAX_SAFE_INTEGER },
+])) {
+    const { min = 0, max = 2 ** 32 - 1 } = options;
+    for (let i = 0; i <= 100; i++) {
+        const n = min + Math.floor((max - min) * i / 100);
+        const { background, shapes } = encodeIntegerToScene(n, options);
+        eq(decodeSceneToInteger(background, shapes, options), n);
+    }
+}
+
+// The wrong key, or no key, decodes to a different integer.
+const keyed = encodeIntegerToScene(1000, { key: 'secret' });
+eq(decodeSceneToInteger(keyed.background, keyed.shapes, { key: 'secret' }), 1000);
+eq(decodeSceneToInteger(keyed.background, keyed.shapes, { key: 'Secret' }) === 1000, false);
+eq(decodeSceneToInteger(keyed.background, keyed.shapes) === 1000, false);
+
+console.log(`All ${xpx} tests passed!`);
@@ -0,0 +1,40 @@
+/**
+ * @typedef {import('./types.js').ColorDepth} ColorDepth
+ */
+
+/** #### Detects how many colors a terminal supports, from its environment
+ * Follows the usual conventions, in this order:
+ * - `NO_COLOR` set to anything but '' means no color at all
+ *   (see https://no-color.org)
+ * - `COLORTERM` of 'truecolor' or '24bit' means 24-bit color
+ * - `TERM` of 'dumb' means no color at all
+ * - `TERM` ending '-direct' means 24-bit color, and `TERM` containing
+ *   '256color' (or any other `COLORTERM`) means 256 colors
+ * - Any other `TERM`, or no `TERM`, means the basic 16 colors, which CI
+ *   logs and old terminals can show
+ * @param {Record<string, string|undefined>} [env] The environment variables,
+ *   which default to `process.env`, or none outside Node.js
+ * @returns {Exclude<ColorDepth, 'auto'>} A color depth for `renderAnsi()`
+ */
+export const detectColorDepth = (
+    env = typeof process === 'object' && typeof process.env === 'object'
+        ? process.env
+        : {},
+) => {
+    const xpx = 'detectColorDepth()';
+
+    // Validate the argument.
+    if (env === null || Array.isArray(env)) throw TypeError(
+        `${xpx} env is '${env === null ? 'null' : 'array'}' not a plain object`);
+    if (typeof env !== 'object') throw TypeError(
+        `${xpx} env is type '${typeof env}' not 'object'`);
+
+    if (env.NO_COLOR) return 'monochrome';
+    const colorTerm = (env.COLORTERM || '').toLowerCase();
+    if (colorTerm === 'truecolor' || colorTerm === '24bit') return 'truecolor';
+    const term = (env.TERM || '').toLowerCase();
+    if (term === 'dumb') return 'monochrome';
+    if (term.endsWith('-direct')) return 'truecolor';
+    if (term.includes('256color') || colorTerm !== '') return '256';
+    return '16';
+}
@@ -0,0 +1,37 @@
+import { throws, deepStrictEqual as eq } from 'node:assert/strict';
+import { detectColorDepth } from './detect-color-depth.js';
+
+const xpx = 'detectColorDepth()';
+
+
+// Invalid arguments.
+
+throws(() => detectColorDepth(null), { message: /^detectColorDepth\(\) env is 'null' not a plain object/});
+// @ts-expect-error
+throws(() => detectColorDepth('TERM=xterm'), { message: /env is type 'string' not 'object'/});
+
+
+// Valid inputs.
+
+// NO_COLOR wins over everything else, unless it is empty.
+eq(detectColorDepth({ NO_COLOR: '1', COLORTERM: 'truecolor', TERM: 'xterm-256color' }), 'monochrome');
+eq(detectColorDepth({ NO_COLOR: '', COLORTERM: 'truecolor' }), 'truecolor');
+
+// COLORTERM.
+eq(detectColorDepth({ COLORTERM: 'truecolor', TERM: 'xterm' }), 'truecolor');
+eq(detectColorDepth({ COLORTERM: '24bit' }), 'truecolor');
+eq(detectColorDepth({ COLORTERM: 'yes', TERM: 'xterm' }), '256');
+
+// TERM.
+eq(detectColorDepth({ TERM: 'dumb' }), 'monochrome');
+eq(detectColorDepth({ TERM: 'xterm-direct' }), 'truecolor');
+eq(detectColorDepth({ TERM: 'xterm-256color' }), '256');
+eq(detectColorDepth({ TERM: 'screen.xterm-256color' }), '256');
+eq(detectColorDepth({ TERM: 'xterm' }), '16');
+eq(detectColorDepth({ TERM: 'vt100' }), '16');
+eq(detectColorDepth({}), '16');
+
+// Defaults to process.env.
+eq(detectColorDepth(), detectColorDepth(process.env));
+
+console.log(`All ${xpx} tests passed!`);
@@ -0,0 +1,473 @@
+import {
+    isIntInRange,
+    validateEncodeOptions,
+} from './validate-args.js';
+import { permute } from './keyed-permutation.js';
+
+/**
+ * @typedef {import('./types.js').Background} Background
+ * @typedef {import('./types.js').Color} Color
+ * @typedef {import('./types.js').EncodeOptions} EncodeOptions
+ * @typedef {import('./types.js').NamedColor} NamedColor
+ * @typedef {import('./types.js').Scene} Scene
+ * @typedef {import('./types.js').Shape} Shape
+ */
+
+// The alphabet of the integer encoder. Each scene is a mixed-radix number,
+// and these tables are its digits. Changing, reordering or appending to any
+// of them would change the scene of every integer, breaking the promise that
+// the same integer always gives the same illustration across versions.
+
+/** The colors of the 'classic' palette. Some pairs of them, such as red and
+ *  green, can not be told apart with red-green color blindness (see
+ *  `checkSceneColors()`), and the encoder does not avoid those pairs.
+ */
+export const ENCODER_COLORS = Object.freeze([
+    { name: 'red', color: Object.freeze({ red: 220, green: 40, blue: 40 }) },
+    { name: 'orange', color: Object.freeze({ red: 250, green: 140, blue: 20 }) },
+    { name: 'yellow', color: Object.freeze({ red: 250, green: 220, blue: 50 }) },
+    { name: 'green', color: Object.freeze({ red: 40, green: 160, blue: 60 }) },
+    { name: 'blue', color: Object.freeze({ red: 50, green: 110, blue: 230 }) },
+    { name: 'navy', color: Object.freeze({ red: 20, green: 30, blue: 100 }) },
+    { name: 'purple', color: Object.freeze({ red: 140, green: 60, blue: 180 }) },
+    { name: 'white', color: Object.freeze({ red: 245, green: 245, blue: 240 }) },
+]);
+
+/** The colors of the default 'colorblind-safe' palette. These are the Okabe-Ito
+ *  colors, and every pair of them can be told apart with each kind of color
+ *  blindness (see `checkSceneColors()`), unlike some classic colors, such as
+ *  red and green. There are as many of them as there are classic colors, so
+ *  the radices of a scene's digits are the same with either palette.
+ */
+export const ENCODER_COLORBLIND_SAFE_COLORS = Object.freeze([
+    { name: 'black', color: Object.freeze({ red: 0, green: 0, blue: 0 }) },
+    { name: 'orange', color: Object.freeze({ red: 230, green: 159, blue: 0 }) },
+    { name: 'sky', color: Object.freeze({ red: 86, green: 180, blue: 233 }) },
+    { name: 'green', color: Object.freeze({ red: 0, green: 158, blue: 115 }) },
+    { name: 'yellow', color: Object.freeze({ red: 240, green: 228, blue: 66 }) },
+    { name: 'blue', color: Object.freeze({ red: 0, green: 114, blue: 178 }) },
+    { name: 'vermilion', color: Object.freeze({ red: 213, green: 94, blue: 0 }) },
+    { name: 'pink', color: Object.freeze({ red: 204, green: 121, blue: 167 }) },
+]);
+
+/** The colors of each palette, by the name of `options.palette` */
+export const ENCODER_PALETTES = Object.freeze({
+    classic: ENCODER_COLORS,
+    'colorblind-safe': ENCODER_COLORBLIND_SAFE_COLORS,
+});
+
+/** @type {readonly Shape['kind'][]} */
+export const ENCODER_KINDS = Object.freeze(['circle', 'square', 'triangle']);
+
+/** The kinds of the opt-in 'extended' alphabet. It starts with the classic
+ *  kinds, but every digit after the first kind has a different weight, so
+ *  its scenes are unrelated to the classic scenes of the same integer.
+ * @type {readonly Shape['kind'][]}
+ */
+export const ENCODER_EXTENDED_KINDS = Object.freeze([
+    ...ENCODER_KINDS, 'hexagon', 'star', 'rounded-square', 'ellipse', 'ring', 'cross']);
+
+/** The kinds of each alphabet, by the name of `options.alphabet` */
+export const ENCODER_ALPHABETS = Object.freeze({
+    classic: ENCODER_KINDS,
+    extended: ENCODER_EXTENDED_KINDS,
+});
+
+/** @type {readonly import('./types.js').Pattern[]} */
+export const ENCODER_PATTERNS = Object.freeze(['breton', 'pinstripe']);
+
+/** Shape sizes (radius or half-size) in world units */
+export const ENCODER_SIZES = Object.freeze([1, 2]);
+
+/** @type {readonly Shape['strokePosition'][]} */
+export const ENCODER_STROKE_POSITIONS = Object.freeze(['inside', 'center', 'outside']);
+
+/** Every encoded shape has the same stroke width, in pixel units */
+export const ENCODER_STROKE_WIDTH = 1;
+
+// A paper color is never the same as its ink color, so there is one fewer
+// choice of paper than there are colors.
+const COLOR_RADIX = ENCODER_COLORS.length;
+const PAPER_RADIX = ENCODER_COLORS.length - 1;
+
+/** The radices of the background digits: ink, paper and pattern */
+export const BACKGROUND_RADICES = Object.freeze([
+    COLOR_RADIX,
+    PAPER_RADIX,
+    ENCODER_PATTERNS.length,
+]);
+
+/** The radices of each shape's digits in the classic alphabet: kind, size,
+ *  ink, paper, pattern, strokeColor and strokePosition */
+export const SHAPE_RADICES = Object.freeze([
+    ENCODER_KINDS.length,
+    ENCODER_SIZES.length,
+    COLOR_RADIX,
+    PAPER_RADIX,
+    ENCODER_PATTERNS.length,
+    COLOR_RADIX,
+    ENCODER_STROKE_POSITIONS.length,
+]);
+
+/** #### Gets the radices of each shape's digits, for an alphabet of kinds
+ * @param {readonly Shape['kind'][]} kinds The kinds of shape in the alphabet
+ * @returns {number[]} The radices, most significant first
+ */
+const getShapeRadices = (kinds) => [kinds.length, ...SHAPE_RADICES.slice(1)];
+
+/** The number of ways to combine an ink, a paper and a pattern */
+const FILL_COUNT = COLOR_RADIX * PAPER_RADIX * ENCODER_PATTERNS.length;
+
+/** #### Gets the radices of each shape's data digits, for an alphabet of kinds
+ * Data digits carry an integer's value. A shape's ink, paper and pattern
+ * share one data digit, its fill, which skips over the background's fill in
+ * the same way that paper skips over ink, so no shape has the same colors
+ * and pattern as the background it sits on.
+ * @param {readonly Shape['kind'][]} kinds The kinds of shape in the alphabet
+ * @returns {number[]} The radices of kind, size, fill, strokeColor and
+ *   strokePosition
+ */
+const getShapeDataRadices = (kinds) => [
+    kinds.length,
+    ENCODER_SIZES.length,
+    FILL_COUNT - 1,
+    COLOR_RADIX,
+    ENCODER_STROKE_POSITIONS.length,
+];
+
+/** #### Gets the fill of a background or shape, from its ink, paper and pattern digits
+ * @param {number[]} digits The scene's digits
+ * @param {number} index The index of the ink digit
+ * @returns {number} The fill, between 0 and FILL_COUNT - 1
+ */
+const getFill = (digits, index) =>
+    (digits[index] * PAPER_RADIX + digits[index + 1]) * ENCODER_PATTERNS.length + digits[index + 2];
+
+/** #### Gets the radices of every digit in a scene, most significant first
+ * @param {number} shapeCount The number of shapes in the scene
+ * @param {readonly Shape['kind'][]} [kinds=ENCODER_KINDS] The alphabet's kinds
+ * @returns {number[]} The background's radices, followed by each shape's
+ */
+export const getSceneRadices = (shapeCount, kinds = ENCODER_KINDS) => [
+    ...BACKGROUND_RADICES,
+    ...Array.from({ length: shapeCount }, () => getShapeRadices(kinds)).flat(),
+];
+
+/** #### Gets the index of the check digit, in checksum mode
+ * The check digit is the last shape's strokeColor, so it is always the
+ * second-to-last digit of the scene.
+ * @param {number} shapeCount The number of shapes in the scene
+ * @returns {number} The index of the check digit
+ */
+export const getCheckDigitIndex = (shapeCount) =>
+    BACKGROUND_RADICES.length + shapeCount * SHAPE_RADICES.length - 2;
+
+/** #### Gets the radices of the data digits which carry an integer's value
+ * These are the background's digits, then each shape's kind, size, fill,
+ * strokeColor and strokePosition. In checksum mode the check digit carries
+ * no value, so it is left out.
+ * @param {number} shapeCount The number of shapes in the scene
+ * @param {boolean} checksum Whether the scene has a check digit
+ * @param {readonly Shape['kind'][]} [kinds=ENCODER_KINDS] The alphabet's kinds
+ * @returns {number[]} The radices, most significant first
+ */
+export const getDataRadices = (shapeCount, checksum, kinds = ENCODER_KINDS) => {
+    const radices = [
+        ...BACKGROUND_RADICES,
+        ...Array.from({ length: shapeCount }, () => getShapeDataRadices(kinds)).flat(),
+    ];
+    // Like the scene's, the data's check digit is the last shape's strokeColor.
+    if (checksum) radices.splice(radices.length - 2, 1);
+    return radices;
+}
+
+/** #### Gets how many shapes are needed to encode every integer in a range
+ * - At least one shape is always used, even if the background alone would do
+ * @param {bigint} span The number of integers in the range, eg `max - min + 1`
+ * @param {boolean} [checksum=false] Whether the scene has a check digit
+ * @param {readonly Shape['kind'][]} [kinds=ENCODER_KINDS] The alphabet's kinds
+ * @returns {number} The number of shapes
+ */
+export const getShapeCount = (span, checksum = false, kinds = ENCODER_KINDS) => {
+    let shapeCount = 1;
+    let capacity = getDataRadices(shapeCount, checksum, kinds)
+        .reduce((product, radix) => product * BigInt(radix), 1n);
+    const shapeCapacity = getShapeDataRadices(kinds)
+        .reduce((product, radix) => product * BigInt(radix), 1n);
+    while (capacity < span) {
+        shapeCount++;
+        capacity *= shapeCapacity;
+    }
+    return shapeCount;
+}
+
+/** #### Gets the indices of every ink digit in a scene
+ * Each ink digit is immediately followed by its paper digit.
+ * @param {number} shapeCount The number of shapes in the scene
+ * @returns {number[]} The indices of the background's ink, then each shape's
+ */
+export const getInkDigitIndices = (shapeCount) => [
+    0,
+    ...Array.from({ length: shapeCount }, (_, i) =>
+        BACKGROUND_RADICES.length + i * SHAPE_RADICES.length + 2),
+];
+
+/** #### Finds the first shape with the same ink, paper and pattern as the background
+ * `encodeIntegerToScene()` never draws such a shape, but a mistyped scene or
+ * name can describe one.
+ * @param {number[]} digits The scene's digits, most significant first
+ * @param {number} shapeCount The number of shapes in the scene
+ * @returns {number} The index of the shape, or -1 if there is none
+ */
+export const findShapeMatchingBackground = (digits, shapeCount) => {
+    const backgroundFill = getFill(digits, 0);
+    for (let i = 0; i < shapeCount; i++) {
+        const offset = BACKGROUND_RADICES.length + i * SHAPE_RADICES.length;
+        if (getFill(digits, offset + 2) === backgroundFill) return i;
+    }
+    return -1;
+}
+
+/** #### Expands data digits into scene digits
+ * Each shape's fill digit becomes its ink, paper and pattern digits.
+ * @param {number[]} dataDigits The data digits, with a digit in place of
+ *   any check digit, most significant first
+ * @param {number} shapeCount The number of shapes in the scene
+ * @returns {number[]} The scene's digits, most significant first
+ */
+const dataToSceneDigits = (dataDigits, shapeCount) => {
+    const backgroundFill = getFill(dataDigits, 0);
+    const shapeDataLength = (dataDigits.length - BACKGROUND_RADICES.length) / shapeCount;
+    const digits = dataDigits.slice(0, BACKGROUND_RADICES.length);
+    for (let i = 0; i < shapeCount; i++) {
+        const offset = BACKGROUND_RADICES.length + i * shapeDataLength;
+        const [kind, size, fillDigit, strokeColor, strokePosition] =
+            dataDigits.slice(offset, offset + shapeDataLength);
+        const fill = fillDigit < backgroundFill ? fillDigit : fillDigit + 1;
+        const pattern = fill % ENCODER_PATTERNS.length;
+        const inkAndPaper = (fill - pattern) / ENCODER_PATTERNS.length;
+        digits.push(
+            kind,
+            size,
+            Math.floor(inkAndPaper / PAPER_RADIX),
+            inkAndPaper % PAPER_RADIX,
+            pattern,
+            strokeColor,
+            strokePosition,
+        );
+    }
+    return digits;
+}
+
+/** #### Collapses scene digits into data digits
+ * This is the inverse of `dataToSceneDigits()`. Each shape's ink, paper and
+ * pattern digits become its fill digit. A shape which matches the background,
+ * see `findShapeMatchingBackground()`, has no fill digit of its own, so the
+ * data digits of such a scene are only an approximation.
+ * @param {number[]} digits The scene's digits, most significant first
+ * @param {number} shapeCount The number of shapes in the scene
+ * @returns {number[]} The data digits, with the check digit still in place
+ */
+export const sceneToDataDigits = (digits, shapeCount) => {
+    const backgroundFill = getFill(digits, 0);
+    const dataDigits = digits.slice(0, BACKGROUND_RADICES.length);
+    for (let i = 0; i < shapeCount; i++) {
+        const offset = BACKGROUND_RADICES.length + i * SHAPE_RADICES.length;
+        const fill = getFill(digits, offset + 2);
+        dataDigits.push(
+            digits[offset],
+            digits[offset + 1],
+            fill < backgroundFill ? fill : fill - 1,
+            digits[offset + 5],
+            digits[offset + 6],
+        );
+    }
+    return dataDigits;
+}
+
+/** #### Gets the check digit of a scene's digits
+ * The check digit is a weighted sum of every other digit, modulo the number
+ * of colors, 8. Each weight is odd, so changing any single digit by less than
+ * 8 changes the sum, but changing it by exactly 8 does not. Every digit of the
+ * classic alphabet has a radix of 8 or less, so no single change goes
+ * unnoticed. The extended alphabet's 9 kinds would let a circle be retyped as
+ * a cross unnoticed, so `validateEncodeOptions()` rejects it in checksum mode.
+ * Paper colors are summed as color indices, not as paper digits, so that
+ * retyping an ink color word changes one term of the sum, not two.
+ * @param {number[]} digits The digits, most significant first. The value of
+ *   the digit at the check digit's index is ignored.
+ * @returns {number} The check digit
+ */
+export const getCheckDigit = (digits) => {
+    const shapeCount = (digits.length - BACKGROUND_RADICES.length) / SHAPE_RADICES.length;
+    const checkDigitIndex = getCheckDigitIndex(shapeCount);
+    const terms = [...digits];
+    for (const i of getInkDigitIndices(shapeCount)) {
+        terms[i + 1] = (digits[i] + 1 + digits[i + 1]) % COLOR_RADIX;
+    }
+    return terms.reduce((sum, term, i) =>
+        i === checkDigitIndex ? sum : (sum + term * (i * 2 + 1)) % COLOR_RADIX, 0);
+}
+
+/** #### Gets the world-space position of a shape, from its index
+ * Shapes are laid out in a grid of up to 6 × 6 world units, centred on the
+ * world origin. One shape sits at the origin, two sit side by side, three or
+ * four fill a 2 × 2 grid, and so on.
+ * @param {number} index The index of the shape in the shapes array
+ * @param {number} shapeCount The number of shapes in the scene
+ * @returns {{ x: number, y: number }} The position, in integer world units
+ */
+export const getSlotPosition = (index, shapeCount) => {
+    const cols = Math.ceil(Math.sqrt(shapeCount));
+    const rows = Math.ceil(shapeCount / cols);
+    const col = index % cols;
+    const row = Math.floor(index / cols);
+    // Adding 0 turns any -0 into 0, so positions compare equal in tests.
+    return {
+        x: Math.round((col - (cols - 1) / 2) * 6 / Math.max(1, cols - 1)) + 0,
+        y: Math.round((row - (rows - 1) / 2) * 6 / Math.max(1, rows - 1)) + 0,
+    };
+}
+
+/** #### Converts a non-negative integer into mixed-radix digits
+ * @param {bigint} value The value to convert, which must fit the radices
+ * @param {number[]} radices The radix of each digit, most significant first
+ * @returns {number[]} The digits, most significant first
+ */
+export const toDigits = (value, radices) => {
+    const digits = new Array(radices.length);
+    for (let i = radices.length - 1; i >= 0; i--) {
+        const radix = BigInt(radices[i]);
+        digits[i] = Number(value % radix);
+        value /= radix;
+    }
+    return digits;
+}
+
+/** #### Converts mixed-radix digits back into a non-negative integer
+ * @param {number[]} digits The digits, most significant first
+ * @param {number[]} radices The radix of each digit, most significant first
+ * @returns {bigint} The value
+ */
+export const fromDigits = (digits, radices) =>
+    digits.reduce((value, digit, i) => value * BigInt(radices[i]) + BigInt(digit), 0n);
+
+/** #### Picks a paper color, skipping over the ink color
+ * @param {number} inkDigit The index of the ink color in the palette
+ * @param {number} paperDigit A digit between 0 and PAPER_RADIX - 1
+ * @param {readonly NamedColor[]} colors The palette's colors
+ * @returns {Color} A copy of the paper color
+ */
+const pickPaper = (inkDigit, paperDigit, colors) =>
+    ({ ...colors[(inkDigit + 1 + paperDigit) % COLOR_RADIX].color });
+
+/** #### Builds a scene from its mixed-radix digits
+ * @param {number[]} digits The digits, as returned by `integerToDigits()`
+ * @param {number} shapeCount The number of shapes in the scene
+ * @param {readonly Shape['kind'][]} [kinds=ENCODER_KINDS] The alphabet's kinds
+ * @param {readonly NamedColor[]} [colors=ENCODER_COLORS] The palette's colors
+ * @returns {Scene} The scene
+ */
+export const digitsToScene = (digits, shapeCount, kinds = ENCODER_KINDS, colors = ENCODER_COLORS) => {
+    const [bgInk, bgPaper, bgPattern] = digits;
+
+    /** @type {Background} */
+    const background = {
+        ink: { ...colors[bgInk].color },
+        paper: pickPaper(bgInk, bgPaper, colors),
+        pattern: ENCODER_PATTERNS[bgPattern],
+    };
+
+    /** @type {Shape[]} */
+    const shapes = [];
+    for (let i = 0; i < shapeCount; i++) {
+        const offset = BACKGROUND_RADICES.length + i * SHAPE_RADICES.length;
+        const [kind, size, ink, paper, pattern, strokeColor, strokePosition] =
+            digits.slice(offset, offset + SHAPE_RADICES.length);
+        shapes.push({
+            kind: kinds[kind],
+            size: ENCODER_SIZES[size],
+            position: getSlotPosition(i, shapeCount),
+            ink: { ...colors[ink].color },
+            paper: pickPaper(ink, paper, colors),
+            pattern: ENCODER_PATTERNS[pattern],
+            strokeColor: { ...colors[strokeColor].color },
+            strokePosition: ENCODER_STROKE_POSITIONS[strokePosition],
+            strokeWidth: ENCODER_STROKE_WIDTH,
+        });
+    }
+
+    return { background, shapes };
+}
+
+/** #### Converts an integer to the digits of its scene
+ * @param {number} n The integer to convert, which must be in range
+ * @param {import('./types.js').EncodeSettings} settings The validated options
+ * @returns {{ digits: number[], shapeCount: number }} The digits, most significant first
+ */
+export const integerToDigits = (n, { min, max, checksum, key, alphabet }) => {
+    const kinds = ENCODER_ALPHABETS[alphabet];
+    const span = BigInt(max) - BigInt(min) + 1n;
+    const shapeCount = getShapeCount(span, checksum, kinds);
+    let offset = BigInt(n) - BigInt(min);
+    if (key !== null) offset = permute(offset, span, key);
+    const dataDigits = toDigits(offset, getDataRadices(shapeCount, checksum, kinds));
+    if (checksum) dataDigits.splice(dataDigits.length - 1, 0, 0);
+    const digits = dataToSceneDigits(dataDigits, shapeCount);
+    if (checksum) {
+        const checkDigitIndex = getCheckDigitIndex(shapeCount);
+        digits[checkDigitIndex] = getCheckDigit(digits);
+    }
+    return { digits, shapeCount };
+}
+
+/** #### Encodes an integer as a deterministic scene
+ * The integer's offset from `options.min` is written as a mixed-radix number,
+ * whose digits pick the background and each shape's colors, kind, size,
+ * pattern and stroke. No shape has the same ink, paper and pattern as the
+ * background. Every integer in the declared range gets the same number of
+ * shapes, so the range should not change once IDs are published.
+ *
+ * If `options.checksum` is true, the last shape's strokeColor is a check
+ * digit rather than part of the integer, so `decodeSceneToInteger()` can
+ * tell when a scene has been mistyped.
+ *
+ * If `options.key` is set, the integer's offset is first scrambled by a keyed
+ * permutation of the declared range, so neighbouring integers give unrelated
+ * scenes. Only the same key will decode them.
+ *
+ * If `options.alphabet` is 'extended', shapes can also be hexagons, stars,
+ * rounded squares, ellipses, rings and crosses, so large ranges need fewer
+ * shapes. The extended alphabet gives different scenes to the default
+ * 'classic' one, so it must be chosen before any IDs are published. It can
+ * not be combined with `options.checksum`.
+ *
+ * By default, scenes are painted with the 'colorblind-safe' palette, whose
+ * colors people with any kind of color blindness can tell apart. If
+ * `options.palette` is 'classic', they are painted with a palette which does
+ * not meet that requirement: some of its pairs, such as red and green, look
+ * alike with red-green color blindness. The digits are the same with either
+ * palette, but the colors are not, so the palette too must be chosen before
+ * any IDs are published.
+ * @param {number} n The integer to encode
+ * @param {EncodeOptions} [options={}] The declared range, default 0 to 2^32 - 1,
+ *   whether to add a check digit, an optional secret key, the alphabet and
+ *   the palette
+ * @returns {Scene} A background and shapes, ready for `renderAnsi()`
+ */
+export const encodeIntegerToScene = (n, options = {}) => {
+    const xpx = 'encodeIntegerToScene()';
+
+    // Validate the arguments.
+    const settings = validateEncodeOptions(options, xpx);
+    const { min, max } = settings;
+    if (typeof n !== 'number') throw TypeError(
+        `${xpx} n is type '${typeof n}' not 'number'`);
+    if (!isIntInRange(n, min, max)) throw RangeError(
+        `${xpx} n must be an integer between ${min} and ${max}`);
+
+    // Convert the integer to digits, and the digits to a scene.
+    const { digits, shapeCount } = integerToDigits(n, settings);
+    return digitsToScene(digits, shapeCount,
+        ENCODER_ALPHABETS[settings.alphabet], ENCODER_PALETTES[settings.palette]);
+}
@@ -0,0 +1,177 @@
+import { throws, deepStrictEqual as eq } from 'node:assert/strict';
+import { checkSceneColors } from './color.js';
+import { encodeIntegerToScene } from './encode-integer.js';
+import { validateBackground, validateShape } from './validate-args.js';
+
+const xpx = 'encodeIntegerToScene()';
+
+
+// Invalid n.
+
+// @ts-expect-error
+throws(() => encodeIntegerToScene(), { message: /n is type 'undefined' not 'number'/});
+// @ts-expect-error
+throws(() => encodeIntegerToScene('123'), { message: /n is type 'string' not 'number'/});
+throws(() => encodeIntegerToScene(1.5), { message: /n must be an integer between 0 and 4294967295/});
+throws(() => encodeIntegerToScene(-1), { message: /n must be an integer between 0 and 4294967295/});
+throws(() => encodeIntegerToScene(2 ** 32), { message: /n must be an integer between 0 and 4294967295/});
+throws(() => encodeIntegerToScene(NaN), { message: /n must be an integer between 0 and 4294967295/});
+throws(() => encodeIntegerToScene(11, { min: 1, max: 10 }), { message: /n must be an integer between 1 and 10/});
+
+
+// Invalid options.
+
+throws(() => encodeIntegerToScene(0, null), { message: /options is 'null' not a plain object/});
+// @ts-expect-error
+throws(() => encodeIntegerToScene(0, []), { message: /options is 'array' not a plain object/});
+// @ts-expect-error
+throws(() => encodeIntegerToScene(0, 'big'), { message: /options is type 'string' not 'object'/});
+// @ts-expect-error
+throws(() => encodeIntegerToScene(0, { min: '0' }), { message: /options\.min is type 'string' not 'number'/});
+throws(() => encodeIntegerToScene(0, { min: 0.5 }), { message: /options\.min must be a safe integer/});
+throws(() => encodeIntegerToScene(0, { max: null }), { message: /options\.max is type 'object' not 'number'/});
+throws(() => encodeIntegerToScene(0, { max: 2 ** 53 }), { message: /options\.max must be a safe integer/});
+throws(() => encodeIntegerToScene(0, { min: 10, max: 9 }), { message: /options\.min must not be greater than options\.max/});
+// @ts-expect-error
+throws(() => encodeIntegerToScene(0, { checksum: 1 }), { message: /options\.checksum is type 'number' not 'boolean'/});
+// @ts-expect-error
+throws(() => encodeIntegerToScene(0, { key: 123 }), { message: /options\.key is type 'number' not 'string'/});
+throws(() => encodeIntegerToScene(0, { key: '' }), { message: /options\.key must not be an empty string/});
+throws(() => encodeIntegerToScene(0, { alphabet: null }), { message: /options\.alphabet is type 'object' not 'string'/});
+// @ts-expect-error
+throws(() => encodeIntegerToScene(0, { alphabet: 'greek' }), { message: /options\.alphabet must be one of 'classic' or 'extended'/});
+// @ts-expect-error
+throws(() => encodeIntegerToScene(0, { palette: 1 }), { message: /options\.palette is type 'number' not 'string'/});
+// @ts-expect-error
+throws(() => encodeIntegerToScene(0, { palette: 'pastel' }), { message: /options\.palette must be one of 'classic' or 'colorblind-safe'/});
+throws(() => encodeIntegerToScene(0, { checksum: true, alphabet: 'extended' }), { name: 'RangeError', message: /options\.checksum can not be used with the 'extended' alphabet/});
+
+
+// Valid inputs.
+
+// The lowest integer in the default range. Its shapes' fills skip over the
+// background's black and orange breton, to the next fill, pinstripe.
+eq(encodeIntegerToScene(0), {
+    background: {
+        ink: { red: 0, green: 0, blue: 0 },
+        paper: { red: 230, green: 159, blue: 0 },
+        pattern: 'breton',
+    },
+    shapes: [
+        {
+            kind: 'circle',
+            size: 1,
+            position: { x: -3, y: 0 },
+            ink: { red: 0, green: 0, blue: 0 },
+            paper: { red: 230, green: 159, blue: 0 },
+            pattern: 'pinstripe',
+            strokeColor: { red: 0, green: 0, blue: 0 },
+            strokePosition: 'inside',
+            strokeWidth: 1,
+        },
+        {
+            kind: 'circle',
+            size: 1,
+            position: { x: 3, y: 0 },
+            ink: { red: 0, green: 0, blue: 0 },
+            paper: { red: 230, green: 159, blue: 0 },
+            pattern: 'pinstripe',
+            strokeColor: { red: 0, green: 0, blue: 0 },
+            strokePosition: 'inside',
+            strokeWidth: 1,
+        },
+    ],
+});
+
+// The least significant digit is the last shape's strokePosition.
+eq(encodeIntegerToScene(1).shapes[1].strokePosition, 'center');
+eq(encodeIntegerToScene(2).shapes[1].strokePosition, 'outside');
+eq(encodeIntegerToScene(3).shapes[1].strokePosition, 'inside');
+eq(encodeIntegerToScene(3).shapes[1].strokeColor, { red: 230, green: 159, blue: 0 });
+
+// The same integer always gives the same scene.
+eq(encodeIntegerToScene(123456789), encodeIntegerToScene(123456789));
+eq(encodeIntegerToScene(123456789).shapes.map(({ kind, size }) => `${kind} ${size}`),
+    ['square 1', 'triangle 1']);
+
+// A shifted range gives the same scene for the same offset from `min`.
+eq(encodeIntegerToScene(-5, { min: -5, max: 100 }), encodeIntegerToScene(0, { min: 0, max: 105 }));
+
+// The number of shapes depends on the size of the declared range.
+eq(encodeIntegerToScene(7, { min: 7, max: 7 }).shapes.length, 1);
+eq(encodeIntegerToScene(0, { max: 1_000_000 }).shapes.length, 1);
+eq(encodeIntegerToScene(0).shapes.length, 2);
+eq(encodeIntegerToScene(0, { max: Number.MAX_SAFE_INTEGER }).shapes.length, 4);
+eq(encodeIntegerToScene(0, { min: Number.MIN_SAFE_INTEGER, max: Number.MAX_SAFE_INTEGER }).shapes.length, 4);
+eq(encodeIntegerToScene(0, { max: Number.MAX_SAFE_INTEGER }).shapes.map(({ position }) => position), [
+    { x: -3, y: -3 }, { x: 3, y: -3 }, { x: -3, y: 3 }, { x: 3, y: 3 } ]);
+
+// In checksum mode, the last shape's strokeColor is a check digit, so an
+// extra shape may be needed.
+eq(encodeIntegerToScene(0, { checksum: true, max: 100_000 }).shapes.length, 1);
+eq(encodeIntegerToScene(0, { checksum: true }).shapes.length, 3);
+eq(encodeIntegerToScene(1, { checksum: true }).shapes[2].strokePosition, 'center');
+eq(encodeIntegerToScene(0, { checksum: true }).shapes[2].strokeColor, { red: 0, green: 158, blue: 115 });
+eq(encodeIntegerToScene(1, { checksum: true }).shapes[2].strokeColor, { red: 86, green: 180, blue: 233 });
+
+// With a secret key, neighbouring integers give unrelated scenes.
+/** @type {(a: import('./types.js').Scene, b: import('./types.js').Scene) => number} */
+const countDifferences = (a, b) => [a.background, ...a.shapes].reduce((count, item, i) =>
+    count + Object.entries(item).filter(([field, value]) =>
+        JSON.stringify(value) !== JSON.stringify(/** @type {any} */ ([b.background, ...b.shapes][i])[field])).length, 0);
+eq(countDifferences(encodeIntegerToScene(1000), encodeIntegerToScene(1001)), 1);
+eq(countDifferences(encodeIntegerToScene(1000, { key: 'secret' }), encodeIntegerToScene(1001, { key: 'secret' })) > 5, true);
+eq(encodeIntegerToScene(1000, { key: 'secret' }), encodeIntegerToScene(1000, { key: 'secret' }));
+eq(countDifferences(encodeIntegerToScene(1000, { key: 'secret' }), encodeIntegerToScene(1000, { key: 'other' })) > 5, true);
+
+// The extended alphabet has more kinds of shape, so large ranges need fewer
+// shapes. Its scenes are not the classic scenes.
+eq(encodeIntegerToScene(0, { alphabet: 'classic' }), encodeIntegerToScene(0));
+eq(encodeIntegerToScene(0, { alphabet: 'extended' }).shapes.length, 2);
+eq(encodeIntegerToScene(0, { alphabet: 'extended', max: Number.MAX_SAFE_INTEGER }).shapes.length, 3);
+eq(encodeIntegerToScene(123456789, { alphabet: 'extended' }).shapes.map(({ kind, size }) => `${kind} ${size}`),
+    ['circle 1', 'rounded-square 1']);
+// The last shape's kind is worth 2 × 111 × 8 × 3 = 5328.
+eq(Array.from({ length: 10 }, (_, i) => encodeIntegerToScene(i * 5328, { alphabet: 'extended' }).shapes[1].kind), [
+    'circle', 'square', 'triangle', 'hexagon', 'star', 'rounded-square', 'ellipse', 'ring', 'cross', 'circle' ]);
+
+// The default colorblind-safe palette has the same digits as the classic
+// palette, but different colors, which can all be told apart with any color
+// vision. The classic palette's colors can not.
+eq(encodeIntegerToScene(0, { palette: 'colorblind-safe' }), encodeIntegerToScene(0));
+eq(encodeIntegerToScene(0, { palette: 'classic' }).background,
+    { ink: { red: 220, green: 40, blue: 40 }, paper: { red: 250, green: 140, blue: 20 }, pattern: 'breton' });
+eq(encodeIntegerToScene(123456789, { palette: 'classic' }).shapes.map(({ kind, size }) => `${kind} ${size}`),
+    encodeIntegerToScene(123456789).shapes.map(({ kind, size }) => `${kind} ${size}`));
+for (let i = 0; i <= 100; i++) {
+    const { background, shapes } = encodeIntegerToScene(Math.floor((2 ** 32 - 1) * i / 100));
+    eq(checkSceneColors(background, shapes), []);
+}
+const classicProblems = Array.from({ length: 101 }, (_, i) => {
+    const { background, shapes } = encodeIntegerToScene(Math.floor((2 ** 32 - 1) * i / 100), { palette: 'classic' });
+    return checkSceneColors(background, shapes);
+}).flat();
+eq(classicProblems.some(({ vision }) => vision === 'deuteranopia'), true);
+
+// Every scene is valid, paper never matches ink, and no shape has the same
+// ink, paper and pattern as the background.
+for (const [n, options] of /** @type {[number, import('./types.js').EncodeOptions][]} */ ([
+    [0, {}], [1, {}], [999, {}], [65535, {}], [2 ** 31, {}], [2 ** 32 - 1, {}],
+    [0, { max: 10 }], [10, { max: 10 }],
+    [Number.MAX_SAFE_INTEGER, { max: Number.MAX_SAFE_INTEGER }],
+    [Number.MIN_SAFE_INTEGER, { min: Number.MIN_SAFE_INTEGER, max: Number.MAX_SAFE_INTEGER }],
+    [12345, { checksum: true }], [2 ** 32 - 1, { checksum: true }],
+    [12345, { key: 'secret' }], [2 ** 32 - 1, { key: 'secret', checksum: true }],
+    [2 ** 32 - 1, { alphabet: 'extended' }], [12345, { alphabet: 'extended', key: 'secret' }],
+    [2 ** 32 - 1, { palette: 'classic' }], [12345, { palette: 'classic', key: 'secret' }],
+])) {
+    const { background, shapes } = encodeIntegerToScene(n, options);
+    validateBackground(background, xpx);
+    shapes.forEach((shape, i) => validateShape(shape, xpx, i));
+    eq([background, ...shapes].some(({ ink, paper }) =>
+        ink.red === paper.red && ink.green === paper.green && ink.blue === paper.blue), false);
+    eq(shapes.some(({ ink, paper, pattern }) => JSON.stringify({ ink, paper, pattern }) ===
+        JSON.stringify({ ink: background.ink, paper: background.paper, pattern: background.pattern })), false);
+}
+
+console.log(`All ${xpx} tests passed!`);
@@ -0,0 +1,218 @@
+import { encodeIntegerToScene } from './encode-integer.js';
+import { integerToName } from './name-codec.js';
+import { MAX_RASTER_SIDE, rasterize } from './rasterize.js';
+import { renderSvg } from './render-svg.js';
+import { isIntInRange, validateEncodeOptions } from './validate-args.js';
+
+/**
+ * @typedef {import('./types.js').ElementFormat} ElementFormat
+ * @typedef {import('./types.js').ElementSettings} ElementSettings
+ */
+
+/** The tag name that the element is defined as, when it is imported in a browser */
+export const ELEMENT_NAME = 'illustrated-number';
+
+/** The attributes which make the element draw itself again when they change */
+export const ELEMENT_ATTRIBUTES = Object.freeze([
+    'value',
+    'size',
+    'format',
+    'min',
+    'max',
+    'checksum',
+    'alphabet',
+    'palette',
+]);
+
+/** The styles of the element's shadow DOM. Like docs/index.html, they use
+ *  system colors, so the frame suits light and dark mode. The illustration's
+ *  own colors never change, so that it always looks the same.
+ */
+const ELEMENT_STYLE = `
+    :host {
+        display: inline-block;
+        color-scheme: light dark;
+        vertical-align: middle;
+    }
+    :host([hidden]) {
+        display: none;
+    }
+    .frame {
+        display: block;
+        box-sizing: content-box;
+        border: 1px solid ButtonBorder;
+        background: Canvas;
+        line-height: 0;
+    }
+    .frame.invalid {
+        border-style: dashed;
+        border-color: GrayText;
+    }
+    .frame > * {
+        display: block;
+        width: 100%;
+        height: 100%;
+    }
+`;
+
+/** #### Reads the settings of an `<illustrated-number>` element from its attributes
+ * - `value` is the integer to draw, which is required
+ * - `size` is the width and height in pixels, from 1 to MAX_RASTER_SIDE,
+ *   default 96
+ * - `format` is 'canvas' (the default) or 'svg'
+ * - `min`, `max`, `checksum`, `alphabet` and `palette` are the encoding
+ *   options, and `checksum` is true if the attribute is present
+ * @param {(name: string) => string|null} getAttribute Gets an attribute's value
+ * @returns {ElementSettings} The integer, size, format and encoding options
+ */
+export const readElementAttributes = (getAttribute) => {
+    const xpx = `<${ELEMENT_NAME}>`;
+
+    /** @type {(name: string) => number|undefined} */
+    const readInteger = (name) => {
+        const text = getAttribute(name);
+        if (text === null) return undefined;
+        if (!/^\s*-?\d+\s*$/.test(text)) throw RangeError(
+            `${xpx} ${name} '${text}' is not an integer`);
+        return Number(text);
+    };
+
+    // `value` is required, and the encoder checks its range.
+    const n = readInteger('value');
+    if (typeof n === 'undefined') throw RangeError(
+        `${xpx} value is missing`);
+
+    // Validate the size and format.
+    const size = readInteger('size') ?? 96;
+    if (!isIntInRange(size, 1, MAX_RASTER_SIDE)) throw RangeError(
+        `${xpx} size must be an integer between 1 and ${MAX_RASTER_SIDE}`);
+    const format = getAttribute('format') ?? 'canvas';
+    if (format !== 'canvas' && format !== 'svg') throw RangeError(
+        `${xpx} format must be one of 'canvas' or 'svg'`);
+
+    // Gather and validate the encoding options.
+    /** @type {import('./types.js').EncodeOptions} */
+    const options = {};
+    const min = readInteger('min');
+    const max = readInteger('max');
+    if (typeof min !== 'undefined') options.min = min;
+    if (typeof max !== 'undefined') options.max = max;
+    if (getAttribute('checksum') !== null) options.checksum = true;
+    const alphabet = getAttribute('alphabet');
+    const palette = getAttribute('palette');
+    if (alphabet !== null) options.alphabet = /** @type {any} */ (alphabet);
+    if (palette !== null) options.palette = /** @type {any} */ (palette);
+    validateEncodeOptions(options, xpx, '');
+
+    return { n, size, format, options };
+}
+
+/** Custom elements must extend HTMLElement, which Node.js does not have, so
+ *  outside a browser the class extends an empty class and is never defined.
+ */
+const BaseElement = typeof HTMLElement === 'undefined'
+    ? /** @type {typeof HTMLElement} */ (/** @type {unknown} */ (class {}))
+    : HTMLElement;
+
+/** #### The `<illustrated-number>` custom element
+ * Draws an integer's illustration, as a `<canvas>` or an inline `<svg>`, eg:
+ * `<illustrated-number value="12345" size="96" format="svg"></illustrated-number>`
+ *
+ * The element has role 'img', and its canonical name as its `aria-label` and
+ * `title`. It draws itself again whenever an attribute in ELEMENT_ATTRIBUTES
+ * changes, once per task however many change. If the attributes are invalid,
+ * it draws an empty dashed frame, and dispatches an 'error' event whose
+ * `detail` is the error.
+ */
+export class IllustratedNumberElement extends BaseElement {
+    static get observedAttributes() {
+        return ELEMENT_ATTRIBUTES;
+    }
+
+    /** Whether a redraw has been queued, but has not happened yet */
+    #queued = false;
+
+    /** The element in the shadow DOM which holds the canvas or SVG */
+    #frame;
+
+    constructor() {
+        super();
+        const shadow = this.attachShadow({ mode: 'open' });
+        const style = document.createElement('style');
+        style.textContent = ELEMENT_STYLE;
+        this.#frame = document.createElement('div');
+        this.#frame.className = 'frame';
+        this.#frame.setAttribute('part', 'frame');
+        shadow.append(style, this.#frame);
+    }
+
+    connectedCallback() {
+        this.#queueDraw();
+    }
+
+    attributeChangedCallback() {
+        this.#queueDraw();
+    }
+
+    /** #### Draws the element again, after any other attribute changes in this task */
+    #queueDraw() {
+        if (this.#queued) return;
+        this.#queued = true;
+        queueMicrotask(() => {
+            this.#queued = false;
+            if (this.isConnected) this.draw();
+        });
+    }
+
+    /** #### Draws the illustration now, from the current attributes */
+    draw() {
+        const frame = this.#frame;
+        let settings;
+        let scene;
+        let name;
+        try {
+            settings = readElementAttributes((attribute) => this.getAttribute(attribute));
+            scene = encodeIntegerToScene(settings.n, settings.options);
+            name = integerToName(settings.n, settings.options);
+        } catch (error) {
+            const size = Math.round(Number(this.getAttribute('size'))) || 96;
+            frame.style.width = frame.style.height = `${Math.min(Math.max(size, 1), MAX_RASTER_SIDE)}px`;
+            frame.classList.add('invalid');
+            frame.replaceChildren();
+            this.removeAttribute('role');
+            this.removeAttribute('aria-label');
+            this.removeAttribute('title');
+            this.dispatchEvent(new CustomEvent('error', { detail: error }));
+            return;
+        }
+
+        // Describe the illustration for screen readers and tooltips.
+        const { size, format } = settings;
+        const { background, shapes } = scene;
+        this.setAttribute('role', 'img');
+        this.setAttribute('aria-label', name);
+        this.setAttribute('title', name);
+        frame.style.width = frame.style.height = `${size}px`;
+        frame.classList.remove('invalid');
+
+        // Draw the illustration.
+        if (format === 'svg') {
+            frame.innerHTML = renderSvg(size, size, background, shapes);
+            frame.firstElementChild?.setAttribute('aria-hidden', 'true');
+        } else {
+            const canvas = document.createElement('canvas');
+            canvas.width = size;
+            canvas.height = size;
+            canvas.setAttribute('aria-hidden', 'true');
+            const pixels = /** @type {Uint8ClampedArray<ArrayBuffer>} */ (rasterize(size, size, background, shapes));
+            canvas.getContext('2d')?.putImageData(new ImageData(pixels, size, size), 0, 0);
+            frame.replaceChildren(canvas);
+        }
+    }
+}
+
+// Define the element when this module is imported in a browser, unless
+// another copy of the module has already defined it.
+if (typeof customElements !== 'undefined' && !customElements.get(ELEMENT_NAME)) {
+    customElements.define(ELEMENT_NAME, IllustratedNumberElement);
+}
@@ -0,0 +1,134 @@
+import { throws, deepStrictEqual as eq } from 'node:assert/strict';
+import { encodeIntegerToScene } from './encode-integer.js';
+import {
+    ELEMENT_ATTRIBUTES,
+    ELEMENT_NAME,
+    IllustratedNumberElement,
+    readElementAttributes,
+} from './illustrated-number-element.js';
+import { integerToName } from './name-codec.js';
+import { rasterize } from './rasterize.js';
+import { renderSvg } from './render-svg.js';
+
+const xpx = 'illustrated-number-element.js';
+
+/** @type {(attributes: Record<string, string>) => (name: string) => string|null} */
+const getter = (attributes) => (name) => attributes[name] ?? null;
+
+
+// readElementAttributes().
+
+throws(() => readElementAttributes(getter({})), { name: 'RangeError', message: '<illustrated-number> value is missing' });
+throws(() => readElementAttributes(getter({ value: '1.5' })), { message: `<illustrated-number> value '1.5' is not an integer` });
+throws(() => readElementAttributes(getter({ value: '1e3' })), { message: `<illustrated-number> value '1e3' is not an integer` });
+throws(() => readElementAttributes(getter({ value: '1', size: '0' })), { message: '<illustrated-number> size must be an integer between 1 and 4096' });
+throws(() => readElementAttributes(getter({ value: '1', size: '4097' })), { message: /size must be an integer between 1 and 4096/ });
+throws(() => readElementAttributes(getter({ value: '1', size: 'big' })), { message: `<illustrated-number> size 'big' is not an integer` });
+throws(() => readElementAttributes(getter({ value: '1', format: 'png' })), { message: `<illustrated-number> format must be one of 'canvas' or 'svg'` });
+throws(() => readElementAttributes(getter({ value: '1', min: '9', max: '3' })), { message: '<illustrated-number> min must not be greater than max' });
+throws(() => readElementAttributes(getter({ value: '1', alphabet: 'greek' })), { message: `<illustrated-number> alphabet must be one of 'classic' or 'extended'` });
+throws(() => readElementAttributes(getter({ value: '1', palette: 'sepia' })), { message: `<illustrated-number> palette must be one of 'classic' or 'colorblind-safe'` });
+
+// Defaults, and every attribute.
+eq(readElementAttributes(getter({ value: '12345' })), { n: 12345, size: 96, format: 'canvas', options: {} });
+eq(readElementAttributes(getter({ value: ' -7 ', size: '32', format: 'svg', min: '-10', max: '10', checksum: '', palette: 'colorblind-safe' })), {
+    n: -7,
+    size: 32,
+    format: 'svg',
+    options: { min: -10, max: 10, checksum: true, palette: 'colorblind-safe' },
+});
+eq(readElementAttributes(getter({ value: '1', alphabet: 'extended' })).options, { alphabet: 'extended' });
+throws(() => readElementAttributes(getter({ value: '1', checksum: '', alphabet: 'extended' })), { message: `<illustrated-number> checksum can not be used with the 'extended' alphabet` });
+eq(IllustratedNumberElement.observedAttributes, ELEMENT_ATTRIBUTES);
+
+
+// The element, in a pretend browser with just enough of the DOM.
+
+/** @type {any} */
+const g = globalThis;
+/** @type {any[]} */
+const putImageDataCalls = [];
+const fakeNode = () => ({
+    /** @type {Record<string, string>} */ attributes: {},
+    /** @type {any[]} */ children: [],
+    innerHTML: '',
+    style: {},
+    classList: { /** @type {Set<string>} */ names: new Set(), /** @param {string} n */ add(n) { this.names.add(n) }, /** @param {string} n */ remove(n) { this.names.delete(n) } },
+    /** @type {(name: string, value: string) => void} */ setAttribute(name, value) { this.attributes[name] = value },
+    /** @type {(...nodes: any[]) => void} */ replaceChildren(...nodes) { this.children = nodes; this.innerHTML = '' },
+    /** @type {(...nodes: any[]) => void} */ append(...nodes) { this.children.push(...nodes) },
+    firstElementChild: null,
+    getContext: () => ({ /** @type {(...args: any[]) => void} */ putImageData: (...args) => putImageDataCalls.push(args) }),
+});
+/** @type {Map<string, any>} */
+const registry = new Map();
+g.HTMLElement = class {
+    /** @type {Record<string, string>} */ attributes = {};
+    /** @type {any[]} */ events = [];
+    isConnected = true;
+    attachShadow() { return this.shadow = fakeNode() }
+    /** @type {(name: string) => string|null} */ getAttribute(name) { return this.attributes[name] ?? null }
+    /** @type {(name: string, value: string) => void} */ setAttribute(name, value) { this.attributes[name] = value }
+    /** @type {(name: string) => void} */ removeAttribute(name) { delete this.attributes[name] }
+    /** @type {(event: any) => void} */ dispatchEvent(event) { this.events.push(event) }
+};
+g.document = { createElement: fakeNode };
+g.customElements = { get: (/** @type {string} */ name) => registry.get(name), define: (/** @type {string} */ name, /** @type {any} */ cls) => registry.set(name, cls) };
+g.ImageData = class { constructor(/** @type {Uint8ClampedArray} */ data, /** @type {number} */ width, /** @type {number} */ height) { Object.assign(this, { data, width, height }) } };
+
+try {
+    // A fresh copy of the module extends the pretend HTMLElement, and defines itself.
+    const freshUrl = './illustrated-number-element.js?browser';
+    await import(freshUrl);
+    const Element = registry.get(ELEMENT_NAME);
+    eq(Element.name, 'IllustratedNumberElement');
+    const element = new Element();
+    const frame = element.shadow.children[1];
+    eq(element.shadow.children[0].textContent.includes('color-scheme: light dark'), true);
+
+    // Several attribute changes lead to one draw, in a microtask.
+    const { background, shapes } = encodeIntegerToScene(12345);
+    element.setAttribute('value', '12345');
+    element.setAttribute('size', '8');
+    element.attributeChangedCallback();
+    element.attributeChangedCallback();
+    eq(putImageDataCalls.length, 0);
+    await Promise.resolve();
+    eq(putImageDataCalls.length, 1);
+    eq(putImageDataCalls[0][0].data, rasterize(8, 8, background, shapes));
+    eq(frame.children[0].width, 8);
+    eq(frame.style.width, '8px');
+    eq(element.attributes, { value: '12345', size: '8', role: 'img', 'aria-label': integerToName(12345), title: integerToName(12345) });
+
+    // SVG format.
+    element.setAttribute('format', 'svg');
+    element.attributeChangedCallback();
+    await Promise.resolve();
+    eq(frame.innerHTML, renderSvg(8, 8, background, shapes));
+
+    // Invalid attributes clear the drawing and the name, and dispatch an 'error' event.
+    element.setAttribute('value', 'many');
+    element.attributeChangedCallback();
+    await Promise.resolve();
+    eq(frame.children, []);
+    eq(frame.innerHTML, '');
+    eq(frame.classList.names.has('invalid'), true);
+    eq(element.attributes['aria-label'], undefined);
+    eq(element.events.length, 1);
+    eq(element.events[0].type, 'error');
+    eq(element.events[0].detail.message, `<illustrated-number> value 'many' is not an integer`);
+
+    // Elements which are not in the document are not drawn.
+    element.isConnected = false;
+    element.setAttribute('value', '1');
+    element.attributeChangedCallback();
+    await Promise.resolve();
+    eq(element.attributes['aria-label'], undefined);
+} finally {
+    delete g.HTMLElement;
+    delete g.document;
+    delete g.customElements;
+    delete g.ImageData;
+}
+
+console.log(`All ${xpx} tests passed!`);
@@ -0,0 +1,110 @@
+/**
+ * A keyed, reversible permutation of the integers 0 to span - 1.
+ *
+ * This is a format-preserving cipher: a balanced Feistel network over the
+ * smallest even number of bits which can hold span - 1, plus 'cycle walking'
+ * to bring any result that lands outside the range back inside it. It hides
+ * the order of integers from casual observers, but it is not a substitute
+ * for real cryptography.
+ */
+
+/** The number of Feistel rounds. More rounds mix better, but are slower. */
+const ROUNDS = 8;
+
+/** #### Mixes the bits of a 32-bit integer
+ * This is the 'fmix32' finalizer from MurmurHash3, which makes every output
+ * bit depend on every input bit.
+ * @param {number} h The integer to mix
+ * @returns {number} An unsigned 32-bit integer
+ */
+const mix32 = (h) => {
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+};
+
+/** #### Hashes a string to a 32-bit integer
+ * FNV-1a over the string's UTF-16 code units, followed by `mix32()`.
+ * @param {string} str The string to hash
+ * @returns {number} An unsigned 32-bit integer
+ */
+export const hashString = (str) => {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return mix32(h);
+};
+
+/** #### Gets the number of bits in each half of the Feistel network
+ * @param {bigint} span The number of integers being permuted
+ * @returns {number} The half-width, in bits, which is at least 1
+ */
+const getHalfBits = (span) => {
+    const bits = (span - 1n).toString(2).length;
+    return Math.max(1, Math.ceil(bits / 2));
+};
+
+/** #### Gets one subkey for each Feistel round
+ * @param {string} key The secret key
+ * @returns {number[]} The subkeys, as unsigned 32-bit integers
+ */
+const getRoundKeys = (key) =>
+    Array.from({ length: ROUNDS }, (_, i) => hashString(`${i}:${key}`));
+
+/** #### The Feistel round function
+ * @param {number} half One half of the value, up to 27 bits
+ * @param {number} roundKey This round's subkey
+ * @param {number} mask A mask with the lowest `halfBits` bits set
+ * @returns {number} A pseudo-random value, no wider than `mask`
+ */
+const round = (half, roundKey, mask) =>
+    (mix32(roundKey ^ mix32(half + roundKey)) & mask) >>> 0;
+
+/** #### Permutes an integer, using a secret key
+ * @param {bigint} value The integer to permute, from 0 to span - 1
+ * @param {bigint} span The number of integers being permuted
+ * @param {string} key The secret key
+ * @returns {bigint} The permuted integer, also from 0 to span - 1
+ */
+export const permute = (value, span, key) => {
+    const halfBits = getHalfBits(span);
+    const bigHalfBits = BigInt(halfBits);
+    const mask = 2 ** halfBits - 1;
+    const roundKeys = getRoundKeys(key);
+    do {
+        let left = Number(value >> bigHalfBits);
+        let right = Number(value & BigInt(mask));
+        for (let i = 0; i < ROUNDS; i++) {
+            [left, right] = [right, (left ^ round(right, roundKeys[i], mask)) >>> 0];
+        }
+        value = (BigInt(left) << bigHalfBits) | BigInt(right);
+    } while (value >= span); // cycle walking
+    return value;
+}
+
+/** #### Reverses `permute()`, using the same secret key
+ * @param {bigint} value The permuted integer, from 0 to span - 1
+ * @param {bigint} span The number of integers being permuted
+ * @param {string} key The secret key
+ * @returns {bigint} The original integer, also from 0 to span - 1
+ */
+export const unpermute = (value, span, key) => {
+    const halfBits = getHalfBits(span);
+    const bigHalfBits = BigInt(halfBits);
+    const mask = 2 ** halfBits - 1;
+    const roundKeys = getRoundKeys(key);
+    do {
+        let left = Number(value >> bigHalfBits);
+        let right = Number(value & BigInt(mask));
+        for (let i = ROUNDS - 1; i >= 0; i--) {
+            [left, right] = [(right ^ round(left, roundKeys[i], mask)) >>> 0, left];
+        }
+        value = (BigInt(left) << bigHalfBits) | BigInt(right);
+    } while (value >= span); // cycle walking
+    return value;
+}
@@ -0,0 +1,41 @@
+import { deepStrictEqual as eq, notDeepStrictEqual as ne } from 'node:assert/strict';
+import { permute, unpermute } from './keyed-permutation.js';
+
+const xpx = 'permute() and unpermute()';
+
+
+// Every integer in a range maps to a different integer in the same range,
+// and back again.
+for (const span of [1n, 2n, 3n, 10n, 255n, 256n, 257n, 1000n, 4097n]) {
+    const seen = new Set();
+    for (let value = 0n; value < span; value++) {
+        const permuted = permute(value, span, 'secret');
+        eq(permuted >= 0n && permuted < span, true);
+        eq(unpermute(permuted, span, 'secret'), value);
+        seen.add(permuted);
+    }
+    eq(seen.size, Number(span));
+}
+
+// Large ranges round trip too.
+for (const span of [2n ** 32n, 2n ** 53n, 2n ** 54n - 1n]) {
+    for (const value of [0n, 1n, 2n, 12345678n, span / 2n, span - 2n, span - 1n]) {
+        const permuted = permute(value, span, 'secret');
+        eq(permuted < span, true);
+        eq(unpermute(permuted, span, 'secret'), value);
+    }
+}
+
+// The permutation is deterministic, and depends on the key.
+eq(permute(1000n, 2n ** 32n, 'secret'), permute(1000n, 2n ** 32n, 'secret'));
+ne(permute(1000n, 2n ** 32n, 'secret'), permute(1000n, 2n ** 32n, 'Secret'));
+ne(unpermute(permute(1000n, 2n ** 32n, 'secret'), 2n ** 32n, 'Secret'), 1000n);
+
+// Neighbouring integers are scattered across the range.
+const neighbours = [1000n, 1001n, 1002n, 1003n].map((value) => permute(value, 2n ** 32n, 'secret'));
+for (let i = 1; i < neighbours.length; i++) {
+    const gap = neighbours[i] - neighbours[i - 1];
+    eq(gap > 1_000_000n || gap < -1_000_000n, true);
+}
+
+console.log(`All ${xpx} tests passed!`);
@@ -0,0 +1,221 @@
+import {
+    isIntInRange,
+    validateEncodeOptions,
+} from './validate-args.js';
+import {
+    BACKGROUND_RADICES,
+    ENCODER_ALPHABETS,
+    ENCODER_COLORS,
+    ENCODER_KINDS,
+    ENCODER_PALETTES,
+    SHAPE_RADICES,
+    getShapeCount,
+    integerToDigits,
+} from './encode-integer.js';
+import { digitsToInteger } from './decode-scene.js';
+
+/**
+ * @typedef {import('./types.js').EncodeOptions} EncodeOptions
+ */
+
+// The vocabulary of canonical names. Each list is in the same order as the
+// matching table in `encode-integer.js`, so a word's index is its digit.
+// Every word is distinct from every other word, so that a parse error can
+// always point at the exact word which is wrong.
+
+const COLOR_WORDS = ENCODER_COLORS.map(({ name }) => name); // or the colors of another palette
+const KIND_WORDS = [...ENCODER_KINDS]; // or the kinds of another alphabet
+const SIZE_WORDS = ['small', 'large']; // ENCODER_SIZES
+const SHAPE_PATTERN_WORDS = ['striped', 'pinstriped']; // ENCODER_PATTERNS
+const BACKGROUND_PATTERN_WORDS = ['breton', 'pinstripe']; // ENCODER_PATTERNS
+const STROKE_POSITION_WORDS = ['inner', 'middle', 'outer']; // ENCODER_STROKE_POSITIONS
+
+/** #### Gets the indefinite article for a word
+ * @param {string} word The word which follows the article
+ * @returns {'a'|'an'}
+ */
+const getArticle = (word) => /^[aeiou]/.test(word) ? 'an' : 'a';
+
+/** #### Gets the color words of an ink digit and a paper digit
+ * Paper colors skip over the ink color, see `pickPaper()`.
+ * @param {number} inkDigit The ink digit
+ * @param {number} paperDigit The paper digit
+ * @param {readonly string[]} colorWords The palette's colors
+ * @returns {[string, string]} The ink and paper color words
+ */
+const getInkAndPaperWords = (inkDigit, paperDigit, colorWords) => [
+    colorWords[inkDigit],
+    colorWords[(inkDigit + 1 + paperDigit) % colorWords.length],
+];
+
+/** #### Gets the color words of a palette
+ * @param {import('./types.js').EncoderPalette} palette The name of the palette
+ * @returns {string[]} The color words, in the order of the palette's colors
+ */
+const getColorWords = (palette) => ENCODER_PALETTES[palette].map(({ name }) => name);
+
+/** #### Builds a canonical name from a scene's mixed-radix digits
+ * @param {number[]} digits The digits, as returned by `integerToDigits()`
+ * @param {number} shapeCount The number of shapes in the scene
+ * @param {readonly string[]} [kindWords=KIND_WORDS] The alphabet's kinds
+ * @param {readonly string[]} [colorWords=COLOR_WORDS] The palette's colors
+ * @returns {string} The canonical name, in lowercase
+ */
+export const digitsToName = (digits, shapeCount, kindWords = KIND_WORDS, colorWords = COLOR_WORDS) => {
+    const [bgInk, bgPaper, bgPattern] = digits;
+    const shapePhrases = [];
+    // The background's digits are followed by each shape's digits.
+    for (let i = 0; i < shapeCount; i++) {
+        const offset = BACKGROUND_RADICES.length + i * SHAPE_RADICES.length;
+        const [kind, size, ink, paper, pattern, strokeColor, strokePosition] =
+            digits.slice(offset, offset + SHAPE_RADICES.length);
+        const sizeWord = SIZE_WORDS[size];
+        const strokePositionWord = STROKE_POSITION_WORDS[strokePosition];
+        shapePhrases.push([
+            getArticle(sizeWord), sizeWord,
+            getInkAndPaperWords(ink, paper, colorWords).join(' and '),
+            SHAPE_PATTERN_WORDS[pattern],
+            kindWords[kind],
+            'with', getArticle(strokePositionWord), strokePositionWord,
+            colorWords[strokeColor], 'outline',
+        ].join(' '));
+    }
+    const [bgInkWord, bgPaperWord] = getInkAndPaperWords(bgInk, bgPaper, colorWords);
+    return [
+        shapePhrases.join(' beside '),
+        'on', getArticle(bgInkWord), bgInkWord, 'and', bgPaperWord,
+        BACKGROUND_PATTERN_WORDS[bgPattern], 'field',
+    ].join(' ');
+}
+
+/** #### Parses a name into a scene's mixed-radix digits
+ * Case and whitespace are not significant, and 'a' and 'an' are
+ * interchangeable.
+ * @param {string} name The name to parse
+ * @param {string} xpx The name of the function (for error messages)
+ * @param {readonly string[]} [kindWords=KIND_WORDS] The alphabet's kinds
+ * @param {readonly string[]} [colorWords=COLOR_WORDS] The palette's colors
+ * @returns {{ digits: number[], shapeCount: number }} The digits, most significant first
+ */
+export const nameToDigits = (name, xpx, kindWords = KIND_WORDS, colorWords = COLOR_WORDS) => {
+    const words = name.trim().toLowerCase().split(/\s+/);
+    let cursor = 0;
+
+    /** #### Consumes the next word, which must be in a list of expected words
+     * @param {string[]} expected The words which are allowed here
+     * @param {string} description What the word should be (for error messages)
+     * @returns {number} The index of the word in `expected`
+     */
+    const consume = (expected, description) => {
+        const word = words[cursor];
+        if (word === undefined || word === '') throw RangeError(
+            `${xpx} name ends after word ${cursor}, expected ${description}`);
+        const index = expected.indexOf(word);
+        if (index === -1) throw RangeError(
+            `${xpx} could not parse '${word}' (word ${cursor + 1}), expected ${description}`);
+        cursor++;
+        return index;
+    };
+    const color = `a color: ${colorWords.join(', ')}`;
+    const consumeArticle = () => consume(['a', 'an'], `'a' or 'an'`);
+
+    /** #### Consumes an ink color, 'and', and a paper color
+     * @returns {[number, number]} The ink and paper digits
+     */
+    const consumeInkAndPaper = () => {
+        const inkDigit = consume([...colorWords], color);
+        consume(['and'], `'and'`);
+        const paperIndex = consume([...colorWords], color);
+        if (paperIndex === inkDigit) throw RangeError(
+            `${xpx} could not parse '${words[cursor - 1]}' (word ${cursor}), expected a color other than '${words[cursor - 3]}'`);
+        return [inkDigit, (paperIndex - inkDigit - 1 + colorWords.length) % colorWords.length];
+    };
+
+    // Parse the shape phrases, which are separated by 'beside'.
+    const shapeDigits = [];
+    do {
+        consumeArticle();
+        const size = consume(SIZE_WORDS, `a size: ${SIZE_WORDS.join(', ')}`);
+        const [ink, paper] = consumeInkAndPaper();
+        const pattern = consume(SHAPE_PATTERN_WORDS, `a pattern: ${SHAPE_PATTERN_WORDS.join(', ')}`);
+        const kind = consume([...kindWords], `a shape: ${kindWords.join(', ')}`);
+        consume(['with'], `'with'`);
+        consumeArticle();
+        const strokePosition = consume(STROKE_POSITION_WORDS, `an outline position: ${STROKE_POSITION_WORDS.join(', ')}`);
+        const strokeColor = consume([...colorWords], color);
+        consume(['outline'], `'outline'`);
+        shapeDigits.push(kind, size, ink, paper, pattern, strokeColor, strokePosition);
+    } while (consume(['beside', 'on'], `'beside' or 'on'`) === 0);
+
+    // Parse the background phrase.
+    consumeArticle();
+    const [bgInk, bgPaper] = consumeInkAndPaper();
+    const bgPattern = consume(BACKGROUND_PATTERN_WORDS, `a background pattern: ${BACKGROUND_PATTERN_WORDS.join(', ')}`);
+    consume(['field'], `'field'`);
+    if (cursor < words.length) throw RangeError(
+        `${xpx} could not parse '${words[cursor]}' (word ${cursor + 1}), expected the end of the name`);
+
+    return {
+        digits: [bgInk, bgPaper, bgPattern, ...shapeDigits],
+        shapeCount: shapeDigits.length / SHAPE_RADICES.length,
+    };
+}
+
+/** #### Gets the canonical name of an integer
+ * The name describes the scene which `encodeIntegerToScene()` would draw, in
+ * words that are easy to read aloud, for example "a small sky and orange
+ * striped circle with an inner blue outline on a vermilion and pink breton field".
+ * In checksum mode, the last shape's outline color is a check word.
+ * @param {number} n The integer to name
+ * @param {EncodeOptions} [options={}] The declared range, default 0 to 2^32 - 1,
+ *   whether to add a check word, an optional secret key, the alphabet and
+ *   the palette, whose color words the name uses
+ * @returns {string} The canonical name, in lowercase
+ */
+export const integerToName = (n, options = {}) => {
+    const xpx = 'integerToName()';
+
+    // Validate the arguments.
+    const settings = validateEncodeOptions(options, xpx);
+    const { min, max } = settings;
+    if (typeof n !== 'number') throw TypeError(
+        `${xpx} n is type '${typeof n}' not 'number'`);
+    if (!isIntInRange(n, min, max)) throw RangeError(
+        `${xpx} n must be an integer between ${min} and ${max}`);
+
+    // Convert the integer to digits, and the digits to a name.
+    const { digits, shapeCount } = integerToDigits(n, settings);
+    return digitsToName(digits, shapeCount,
+        ENCODER_ALPHABETS[settings.alphabet], getColorWords(settings.palette));
+}
+
+/** #### Parses a name back into the integer it names
+ * This is the inverse of `integerToName()`, and must be passed the same
+ * options. Case and whitespace are not significant. If a word cannot be
+ * parsed, the RangeError quotes it, gives its position and lists the words
+ * which would have been accepted there. In checksum mode, a name with one
+ * wrong word throws a 'checksum mismatch' RangeError, whose `suggestions`
+ * property lists the nearest integers it could have been meant to be.
+ * @param {string} name The name to parse
+ * @param {EncodeOptions} [options={}] The declared range, default 0 to 2^32 - 1,
+ *   whether the name has a check word, the secret key it was named with,
+ *   its alphabet and its palette
+ * @returns {number} The integer
+ */
+export const nameToInteger = (name, options = {}) => {
+    const xpx = 'nameToInteger()';
+
+    // Validate the arguments.
+    if (typeof name !== 'string') throw TypeError(
+        `${xpx} name is type '${typeof name}' not 'string'`);
+    const settings = validateEncodeOptions(options, xpx);
+    const { min, max, checksum } = settings;
+    const kinds = ENCODER_ALPHABETS[settings.alphabet];
+
+    // Convert the name to digits, and the digits to an integer.
+    const expectedShapeCount = getShapeCount(BigInt(max) - BigInt(min) + 1n, checksum, kinds);
+    const { digits, shapeCount } = nameToDigits(name, xpx, kinds, getColorWords(settings.palette));
+    if (shapeCount !== expectedShapeCount) throw RangeError(
+        `${xpx} name describes ${shapeCount} shape${shapeCount === 1 ? '' : 's'} not ${expectedShapeCount}`);
+    return digitsToInteger(digits, shapeCount, settings, xpx, 'name');
+}
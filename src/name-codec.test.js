@@ -0,0 +1,133 @@
+import { throws, deepStrictEqual as eq } from 'node:assert/strict';
+import { BACKGROUND_RADICES, SHAPE_RADICES, integerToDigits } from './encode-integer.js';
+import { digitsToName, integerToName, nameToDigits, nameToInteger } from './name-codec.js';
+import { validateEncodeOptions } from './validate-args.js';
+
+const xpx = 'integerToName() and nameToInteger()';
+
+const colors = 'black, orange, sky, green, yellow, blue, vermilion, pink';
+const name123456789 = 'a small pink and orange striped square with a middle vermilion outline beside ' +
+    'a small blue and vermilion pinstriped triangle with an inner pink outline on a black and orange breton field';
+
+
+// Invalid integerToName() arguments.
+
+// @ts-expect-error
+throws(() => integerToName(), { message: /^integerToName\(\) n is type 'undefined' not 'number'/});
+throws(() => integerToName(-1), { message: /n must be an integer between 0 and 4294967295/});
+throws(() => integerToName(0, null), { message: /options is 'null' not a plain object/});
+
+
+// Invalid nameToInteger() arguments.
+
+// @ts-expect-error
+throws(() => nameToInteger(123), { message: /^nameToInteger\(\) name is type 'number' not 'string'/});
+throws(() => nameToInteger(name123456789, { min: 1, max: 0 }), { message: /options\.min must not be greater than options\.max/});
+
+
+// Names which cannot be parsed.
+
+throws(() => nameToInteger(''), { message: /name ends after word 0, expected 'a' or 'an'/});
+throws(() => nameToInteger('a small'), { message: new RegExp(`name ends after word 2, expected a color: ${colors}$`)});
+throws(() => nameToInteger('the small'), { message: /could not parse 'the' \(word 1\), expected 'a' or 'an'/});
+throws(() => nameToInteger('a tiny'), { message: /could not parse 'tiny' \(word 2\), expected a size: small, large/});
+throws(() => nameToInteger('a small pinc'), { message: new RegExp(`could not parse 'pinc' \\(word 3\\), expected a color: ${colors}$`)});
+throws(() => nameToInteger('a small pink or'), { message: /could not parse 'or' \(word 4\), expected 'and'/});
+throws(() => nameToInteger('a small pink and pink'), { message: /could not parse 'pink' \(word 5\), expected a color other than 'pink'/});
+throws(() => nameToInteger('a small pink and blue spotty'), { message: /could not parse 'spotty' \(word 6\), expected a pattern: striped, pinstriped/});
+throws(() => nameToInteger('a small pink and blue striped oblong'), { message: /could not parse 'oblong' \(word 7\), expected a shape: circle, square, triangle/});
+throws(() => nameToInteger(name123456789.replace('middle', 'thick')), { message: /could not parse 'thick' \(word 10\), expected an outline position: inner, middle, outer/});
+throws(() => nameToInteger(name123456789.replace('beside', 'near')), { message: /could not parse 'near' \(word 13\), expected 'beside' or 'on'/});
+throws(() => nameToInteger(name123456789.replace('breton', 'tartan')), { message: /could not parse 'tartan' \(word 31\), expected a background pattern: breton, pinstripe/});
+throws(() => nameToInteger(name123456789.replace('field', 'meadow')), { message: /could not parse 'meadow' \(word 32\), expected 'field'/});
+throws(() => nameToInteger(`${name123456789} please`), { message: /could not parse 'please' \(word 33\), expected the end of the name/});
+
+
+// Names which parse, but do not fit the declared range.
+
+throws(() => nameToInteger(name123456789, { max: 100 }), { message: /name describes 2 shapes not 1/});
+throws(() => nameToInteger(integerToName(2 ** 32, { max: 2 ** 32 })), { message: /name decodes to an integer greater than 4294967295/});
+throws(() => nameToInteger('a small black and orange striped circle with an inner black outline on a black and orange breton field', { max: 100 }), {
+    name: 'RangeError', message: 'nameToInteger() shape 1 of the name has the same ink, paper and pattern as the background' });
+
+
+// Valid inputs.
+
+eq(integerToName(123456789), name123456789);
+eq(nameToInteger(name123456789), 123456789);
+eq(integerToName(0, { max: 100 }),
+    'a small black and orange pinstriped circle with an inner black outline on a black and orange breton field');
+
+// Names hold the background's digits, then each shape's, as many as the encoder has.
+const { digits: digits123456789 } = integerToDigits(123456789, validateEncodeOptions({ palette: 'classic' }, xpx));
+eq(digits123456789.length, BACKGROUND_RADICES.length + 2 * SHAPE_RADICES.length);
+eq(nameToDigits(integerToName(123456789, { palette: 'classic' }), xpx), { digits: digits123456789, shapeCount: 2 });
+eq(digitsToName(digits123456789, 2), integerToName(123456789, { palette: 'classic' }));
+
+// Case and whitespace are not significant, and 'a' and 'an' are interchangeable.
+eq(nameToInteger(`  ${name123456789.toUpperCase().replace(/ /g, ' \t\n ')}\n`), 123456789);
+eq(nameToInteger(name123456789.replace(/\ban\b/g, 'a')), 123456789);
+
+// Round trips, for every integer in a small range, and a spread of larger ones.
+for (let n = 0; n <= 2000; n++) {
+    eq(nameToInteger(integerToName(n, { max: 2000 }), { max: 2000 }), n);
+}
+for (let n = 0; n < 2 ** 32; n += 9999991) {
+    eq(nameToInteger(integerToName(n)), n);
+}
+eq(nameToInteger(integerToName(2 ** 32 - 1)), 2 ** 32 - 1);
+eq(nameToInteger(integerToName(-(2 ** 50), { min: -(2 ** 50), max: 2 ** 50 }), { min: -(2 ** 50), max: 2 ** 50 }), -(2 ** 50));
+
+
+// Checksum mode.
+
+eq(nameToInteger(integerToName(123456789, { checksum: true }), { checksum: true }), 123456789);
+for (let n = 0; n < 2 ** 32; n += 99999989) {
+    eq(nameToInteger(integerToName(n, { checksum: true }), { checksum: true }), n);
+}
+
+// Retyping any one color word is detected, and the original integer is suggested.
+const checkedWords = integerToName(123456789, { checksum: true }).split(' ');
+const colorWords = colors.split(', ');
+for (let i = 0; i < checkedWords.length; i++) {
+    if (!colorWords.includes(checkedWords[i])) continue;
+    for (const color of colorWords) {
+        if (color === checkedWords[i]) continue;
+        const mistyped = [...checkedWords.slice(0, i), color, ...checkedWords.slice(i + 1)].join(' ');
+        throws(() => nameToInteger(mistyped, { checksum: true }), (/** @type {any} */ error) => {
+            if (/expected a color other than/.test(error.message)) return true;
+            eq(error.message.startsWith('nameToInteger() checksum mismatch, did you mean '), true);
+            eq(error.suggestions.includes(123456789), true);
+            return true;
+        });
+    }
+}
+
+
+// Keyed mode.
+
+eq(nameToInteger(integerToName(1000, { key: 'secret' }), { key: 'secret' }), 1000);
+eq(nameToInteger(integerToName(1001, { key: 'secret', checksum: true }), { key: 'secret', checksum: true }), 1001);
+eq(integerToName(1000, { key: 'secret' }) === integerToName(1000), false);
+
+
+// The extended alphabet.
+
+eq(integerToName(5328 * 5, { alphabet: 'extended' }).includes(' pinstriped rounded-square with '), true);
+eq(nameToInteger(integerToName(5328 * 5, { alphabet: 'extended' }), { alphabet: 'extended' }), 5328 * 5);
+eq(nameToInteger(integerToName(2 ** 32 - 1, { alphabet: 'extended', key: 'secret' }), { alphabet: 'extended', key: 'secret' }), 2 ** 32 - 1);
+throws(() => integerToName(0, { alphabet: 'extended', checksum: true }), { message: /^integerToName\(\) options\.checksum can not be used with the 'extended' alphabet/});
+throws(() => nameToInteger(integerToName(5328 * 5, { alphabet: 'extended' })), { message: /could not parse 'rounded-square' \(word 20\), expected a shape: circle, square, triangle/});
+throws(() => nameToInteger('a small pink and blue striped oblong', { alphabet: 'extended' }), { message: /expected a shape: circle, square, triangle, hexagon, star, rounded-square, ellipse, ring, cross$/});
+
+
+// The classic palette.
+
+eq(integerToName(0, { palette: 'classic' }).endsWith(' on a red and orange breton field'), true);
+eq(integerToName(0, { palette: 'colorblind-safe' }), integerToName(0));
+eq(nameToInteger(integerToName(123456789, { palette: 'classic' }), { palette: 'classic' }), 123456789);
+eq(nameToInteger(integerToName(2 ** 32 - 1, { palette: 'classic', checksum: true }), { palette: 'classic', checksum: true }), 2 ** 32 - 1);
+throws(() => nameToInteger(integerToName(0, { palette: 'classic' })), { message: /expected a color: black, orange, sky, green, yellow, blue, vermilion, pink$/});
+throws(() => nameToInteger('a small black', { palette: 'classic' }), { message: /could not parse 'black' \(word 3\), expected a color: red, orange, yellow, green, blue, navy, purple, white$/});
+
+console.log(`All ${xpx} tests passed!`);
@@ -0,0 +1,638 @@
+import {
+    DEFAULT_SMOOTHNESS,
+    sdfCircle,
+    sdfSquare,
+    sdfTriangle,
+    sdfHexagon,
+    sdfStar,
+    sdfRoundedSquare,
+    sdfEllipse,
+    sdfRing,
+    sdfCross,
+    smoothMin,
+    aabbOutline,
+} from './sdf-and-aabb.js';
+import {
+    isIntInRange,
+    validateBackground,
+    validateRasterOptions,
+    validateShape,
+} from './validate-args.js';
+
+/** How each blend mode mixes a shape's color channel over the canvas's,
+ * where both are 0 to 255. These follow the CSS `mix-blend-mode` formulas.
+ * @type {Record<import('./types.js').BlendMode, (backdrop: number, source: number) => number>}
+ */
+const BLEND_FUNCTIONS = {
+    normal: (backdrop, source) => source,
+    multiply: (backdrop, source) => backdrop * source / 255,
+    screen: (backdrop, source) => backdrop + source - backdrop * source / 255,
+    overlay: (backdrop, source) => backdrop <= 127.5
+        ? 2 * backdrop * source / 255
+        : 255 - 2 * (255 - backdrop) * (255 - source) / 255,
+    difference: (backdrop, source) => Math.abs(backdrop - source),
+};
+
+/** Each sRGB channel value, 0 to 255, decoded to linear light on the same
+ * scale. This is the sRGB transfer function from IEC 61966-2-1.
+ */
+const SRGB_TO_LINEAR = Float64Array.from({ length: 256 }, (_, channel) => {
+    const c = channel / 255;
+    return 255 * (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+});
+
+/** The largest width or height of a rasterized canvas, in pixels. */
+export const MAX_RASTER_SIDE = 4096;
+
+/**
+ * @typedef {import('./types.js').Background} Background
+ * @typedef {import('./types.js').Color} Color
+ * @typedef {import('./types.js').Group} Group
+ * @typedef {import('./types.js').GroupOutline} GroupOutline
+ * @typedef {import('./types.js').Outline} Outline
+ * @typedef {import('./types.js').RasterOptions} RasterOptions
+ * @typedef {import('./types.js').Shape} Shape
+ */
+
+/**
+ * The world and logical coordinates of each column and row of pixels, and
+ * the world coordinates of the canvas's top-left corner.
+ * @typedef {{
+ *    worldXs: number[],
+ *    worldYs: number[],
+ *    logicalXs: number[],
+ *    logicalYs: number[],
+ *    left: number,
+ *    top: number,
+ * }} PixelGrid
+ */
+
+/** #### Rasterizes an array of shapes to a buffer of RGBA pixels
+ * The pixels are in rows, top to bottom, with four bytes per pixel: red,
+ * green, blue and alpha. Alpha is always 255. This is the layout of a canvas
+ * `ImageData`, so the result can be drawn with:
+ * `ctx.putImageData(new ImageData(pixels, width, height), 0, 0)`
+ *
+ * The options are described in `drawPixels()`.
+ * @param {number} canvasWidth The width of the canvas, in pixels
+ * @param {number} canvasHeight The height of the canvas, in pixels
+ * @param {Background} background How to render the background
+ * @param {(Shape|Group)[]} shapes An array of shapes and groups to render
+ * @param {RasterOptions} [options={}] Optional settings, eg `{ strategy: 'pixel-first' }`
+ * @returns {Uint8ClampedArray} `canvasWidth * canvasHeight * 4` bytes
+ */
+export const rasterize = (
+    canvasWidth,
+    canvasHeight,
+    background,
+    shapes,
+    options = {},
+) => {
+    const xpx = 'rasterize()';
+
+    // Validate the arguments.
+    if (typeof canvasWidth !== 'number') throw TypeError(
+        `${xpx} canvasWidth is type '${typeof canvasWidth}' not 'number'`);
+    if (!isIntInRange(canvasWidth, 1, MAX_RASTER_SIDE)) throw RangeError(
+        `${xpx} canvasWidth must be an integer between 1 and ${MAX_RASTER_SIDE}`);
+    if (typeof canvasHeight !== 'number') throw TypeError(
+        `${xpx} canvasHeight is type '${typeof canvasHeight}' not 'number'`);
+    if (!isIntInRange(canvasHeight, 1, MAX_RASTER_SIDE)) throw RangeError(
+        `${xpx} canvasHeight must be an integer between 1 and ${MAX_RASTER_SIDE}`);
+    validateBackground(background, xpx);
+    if (shapes === null) throw TypeError(
+        `${xpx} shapes is null not an array`);
+    if (!Array.isArray(shapes)) throw TypeError(
+        `${xpx} shapes is type '${typeof shapes}' not 'array'`);
+    shapes.forEach((shape, i) => validateShape(shape, xpx, i));
+    const settings = validateRasterOptions(options, xpx);
+
+    return drawPixels(canvasWidth, canvasHeight, background, shapes, 1, settings);
+}
+
+/** #### Reads one pixel from a buffer of RGBA pixels
+ * @param {Uint8ClampedArray} pixels The buffer, as returned by `rasterize()`
+ * @param {number} canvasWidth The width of the canvas, in pixels
+ * @param {number} x The pixel's column
+ * @param {number} y The pixel's row
+ * @returns {Color} The pixel's color, without its alpha
+ */
+export const getPixelColor = (pixels, canvasWidth, x, y) => {
+    const i = (y * canvasWidth + x) * 4;
+    return { red: pixels[i], green: pixels[i + 1], blue: pixels[i + 2] };
+}
+
+/** #### Draws a background and shapes onto a new buffer of RGBA pixels
+ * This is the pixel pipeline shared by all the raster renderers: background
+ * drawing, AABB culling, SDF evaluation, stroke and alpha compositing. It
+ * does not validate its arguments, so renderers must do that first.
+ *
+ * Each shape's stroke is composited over its fill first. The result is then
+ * mixed with the canvas by the shape's `blendMode`, and drawn over it with
+ * the anti-aliased alpha multiplied by the shape's `opacity`.
+ *
+ * Stroke widths and pattern stripes are measured in logical pixels, which
+ * are `pixelScale` pixels across. So a higher pixelScale gives a sharper
+ * image which otherwise looks the same. A pattern with a `stripeWidth` is
+ * measured in world units instead, so it looks the same at any canvas size.
+ *
+ * The options trade speed for quality:
+ * - `strategy` 'shape-first' loops over the shapes, then the pixels in their
+ *   boxes, and 'pixel-first' loops over every pixel, then the shapes. Both
+ *   draw exactly the same pixels
+ * - `quality` 'fast' mixes sRGB values, which darkens the edges between
+ *   bright and dark colors. 'linear-light' decodes colors to linear light
+ *   first, so they mix the way light does, and encodes the result at the end
+ * - `supersample` N measures each shape's coverage of a pixel at N by N
+ *   points, with a narrower anti-aliasing band, which smooths strokes that
+ *   are thinner than a pixel. Patterns are still sampled once per pixel
+ * @param {number} canvasWidth The width of the canvas, in pixels
+ * @param {number} canvasHeight The height of the canvas, in pixels
+ * @param {Background} background How to render the background
+ * @param {(Shape|Group)[]} shapes An array of shapes and groups to render
+ * @param {number} [pixelScale=1] The number of pixels per logical pixel
+ * @param {RasterOptions} [options={}] The validated strategy, quality and supersample
+ * @returns {Uint8ClampedArray} The pixels, in the same layout as `rasterize()`
+ */
+export const drawPixels = (
+    canvasWidth,
+    canvasHeight,
+    background,
+    shapes,
+    pixelScale = 1,
+    { strategy = 'shape-first', quality = 'fast', supersample = 1 } = {},
+) => {
+    const xpx = 'drawPixels()';
+
+    // Create an opaque black canvas of pixels with the specified dimensions.
+    const pixels = new Uint8ClampedArray(canvasWidth * canvasHeight * 4);
+    for (let i = 3; i < pixels.length; i += 4) pixels[i] = 255;
+
+    // In linear light, colors are mixed on a separate canvas of unrounded
+    // linear values, 0 to 255, which is encoded back to sRGB at the end.
+    // Float32 is precise enough for them, and at MAX_RASTER_SIDE it takes
+    // 256 MB, half as much as Float64. Otherwise the pixels are mixed
+    // directly, and rounded at every step.
+    const linear = quality === 'linear-light';
+    const canvas = linear ? new Float32Array(pixels.length) : pixels;
+    /** @type {(channel: number) => number} */
+    const decode = linear ? (channel) => SRGB_TO_LINEAR[channel] : (channel) => channel;
+    const round = linear ? (/** @type {number} */ value) => value : Math.round;
+
+    // Convert an anti-aliasing width specified in pixels to world-space
+    // units. The renderer maps the smaller canvas dimension to 10.0 world
+    // units, so one world unit per pixel is 10.0 / min(canvasWidth,canvasHeight).
+    // Use aaRegionPixels to control how many screen pixels the AA band covers.
+    const worldUnitsPerPixel = 10.0 / Math.min(canvasWidth, canvasHeight);
+    const aaRegionPixels = 0.85; // anti-alias region width in pixels (1 would be a little too soft)
+    const aaRegion = aaRegionPixels * worldUnitsPerPixel;
+
+    // Supersampling measures coverage at N by N points spread evenly over
+    // each pixel, relative to its centre. Each point has an N times narrower
+    // AA band, so the average of their alphas is close to the true coverage.
+    const sampleOffsets = Array.from({ length: supersample },
+        (_, i) => ((i + 0.5) / supersample - 0.5) * worldUnitsPerPixel);
+    const sampleAaRegion = aaRegion / supersample;
+    const sampleCount = supersample * supersample;
+
+    // Precompute conservative axis-aligned bounding boxes (AABB) for each
+    // shape in world-space. These boxes are expanded by the anti-aliasing
+    // region so that edge pixels aren't incorrectly culled. We compute them
+    // once here so the inner pixel loop can cheaply skip shapes that cannot
+    // possibly affect a given pixel.
+    // Use helper functions colocated with SDFs to compute conservative AABBs
+    // for each shape. These helpers are in `src/sdf-and-aabb.js` and mirror
+    // the previous inline logic; keeping them next to SDFs helps maintain
+    // consistency when shapes change.
+    const shapeBoxes = shapes.map((shape) => {
+        // Base AA expansion in world units.
+        // Also expand outward for strokes that lie outside or are centred on
+        // the shape boundary so we don't accidentally cull stroke pixels.
+        const strokePx = typeof shape.strokeWidth === 'number' ? shape.strokeWidth : 0;
+        const strokeWorld = strokePx * pixelScale * worldUnitsPerPixel;
+        // Default to 'center' semantics if strokePosition is missing.
+        let outwardExtension;
+        switch (shape.strokePosition) {
+            case 'outside':
+                outwardExtension = strokeWorld;
+                break;
+            case 'inside':
+                outwardExtension = 0;
+                break;
+            case 'center':
+            default:
+                outwardExtension = strokeWorld / 2;
+                break;
+        }
+        // Samples can be up to half a pixel from the centre of their pixel.
+        const sampleExtension = supersample > 1 ? worldUnitsPerPixel / 2 : 0;
+        const expand = aaRegion + outwardExtension + sampleExtension; // conservative expand
+        return aabbOutline(shape, expand);
+    });
+
+    // Precompute a function for each shape's signed distance, which also
+    // combines the children of groups.
+    const shapeDistances = shapes.map((shape) => getDistanceFunction(shape, xpx));
+
+    // Determine each pixel's color.
+    // Precompute values that are constant across pixels to avoid repeated
+    // work inside the nested loops.
+    const aspectRatio = canvasWidth / canvasHeight;
+    const worldWidth = aspectRatio >= 1 ? 10.0 * aspectRatio : 10.0;
+    const worldHeight = aspectRatio >= 1 ? 10.0 : 10.0 / aspectRatio;
+    const invCanvasWidth = 1.0 / canvasWidth;
+    const invCanvasHeight = 1.0 / canvasHeight;
+
+    // Precompute the world X coordinate for every column and the world Y
+    // coordinate for every row. This moves the division/multiplication out
+    // of the inner pixel loop which is executed for every pixel.
+    const worldXs = new Array(canvasWidth);
+    for (let i = 0; i < canvasWidth; i++) {
+        worldXs[i] = ((i + 0.5) * invCanvasWidth - 0.5) * worldWidth;
+    }
+    const worldYs = new Array(canvasHeight);
+    for (let j = 0; j < canvasHeight; j++) {
+        worldYs[j] = ((j + 0.5) * invCanvasHeight - 0.5) * worldHeight;
+    }
+
+    // Patterns without a stripe width are keyed to logical pixels, so that
+    // they look the same at any pixelScale. Precompute the logical column and
+    // row of every pixel.
+    const logicalXs = new Array(canvasWidth);
+    for (let i = 0; i < canvasWidth; i++) logicalXs[i] = Math.floor(i / pixelScale);
+    const logicalYs = new Array(canvasHeight);
+    for (let j = 0; j < canvasHeight; j++) logicalYs[j] = Math.floor(j / pixelScale);
+
+    // Draw the background onto the pixel canvas before rendering shapes.
+    // Background must go first so shapes render on top of it. Its gradients
+    // span the whole canvas, and a shape's span its bounding box.
+    /** @type {PixelGrid} */
+    const grid = { worldXs, worldYs, logicalXs, logicalYs, left: -worldWidth / 2, top: -worldHeight / 2 };
+    const backgroundFrame = { minX: grid.left, maxX: -grid.left, minY: grid.top, maxY: -grid.top };
+    const sampleBackground = getPatternSampler(background, backgroundFrame, grid);
+    for (let y = 0; y < canvasHeight; y++) {
+        for (let x = 0; x < canvasWidth; x++) {
+            const { red, green, blue } = sampleBackground(x, y);
+            setPixelColor(canvas, canvasWidth, x, y, { red: decode(red), green: decode(green), blue: decode(blue) });
+        }
+    }
+    const shapePatterns = shapes.map((shape) => getPatternSampler(shape, aabbOutline(shape, 0), grid));
+    const shapeOpacities = shapes.map((shape) => typeof shape.opacity === 'number' ? shape.opacity : 1);
+    const shapeBlends = shapes.map((shape) => BLEND_FUNCTIONS[shape.blendMode || 'normal']);
+
+    // Convert each shape's box to the range of columns and rows whose pixel
+    // centres are inside it, as described in `notes/box-to-pixel-space.md`.
+    // A box which misses the canvas has an empty range, where min > max.
+    const shapeRanges = shapeBoxes.map((box) => ({
+        minCol: Math.max(0, Math.ceil(canvasWidth * (box.minX / worldWidth + 0.5) - 0.5)),
+        maxCol: Math.min(canvasWidth - 1, Math.floor(canvasWidth * (box.maxX / worldWidth + 0.5) - 0.5)),
+        minRow: Math.max(0, Math.ceil(canvasHeight * (box.minY / worldHeight + 0.5) - 0.5)),
+        maxRow: Math.min(canvasHeight - 1, Math.floor(canvasHeight * (box.maxY / worldHeight + 0.5) - 0.5)),
+    }));
+
+    // Convert each shape's stroke width, which is in pixels, to the band of
+    // signed distances which it covers, in world units. The stroke width is
+    // specified in pixels and should not scale with canvas size.
+    const shapeBands = shapes.map((shape) => {
+        if (typeof shape.strokeWidth !== 'number' || shape.strokeWidth <= 0 || !shape.strokeColor) return null;
+        const strokeWidthWorld = shape.strokeWidth * pixelScale * worldUnitsPerPixel;
+        switch (shape.strokePosition) {
+            case 'inside':
+                return { bandMin: -strokeWidthWorld, bandMax: 0 };
+            case 'outside':
+                return { bandMin: 0, bandMax: strokeWidthWorld };
+            case 'center':
+            default:
+                return { bandMin: -strokeWidthWorld / 2, bandMax: strokeWidthWorld / 2 };
+        }
+    });
+
+    /** Draws one shape onto one pixel, if the pixel is inside or near it. */
+    const drawShapePixel = (/** @type {number} */ si, /** @type {number} */ x, /** @type {number} */ y) => {
+        const shape = shapes[si];
+        const distanceTo = shapeDistances[si];
+        const band = shapeBands[si];
+
+        // Determine how much of the pixel the stroke covers, and how much of
+        // the fill shows through it, from the distance to the shape's edge
+        // at each sample. Without supersampling there is one sample, at the
+        // pixel's centre.
+        let strokeCoverage = 0;
+        let fillCoverage = 0;
+        for (let sy = 0; sy < supersample; sy++) {
+            for (let sx = 0; sx < supersample; sx++) {
+                const distance = distanceTo(worldXs[x] + sampleOffsets[sx], worldYs[y] + sampleOffsets[sy]);
+
+                // Fill alpha (with anti-aliasing).
+                let fillAlpha = 0;
+                if (distance < sampleAaRegion / 2) {
+                    // Map distance in [-aaRegion/2, aaRegion/2] to fill alpha
+                    // such that at distance <= -aaRegion/2 -> 1, at >= aaRegion/2 -> 0.
+                    fillAlpha = Math.max(0, Math.min(1, (-distance + sampleAaRegion / 2) / sampleAaRegion));
+                }
+
+                // Stroke alpha. Distance from the band is zero if inside the
+                // band, and positive if outside. We'll apply AA across
+                // aaRegion/2 at the band edges.
+                let strokeAlpha = 0;
+                if (band) {
+                    let distToBand = 0;
+                    if (distance < band.bandMin) distToBand = band.bandMin - distance;
+                    else if (distance > band.bandMax) distToBand = distance - band.bandMax;
+
+                    const aaEdge = sampleAaRegion / 2; // pixels->world AA half-band
+                    if (distToBand === 0) strokeAlpha = 1;
+                    else if (distToBand < aaEdge) strokeAlpha = 1 - (distToBand / aaEdge);
+                }
+
+                strokeCoverage += strokeAlpha;
+                fillCoverage += fillAlpha * (1 - strokeAlpha);
+            }
+        }
+
+        // Composite stroke over fill to form this shape's color.
+        if (fillCoverage === 0 && strokeCoverage === 0) {
+            // Nothing from this shape affects this pixel.
+            return;
+        }
+
+        // Compute premultiplied RGB for stroke then fill, averaged over the
+        // samples. The colors are the same at every sample, so:
+        // premul = stroke.rgb*strokeA + fill.rgb*fillA*(1 - strokeA)
+        const strokeA = strokeCoverage / sampleCount;
+        const fillA = fillCoverage / sampleCount;
+
+        const strokeCol = band ? shape.strokeColor : null;
+        const strokeR = strokeCol ? decode(strokeCol.red) : 0;
+        const strokeG = strokeCol ? decode(strokeCol.green) : 0;
+        const strokeB = strokeCol ? decode(strokeCol.blue) : 0;
+        const fillSample = shapePatterns[si](x, y);
+
+        const premulR = (strokeR * strokeA) + (decode(fillSample.red) * fillA);
+        const premulG = (strokeG * strokeA) + (decode(fillSample.green) * fillA);
+        const premulB = (strokeB * strokeA) + (decode(fillSample.blue) * fillA);
+        const outA = strokeA + fillA;
+
+        // Convert premultiplied RGB to non-premultiplied for the
+        // outer compositing code which expects (rgb, alpha).
+        const red = round(premulR / outA);
+        const green = round(premulG / outA);
+        const blue = round(premulB / outA);
+
+        // Blend the shape onto the canvas. A fully-opaque pixel can still
+        // be painted over by later shapes in the array.
+        const alpha = outA * shapeOpacities[si];
+        if (alpha > 0) {
+            const i = (y * canvasWidth + x) * 4;
+            const blend = shapeBlends[si];
+            canvas[i] = round(
+                (blend(canvas[i], red) * alpha) +
+                (canvas[i] * (1 - alpha))
+            );
+            canvas[i + 1] = round(
+                (blend(canvas[i + 1], green) * alpha) +
+                (canvas[i + 1] * (1 - alpha))
+            );
+            canvas[i + 2] = round(
+                (blend(canvas[i + 2], blue) * alpha) +
+                (canvas[i + 2] * (1 - alpha))
+            );
+        }
+    };
+
+    // Every pixel gets its shapes in painter's order with either strategy,
+    // so both give exactly the same pixels.
+    if (strategy === 'shape-first') {
+        // Visit only the pixels inside each shape's range, which is fastest
+        // when the shapes are smaller than the canvas.
+        for (let si = 0; si < shapes.length; si++) {
+            const { minCol, maxCol, minRow, maxRow } = shapeRanges[si];
+            for (let y = minRow; y <= maxRow; y++) {
+                for (let x = minCol; x <= maxCol; x++) {
+                    drawShapePixel(si, x, y);
+                }
+            }
+        }
+    } else {
+        // Visit every pixel, and step through each shape in order.
+        for (let y = 0; y < canvasHeight; y++) {
+            for (let x = 0; x < canvasWidth; x++) {
+                for (let si = 0; si < shapes.length; si++) {
+                    // Skip shapes whose range of pixels, which is never
+                    // smaller than the shape, does not hold this pixel.
+                    const { minCol, maxCol, minRow, maxRow } = shapeRanges[si];
+                    if (x < minCol || x > maxCol || y < minRow || y > maxRow) continue;
+                    drawShapePixel(si, x, y);
+                }
+            }
+        }
+    }
+
+    // Encode a linear-light canvas back to sRGB.
+    if (linear) {
+        for (let i = 0; i < pixels.length; i += 4) {
+            pixels[i] = linearToSrgb(canvas[i]);
+            pixels[i + 1] = linearToSrgb(canvas[i + 1]);
+            pixels[i + 2] = linearToSrgb(canvas[i + 2]);
+        }
+    }
+
+    return pixels;
+}
+
+/** #### Gets a function for the signed distance from a shape's outline
+ * The function takes a point in the space that the shape is positioned in,
+ * which is world space for a shape, or its group's space for a child. The
+ * point is moved into the shape's own space by undoing the position, then
+ * the clockwise rotation, then the scale. A scaled SDF's distances are too
+ * large along its larger axis, so they are multiplied by the smaller scale,
+ * which keeps them conservative and makes uniform scaling exact.
+ *
+ * A group's children are combined before its own transform is undone:
+ * - 'union' is the nearest child, 'intersect' is the furthest
+ * - 'subtract' is the first child, with every other child cut out of it
+ * - 'smooth-union' is like 'union', with fillets where children meet
+ * @param {Outline|GroupOutline} outline The shape or group's outline
+ * @param {string} xpx The name of the function (for error messages)
+ * @returns {(x: number, y: number) => number} The signed distance, in the same units as x and y
+ */
+function getDistanceFunction(outline, xpx) {
+    const angle = (outline.rotation || 0) * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const { x: scaleX, y: scaleY } = outline.scale || { x: 1, y: 1 };
+    const invScaleX = 1 / scaleX;
+    const invScaleY = 1 / scaleY;
+    const distanceScale = Math.min(scaleX, scaleY);
+    const { x: positionX, y: positionY } = outline.position;
+
+    /** @type {(localX: number, localY: number) => number} */
+    let sdf;
+    const size = outline.kind === 'group' ? 0 : outline.size;
+    switch (outline.kind) {
+        case 'circle':
+            sdf = (localX, localY) => sdfCircle(localX, localY, size);
+            break;
+        case 'square':
+            sdf = (localX, localY) => sdfSquare(localX, localY, size);
+            break;
+        case 'triangle':
+            sdf = (localX, localY) => sdfTriangle(localX, localY, size);
+            break;
+        case 'hexagon':
+            sdf = (localX, localY) => sdfHexagon(localX, localY, size);
+            break;
+        case 'star': {
+            const points = outline.points;
+            sdf = (localX, localY) => sdfStar(localX, localY, size, points);
+            break;
+        }
+        case 'rounded-square':
+            sdf = (localX, localY) => sdfRoundedSquare(localX, localY, size);
+            break;
+        case 'ellipse':
+            sdf = (localX, localY) => sdfEllipse(localX, localY, size);
+            break;
+        case 'ring':
+            sdf = (localX, localY) => sdfRing(localX, localY, size);
+            break;
+        case 'cross':
+            sdf = (localX, localY) => sdfCross(localX, localY, size);
+            break;
+        case 'group': {
+            const [first, ...rest] = outline.children.map((child) => getDistanceFunction(child, xpx));
+            switch (outline.operation) {
+                case 'union':
+                    sdf = (localX, localY) => rest.reduce(
+                        (distance, child) => Math.min(distance, child(localX, localY)), first(localX, localY));
+                    break;
+                case 'intersect':
+                    sdf = (localX, localY) => rest.reduce(
+                        (distance, child) => Math.max(distance, child(localX, localY)), first(localX, localY));
+                    break;
+                case 'subtract':
+                    sdf = (localX, localY) => rest.reduce(
+                        (distance, child) => Math.max(distance, -child(localX, localY)), first(localX, localY));
+                    break;
+                case 'smooth-union': {
+                    const smoothness = typeof outline.smoothness === 'number' ? outline.smoothness : DEFAULT_SMOOTHNESS;
+                    sdf = (localX, localY) => rest.reduce(
+                        (distance, child) => smoothMin(distance, child(localX, localY), smoothness), first(localX, localY));
+                    break;
+                }
+                default:
+                    throw RangeError(
+                        `${xpx} group operation '${outline.operation}' is not implemented`);
+            }
+            break;
+        }
+        default:
+            throw RangeError(
+                `${xpx} shape kind '${/** @type {Outline} */ (outline).kind}' is not implemented`);
+    }
+
+    return (x, y) => {
+        const offsetX = x - positionX;
+        const offsetY = y - positionY;
+        const localX = (offsetX * cos + offsetY * sin) * invScaleX;
+        const localY = (offsetY * cos - offsetX * sin) * invScaleY;
+        return sdf(localX, localY) * distanceScale;
+    };
+}
+
+/** #### Writes one pixel's color into a buffer of RGBA pixels
+ * @param {Uint8ClampedArray|Float32Array} pixels The RGBA pixels to draw on
+ * @param {number} canvasWidth The width of the canvas, in pixels
+ * @param {number} x The pixel's column
+ * @param {number} y The pixel's row
+ * @param {Color} color The color to write, which leaves alpha unchanged
+ */
+function setPixelColor(pixels, canvasWidth, x, y, color) {
+    const i = (y * canvasWidth + x) * 4;
+    pixels[i] = color.red;
+    pixels[i + 1] = color.green;
+    pixels[i + 2] = color.blue;
+}
+
+/** #### Gets a function which picks a background or shape's color at a pixel
+ * Stripes, squares and dots are measured in pattern units from the top-left
+ * of the canvas. A pattern unit is one logical pixel, or `stripeWidth` world
+ * units if that is set. Each pixel is sampled at its centre:
+ * - 'breton' is horizontal stripes, and 'pinstripe' is vertical stripes
+ * - 'checkerboard' is squares, with ink at the top-left
+ * - 'diagonal' is stripes two units wide, which slope up to the right
+ * - 'dots' is one-unit dots of ink, two units apart
+ *
+ * Gradients are measured in world units. A 'linear-gradient' goes from ink at
+ * the top of `frame` to paper at the bottom. A 'radial-gradient' goes from ink
+ * at the centre of `frame` to paper at half its longer side.
+ * @param {Background} fill The background or shape's ink, paper, pattern and stripe width
+ * @param {{minX:number,maxX:number,minY:number,maxY:number}} frame The box which gradients span
+ * @param {PixelGrid} grid The coordinates of each column and row of pixels
+ * @returns {(x: number, y: number) => Color} The color at a pixel's column and row
+ */
+function getPatternSampler(fill, frame, grid) {
+    const { ink, paper, pattern, stripeWidth } = fill;
+    const { worldXs, worldYs } = grid;
+    if (pattern === 'linear-gradient') {
+        const height = Math.max(frame.maxY - frame.minY, 1e-9);
+        return (x, y) => mixColors(ink, paper, (worldYs[y] - frame.minY) / height);
+    }
+    if (pattern === 'radial-gradient') {
+        const centerX = (frame.minX + frame.maxX) / 2;
+        const centerY = (frame.minY + frame.maxY) / 2;
+        const radius = Math.max(frame.maxX - frame.minX, frame.maxY - frame.minY, 1e-9) / 2;
+        return (x, y) => mixColors(ink, paper,
+            Math.sqrt((worldXs[x] - centerX) ** 2 + (worldYs[y] - centerY) ** 2) / radius);
+    }
+
+    // Precompute the pattern coordinates of every column and row.
+    const us = stripeWidth
+        ? worldXs.map((worldX) => (worldX - grid.left) / stripeWidth)
+        : grid.logicalXs.map((logicalX) => logicalX + 0.5);
+    const vs = stripeWidth
+        ? worldYs.map((worldY) => (worldY - grid.top) / stripeWidth)
+        : grid.logicalYs.map((logicalY) => logicalY + 0.5);
+    switch (pattern) {
+        case 'breton':
+            return (x, y) => Math.floor(vs[y]) % 2 === 0 ? ink : paper;
+        case 'pinstripe':
+            return (x, y) => Math.floor(us[x]) % 2 === 0 ? ink : paper;
+        case 'checkerboard':
+            return (x, y) => (Math.floor(us[x]) + Math.floor(vs[y])) % 2 === 0 ? ink : paper;
+        case 'diagonal':
+            return (x, y) => Math.floor((us[x] + vs[y]) / 2) % 2 === 0 ? ink : paper;
+        case 'dots':
+            return (x, y) => {
+                const du = us[x] % 2 - 0.5;
+                const dv = vs[y] % 2 - 0.5;
+                return du * du + dv * dv < 0.25 ? ink : paper;
+            };
+        default:
+            return () => ink;
+    }
+}
+
+/** #### Mixes two colors
+ * @param {Color} from The color when `amount` is 0 or less
+ * @param {Color} to The color when `amount` is 1 or more
+ * @param {number} amount How far to go from one color to the other
+ * @returns {Color} The mixed color, rounded to integers
+ */
+function mixColors(from, to, amount) {
+    const t = Math.max(0, Math.min(1, amount));
+    return {
+        red: Math.round(from.red + (to.red - from.red) * t),
+        green: Math.round(from.green + (to.green - from.green) * t),
+        blue: Math.round(from.blue + (to.blue - from.blue) * t),
+    };
+}
+
+/** #### Encodes a linear-light channel value as sRGB
+ * @param {number} value The linear value, 0 to 255
+ * @returns {number} The sRGB value, rounded to an integer from 0 to 255
+ */
+function linearToSrgb(value) {
+    const c = Math.max(0, Math.min(1, value / 255));
+    return Math.round(255 * (c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055));
+}
@@ -0,0 +1,278 @@
+import { throws, deepStrictEqual as eq } from 'node:assert/strict';
+import { getPixelColor, rasterize } from './rasterize.js';
+
+const xpx = 'rasterize()';
+
+/**
+ * @typedef {import('./types.js').Background} Background
+ * @typedef {import('./types.js').Color} Color
+ * @typedef {import('./types.js').Group} Group
+ * @typedef {import('./types.js').Outline} Outline
+ * @typedef {import('./types.js').Shape} Shape
+ */
+
+/** @type {Color} */
+const validOrange = { red: 255, green: 165, blue: 0 };
+const validBlue = { red: 0, green: 0, blue: 255 };
+
+/** @type {Background} */
+const validBg = { ink: validOrange, paper: validBlue, pattern: 'breton' };
+
+/** @type {Shape} */
+const validShape = {
+    kind: 'circle',
+    size: 3,
+    position: { x: 0, y: 0 },
+    ink: validOrange,
+    paper: validBlue,
+    pattern: 'pinstripe',
+    strokeColor: { red: 255, green: 0, blue: 180 },
+    strokePosition: 'center',
+    strokeWidth: 2,
+};
+
+
+// Invalid arguments.
+
+// @ts-expect-error
+throws(() => rasterize(), { message: /^rasterize\(\) canvasWidth is type 'undefined' not 'number'/});
+throws(() => rasterize(0, 10, validBg, []), { message: /canvasWidth must be an integer between 1 and 4096/});
+// @ts-expect-error
+throws(() => rasterize(10, '10', validBg, []), { message: /canvasHeight is type 'string' not 'number'/});
+throws(() => rasterize(10, 4097, validBg, []), { message: /canvasHeight must be an integer between 1 and 4096/});
+throws(() => rasterize(10, 10, null, []), { message: /^rasterize\(\) background is 'null' not a plain object/});
+throws(() => rasterize(10, 10, validBg, null), { message: /shapes is null not an array/});
+throws(() => rasterize(10, 10, validBg, [ { ...validShape, size: 0 } ]), { message: /shapes\[0\]\.size must be an integer between 1 and 100/});
+throws(() => rasterize(10, 10, validBg, [], null), { message: /options is 'null' not a plain object/});
+// @ts-expect-error
+throws(() => rasterize(10, 10, validBg, [], 'fast'), { message: /options is type 'string' not 'object'/});
+// @ts-expect-error
+throws(() => rasterize(10, 10, validBg, [], { strategy: 1 }), { message: /options\.strategy is type 'number' not 'string'/});
+// @ts-expect-error
+throws(() => rasterize(10, 10, validBg, [], { strategy: 'row-first' }), { message: /options\.strategy must be one of 'shape-first' or 'pixel-first'/});
+// @ts-expect-error
+throws(() => rasterize(10, 10, validBg, [], { quality: true }), { message: /options\.quality is type 'boolean' not 'string'/});
+// @ts-expect-error
+throws(() => rasterize(10, 10, validBg, [], { quality: 'best' }), { message: /options\.quality must be one of 'fast' or 'linear-light'/});
+// @ts-expect-error
+throws(() => rasterize(10, 10, validBg, [], { supersample: '4' }), { message: /options\.supersample is type 'string' not 'number'/});
+throws(() => rasterize(10, 10, validBg, [], { supersample: 0 }), { message: /options\.supersample must be an integer between 1 and 8/});
+throws(() => rasterize(10, 10, validBg, [], { supersample: 2.5 }), { message: /options\.supersample must be an integer between 1 and 8/});
+throws(() => rasterize(10, 10, validBg, [], { supersample: 9 }), { message: /options\.supersample must be an integer between 1 and 8/});
+
+
+// Valid inputs.
+
+// Four bytes per pixel, in rows, with opaque alpha. renderAnsi()'s limits
+// on size and odd heights do not apply.
+const strip = rasterize(3, 3, validBg, []);
+eq(strip instanceof Uint8ClampedArray, true);
+eq([...strip], [
+    255, 165, 0, 255, 255, 165, 0, 255, 255, 165, 0, 255,
+    0, 0, 255, 255, 0, 0, 255, 255, 0, 0, 255, 255,
+    255, 165, 0, 255, 255, 165, 0, 255, 255, 165, 0, 255,
+]);
+eq(rasterize(300, 1, { ...validBg, pattern: 'pinstripe' }, []).length, 1200);
+eq(getPixelColor(rasterize(300, 1, { ...validBg, pattern: 'pinstripe' }, []), 300, 299, 0), validBlue);
+
+// Shapes are drawn in order over the background, with their patterns and strokes.
+/** @type {Shape[]} */
+const shapes = [
+    validShape,
+    { ...validShape, kind: 'square', size: 2, position: { x: -3, y: 2 }, pattern: 'breton', strokePosition: 'inside' },
+];
+const pixels = rasterize(24, 16, validBg, shapes);
+eq(getPixelColor(pixels, 24, 0, 0), validOrange); // background, breton
+eq(getPixelColor(pixels, 24, 0, 1), validBlue);
+eq(getPixelColor(pixels, 24, 12, 8), validOrange); // circle, pinstripe
+eq(getPixelColor(pixels, 24, 13, 8), validBlue);
+eq(getPixelColor(pixels, 24, 12, 3), validShape.strokeColor); // circle's stroke
+eq(getPixelColor(pixels, 24, 6, 10), validOrange); // square, breton
+eq(getPixelColor(pixels, 24, 6, 11), validBlue);
+eq(getPixelColor(pixels, 24, 8, 11), validShape.strokeColor); // square's stroke
+
+// Rotation is clockwise, in degrees. A triangle turned upside down is the
+// same as the original flipped vertically, on a plain background.
+/** @type {Background} */
+const plainBg = { ...validBg, paper: validOrange };
+/** @type {Shape} */
+const triangle = { ...validShape, kind: 'triangle', paper: validBlue, ink: validBlue };
+const upright = rasterize(40, 40, plainBg, [ triangle ]);
+const upsideDown = rasterize(40, 40, plainBg, [ { ...triangle, rotation: 180 } ]);
+for (let y = 0; y < 40; y++) {
+    for (let x = 0; x < 40; x++) {
+        eq(getPixelColor(upsideDown, 40, x, y), getPixelColor(upright, 40, x, 39 - y));
+    }
+}
+const turned = rasterize(40, 40, plainBg, [ { ...triangle, rotation: 90 } ]);
+eq(getPixelColor(turned, 40, 20 + 8, 20), validBlue); // points right...
+eq(getPixelColor(turned, 40, 20 - 10, 20), validOrange); // ...not left
+
+// Scale stretches a shape along its own axes, before it is rotated. Scaling
+// uniformly is exact, so strokes keep their width in pixels.
+eq(rasterize(40, 40, validBg, [ { ...validShape, size: 1, scale: { x: 3, y: 3 } } ]),
+    rasterize(40, 40, validBg, [ validShape ]));
+const stretched = rasterize(40, 40, plainBg, [ { ...triangle, kind: 'square', size: 1, strokeWidth: 0, scale: { x: 3, y: 0.5 } } ]);
+eq(getPixelColor(stretched, 40, 20 + 6, 20), validBlue);
+eq(getPixelColor(stretched, 40, 20, 20 + 4), validOrange);
+const stretchedAndTurned = rasterize(40, 40, plainBg, [ { ...triangle, kind: 'square', size: 1, strokeWidth: 0, scale: { x: 3, y: 0.5 }, rotation: 90 } ]);
+eq(getPixelColor(stretchedAndTurned, 40, 20 + 10, 20), validOrange);
+eq(getPixelColor(stretchedAndTurned, 40, 20, 20 + 6), validBlue);
+
+// Checkerboards, diagonals and dots are keyed to pixels, like stripes.
+/** @type {(bg: Background) => string[]} */
+const inkMap = (bg) => {
+    const grid = rasterize(4, 4, bg, []);
+    return [0, 1, 2, 3].map((y) => [0, 1, 2, 3].map((x) =>
+        getPixelColor(grid, 4, x, y).red === 255 ? '#' : '.').join(''));
+};
+eq(inkMap({ ...validBg, pattern: 'checkerboard' }), ['#.#.', '.#.#', '#.#.', '.#.#']);
+eq(inkMap({ ...validBg, pattern: 'diagonal' }), ['#..#', '..##', '.##.', '##..']);
+eq(inkMap({ ...validBg, pattern: 'dots' }), ['#.#.', '....', '#.#.', '....']);
+
+// A stripe width is in world units, so stripes keep their place in the
+// picture at any canvas size.
+for (const pattern of /** @type {const} */ (['breton', 'pinstripe', 'checkerboard'])) {
+    const small = rasterize(20, 20, { ...validBg, pattern, stripeWidth: 1.5 }, []);
+    const large = rasterize(40, 40, { ...validBg, pattern, stripeWidth: 1.5 }, []);
+    for (let y = 0; y < 20; y++) {
+        for (let x = 0; x < 20; x++) {
+            eq(getPixelColor(small, 20, x, y), getPixelColor(large, 40, x * 2, y * 2));
+        }
+    }
+}
+eq(inkMap({ ...validBg, pattern: 'pinstripe', stripeWidth: 5 }), ['##..', '##..', '##..', '##..']);
+
+// Gradients go from ink to paper, down the canvas or out from its centre,
+// or across a shape's bounding box.
+const gradient = rasterize(10, 10, { ...validBg, pattern: 'linear-gradient' }, []);
+eq(getPixelColor(gradient, 10, 3, 0), { red: 242, green: 157, blue: 13 });
+eq(getPixelColor(gradient, 10, 7, 9), { red: 13, green: 8, blue: 242 });
+const radial = rasterize(10, 10, { ...validBg, pattern: 'radial-gradient' }, []);
+eq(getPixelColor(radial, 10, 4, 5), getPixelColor(radial, 10, 5, 4));
+eq(getPixelColor(radial, 10, 0, 0), validBlue);
+/** @type {Shape} */
+const shaded = { ...validShape, kind: 'square', size: 2, strokeWidth: 0, pattern: 'linear-gradient', position: { x: 0, y: -2 } };
+const shadedPixels = rasterize(40, 40, plainBg, [ shaded ]);
+eq(getPixelColor(shadedPixels, 40, 20, 4), { red: 247, green: 160, blue: 8 });
+eq(getPixelColor(shadedPixels, 40, 20, 19), { red: 8, green: 5, blue: 247 });
+
+// A shape's opacity and blend mode mix it with the canvas beneath. Here a
+// blue square covers an orange canvas.
+/** @type {Shape} */
+const cover = { ...triangle, kind: 'square', size: 5, strokeWidth: 0 };
+/** @type {(shape: Shape) => Color} */
+const centerOf = (shape) => getPixelColor(rasterize(10, 10, plainBg, [ shape ]), 10, 5, 5);
+eq(centerOf(cover), validBlue);
+eq(centerOf({ ...cover, blendMode: 'normal', opacity: 1 }), validBlue);
+eq(centerOf({ ...cover, opacity: 0 }), validOrange);
+eq(centerOf({ ...cover, opacity: 0.5 }), { red: 128, green: 83, blue: 128 });
+eq(centerOf({ ...cover, blendMode: 'multiply' }), { red: 0, green: 0, blue: 0 });
+eq(centerOf({ ...cover, blendMode: 'screen' }), { red: 255, green: 165, blue: 255 });
+eq(centerOf({ ...cover, blendMode: 'overlay' }), { red: 255, green: 75, blue: 0 });
+eq(centerOf({ ...cover, blendMode: 'difference' }), { red: 255, green: 165, blue: 255 });
+eq(centerOf({ ...cover, blendMode: 'difference', opacity: 0.5 }), { red: 255, green: 165, blue: 128 });
+
+// A group with one child is the same as that child drawn as a shape. The
+// child is positioned relative to the group, and the group is transformed
+// like a shape.
+/** @type {Group} */
+const group = { ...triangle, kind: 'group', operation: 'union', children: [ { kind: 'triangle', size: 3, position: { x: 0, y: 0 } } ] };
+eq(rasterize(40, 40, validBg, [ { ...group, position: { x: 1, y: 2 } } ]),
+    rasterize(40, 40, validBg, [ { ...triangle, position: { x: 1, y: 2 } } ]));
+eq(rasterize(40, 40, validBg, [ { ...group, children: [ { ...group.children[0], position: { x: 1, y: 2 } } ] } ]),
+    rasterize(40, 40, validBg, [ { ...triangle, position: { x: 1, y: 2 } } ]));
+eq(rasterize(40, 40, validBg, [ { ...group, rotation: 90, scale: { x: 2, y: 1 } } ]),
+    rasterize(40, 40, validBg, [ { ...triangle, rotation: 90, scale: { x: 2, y: 1 } } ]));
+
+// A union has one stroke around the outside, where two overlapping shapes
+// each have their own. At world x = -0.875 the right circle's stroke is
+// drawn over the left circle.
+/** @type {Outline[]} */
+const pair = [
+    { kind: 'circle', size: 3, position: { x: -2, y: 0 } },
+    { kind: 'circle', size: 3, position: { x: 2, y: 0 } },
+];
+const separate = rasterize(40, 40, plainBg, pair.map((child) => ({ ...triangle, ...child })));
+const union = rasterize(40, 40, plainBg, [ { ...group, children: pair } ]);
+eq(getPixelColor(separate, 40, 16, 20), validShape.strokeColor);
+eq(getPixelColor(union, 40, 16, 20), validBlue);
+eq(getPixelColor(union, 40, 20, 20 - 18), validOrange);
+
+// A subtraction cuts the other children out of the first, and an
+// intersection is only where every child is.
+/** @type {Outline} */
+const hole = { kind: 'circle', size: 1, position: { x: 0, y: 0 } };
+const subtracted = rasterize(40, 40, plainBg, [ { ...group, operation: 'subtract', children: [ pair[0], hole ] } ]);
+eq(getPixelColor(subtracted, 40, 20, 20), validOrange);
+eq(getPixelColor(subtracted, 40, 20 - 8, 20), validBlue);
+const intersected = rasterize(40, 40, plainBg, [ { ...group, operation: 'intersect', children: pair } ]);
+eq(getPixelColor(intersected, 40, 20, 20), validBlue);
+eq(getPixelColor(intersected, 40, 20 - 14, 20), validOrange);
+eq(getPixelColor(intersected, 40, 20 + 14, 20), validOrange);
+
+// A smooth union fills in the gap between children which nearly touch.
+/** @type {Outline[]} */
+const apart = [
+    { kind: 'circle', size: 1, position: { x: -2, y: 0 } },
+    { kind: 'circle', size: 1, position: { x: 2, y: 0 } },
+];
+const noStroke = { ...group, strokeWidth: 0, children: apart };
+eq(getPixelColor(rasterize(40, 40, plainBg, [ noStroke ]), 40, 20, 20), validOrange);
+eq(getPixelColor(rasterize(40, 40, plainBg, [ { ...noStroke, operation: 'smooth-union', smoothness: 6 } ]), 40, 20, 20), validBlue);
+eq(getPixelColor(rasterize(40, 40, plainBg, [ { ...noStroke, operation: 'smooth-union', smoothness: 0 } ]), 40, 20, 20), validOrange);
+
+// Both strategies draw exactly the same pixels, including for shapes which
+// are partly or entirely off the canvas, and for groups and blended shapes.
+/** @type {(Shape|Group)[]} */
+const mixed = [
+    ...shapes,
+    { ...validShape, position: { x: 8, y: 0 } },
+    { ...validShape, position: { x: -40, y: 30 } },
+    { ...group, children: pair, rotation: 30, opacity: 0.5 },
+    { ...cover, blendMode: 'difference', position: { x: 2, y: -3 } },
+];
+eq(rasterize(24, 16, validBg, mixed), rasterize(24, 16, validBg, mixed, { strategy: 'shape-first' }));
+eq(rasterize(24, 16, validBg, mixed, { strategy: 'shape-first' }),
+    rasterize(24, 16, validBg, mixed, { strategy: 'pixel-first' }));
+eq(rasterize(7, 31, validBg, mixed, { strategy: 'shape-first' }),
+    rasterize(7, 31, validBg, mixed, { strategy: 'pixel-first' }));
+
+// In linear light, solid colors are unchanged, but anti-aliased edges and
+// semi-transparent shapes are mixed the way light mixes, so a white square's
+// edge on black is brighter, not a dark fringe.
+/** @type {Color} */
+const black = { red: 0, green: 0, blue: 0 };
+const white = { red: 255, green: 255, blue: 255 };
+/** @type {Background} */
+const blackBg = { ink: black, paper: black, pattern: 'breton' };
+/** @type {Shape} */
+const whiteSquare = { ...cover, size: 3, ink: white, paper: white };
+eq(rasterize(10, 10, validBg, shapes, { quality: 'fast' }), rasterize(10, 10, validBg, shapes));
+eq(getPixelColor(rasterize(37, 37, blackBg, [ whiteSquare ]), 37, 7, 18), { red: 158, green: 158, blue: 158 });
+eq(getPixelColor(rasterize(37, 37, blackBg, [ whiteSquare ], { quality: 'linear-light' }), 37, 7, 18), { red: 206, green: 206, blue: 206 });
+eq(getPixelColor(rasterize(37, 37, blackBg, [ whiteSquare ], { quality: 'linear-light' }), 37, 8, 18), white);
+eq(getPixelColor(rasterize(10, 10, plainBg, [ cover ], { quality: 'linear-light' }), 10, 5, 5), validBlue);
+eq(getPixelColor(rasterize(10, 10, plainBg, [ { ...cover, opacity: 0.5 } ], { quality: 'linear-light' }), 10, 5, 5), { red: 188, green: 120, blue: 188 });
+for (let channel = 0; channel < 256; channel++) {
+    const gray = { red: channel, green: channel, blue: channel };
+    eq(getPixelColor(rasterize(2, 2, { ink: gray, paper: gray, pattern: 'breton' }, [], { quality: 'linear-light' }), 2, 0, 0), gray);
+}
+
+// Supersampling finds strokes which are much thinner than a pixel, which
+// fall between the pixel centres otherwise.
+/** @type {Shape} */
+const hairline = { ...cover, size: 3, ink: black, paper: black, strokeColor: white, strokeWidth: 0.125 };
+/** @type {(options: import('./types.js').RasterOptions) => number[]} */
+const hairlineRow = (options) => {
+    const pixels = rasterize(40, 40, blackBg, [ hairline ], options);
+    return Array.from({ length: 12 }, (_, x) => getPixelColor(pixels, 40, x, 20).red);
+};
+eq(hairlineRow({}), [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0 ]);
+eq(hairlineRow({ supersample: 1 }), hairlineRow({}));
+eq(hairlineRow({ supersample: 4 }), [ 0, 0, 0, 0, 0, 0, 0, 26, 26, 0, 0, 0 ]);
+eq(hairlineRow({ supersample: 4, quality: 'linear-light' }), [ 0, 0, 0, 0, 0, 0, 0, 90, 90, 0, 0, 0 ]);
+eq(rasterize(24, 16, validBg, mixed, { strategy: 'shape-first', supersample: 3, quality: 'linear-light' }),
+    rasterize(24, 16, validBg, mixed, { strategy: 'pixel-first', supersample: 3, quality: 'linear-light' }));
+
+console.log(`All ${xpx} tests passed!`);
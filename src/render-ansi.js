@@ -1,37 +1,67 @@
 import {
     isIntInRange,
     validateBackground,
+    validateRasterOptions,
     validateShape,
 } from './validate-args.js';
-import {
-    sdfCircle,
-    sdfSquare,
-    sdfTriangle,
-    aabbCircle,
-    aabbSquare,
-    aabbTriangle,
-} from './sdf-and-aabb.js';
-
-// Feature flag to toggle bounding-box culling. When enabled, the renderer 
-// will skip expensive SDF calculations for shapes whose world-space axis-
-// aligned bounding box doesn't contain the pixel being shaded. This is a
-// conservative optimization: bounding boxes are chosen to never exclude a
-// pixel that the shape could affect (they may be slightly larger than the
-// true shape), so correctness is preserved.
-const ENABLE_BOX_CULLING = true;
+import { detectColorDepth } from './detect-color-depth.js';
+import { drawPixels, getPixelColor } from './rasterize.js';
 
 /**
+ * @typedef {import('./types.js').CellMode} CellMode
  * @typedef {import('./types.js').Color} Color
  * @typedef {import('./types.js').ColorDepth} ColorDepth
  */
 
+/** #### The size and characters of each cell mode
+ * Each character cell covers `width` by `height` pixels. A cell's pixels are
+ * numbered left to right, then top to bottom, and bit `i` of a glyph's index
+ * is set if pixel `i` is drawn in the foreground color. If `invertible` is
+ * true, swapping the colors and inverting the bits gives an identical look.
+ * @type {Record<CellMode, { width: number, height: number, invertible: boolean, glyphs: string[] }>}
+ */
+const CELL_MODES = {
+    half: {
+        width: 1,
+        height: 2,
+        invertible: true,
+        glyphs: [' ', '▀', '▄', '█'],
+    },
+    quadrant: {
+        width: 2,
+        height: 2,
+        invertible: true,
+        glyphs: [...' ▘▝▀▖▌▞▛▗▚▐▜▄▙▟█'],
+    },
+    braille: {
+        width: 2,
+        height: 4,
+        invertible: false, // the dots are smaller than the gaps between them
+        glyphs: Array.from({ length: 256 }, (_, mask) => {
+            // Braille numbers its dots down the left column, then down the
+            // right, with the bottom row added last.
+            const dotBits = [0x01, 0x08, 0x02, 0x10, 0x04, 0x20, 0x40, 0x80];
+            let dots = 0;
+            for (let i = 0; i < 8; i++) if (mask & (1 << i)) dots |= dotBits[i];
+            return String.fromCharCode(0x2800 + dots);
+        }),
+    },
+};
+
 /** #### Renders an array of shapes as ANSI art
  * @param {number} canvasWidth The width of the canvas
  * @param {number} canvasHeight The height of the canvas
  * @param {import('./types.js').Background} background How to render the background
- * @param {import('./types.js').Shape[]} shapes An array of shapes to render
+ * @param {(import('./types.js').Shape|import('./types.js').Group)[]} shapes An array of shapes and groups to render
  * @param {ColorDepth} [colorDepth='truecolor']
- *   Whether to downgrade color rendering for terminals that do not support true color (24-bit color)
+ *   Whether to downgrade color rendering for terminals that do not support true color (24-bit color).
+ *   'auto' uses `detectColorDepth()` to choose, from the environment variables
+ * @param {CellMode} [cellMode='half']
+ *   How many pixels each character shows: 'half' is 1x2 half blocks, 'quadrant'
+ *   is 2x2 quadrant blocks and 'braille' is 2x4 Braille dots. There can be up
+ *   to 120 characters across and 32 down, so the canvas size limits depend on this
+ * @param {import('./types.js').RasterOptions} [options={}]
+ *   How the pixels are drawn, as in `rasterize()`, eg `{ quality: 'linear-light' }`
  * @returns {string} The rendered ANSI art
  */
 export const renderAnsi = (
@@ -40,20 +70,33 @@ export const renderAnsi = (
     background,
     shapes,
     colorDepth = 'truecolor',
+    cellMode = 'half',
+    options = {},
 ) => {
     const xpx = 'renderAnsi()';
 
-    // Validate the arguments.
+    // Validate the cell mode first, as the canvas size limits depend on it.
+    // Only CELL_MODES' own keys are valid, not inherited ones like 'toString'.
+    if (typeof cellMode !== 'string') throw TypeError(
+        `${xpx} cellMode is type '${typeof cellMode}' not 'string'`);
+    if (Object.keys(CELL_MODES).indexOf(cellMode) === -1) throw RangeError(
+        `${xpx} cellMode must be one of 'half', 'quadrant' or 'braille'`);
+    const cell = CELL_MODES[cellMode];
+
+    // Validate the other arguments.
     if (typeof canvasWidth !== 'number') throw TypeError(
         `${xpx} canvasWidth is type '${typeof canvasWidth}' not 'number'`);
-    if (!isIntInRange(canvasWidth, 1, 120)) throw RangeError(
-        `${xpx} canvasWidth must be an integer between 1 and 120`);
+    if (!isIntInRange(canvasWidth, 1, 120 * cell.width)) throw RangeError(
+        `${xpx} canvasWidth must be an integer between 1 and ${120 * cell.width}`);
+    if (canvasWidth % cell.width !== 0) throw RangeError(
+        `${xpx} canvasWidth must be an even number`);
     if (typeof canvasHeight !== 'number') throw TypeError(
         `${xpx} canvasHeight is type '${typeof canvasHeight}' not 'number'`);
-    if (!isIntInRange(canvasHeight, 2, 64)) throw RangeError(
-        `${xpx} canvasHeight must be an integer between 2 and 64`);
-    if (canvasHeight % 2 !== 0) throw RangeError(
-        `${xpx} canvasHeight must be an even number`);
+    if (!isIntInRange(canvasHeight, cell.height, 32 * cell.height)) throw RangeError(
+        `${xpx} canvasHeight must be an integer between ${cell.height} and ${32 * cell.height}`);
+    if (canvasHeight % cell.height !== 0) throw RangeError(cell.height === 2
+        ? `${xpx} canvasHeight must be an even number`
+        : `${xpx} canvasHeight must be a multiple of ${cell.height}`);
     validateBackground(background, xpx);
     if (shapes === null) throw TypeError(
         `${xpx} shapes is null not an array`);
@@ -62,462 +105,266 @@ export const renderAnsi = (
     shapes.forEach((shape, i) => validateShape(shape, xpx, i));
     if (typeof colorDepth !== 'string') throw TypeError(
         `${xpx} colorDepth is type '${typeof colorDepth}' not 'string'`);
-    if (['truecolor', '256', 'monochrome'].indexOf(colorDepth) === -1) throw RangeError(
-        `${xpx} colorDepth must be one of 'truecolor', '256' or 'monochrome'`);
-
-    // Create a black canvas of pixels with the specified dimensions.
-    const pixelCanvas = Array.from({ length: canvasHeight }, () =>
-        Array.from({ length: canvasWidth }, () => ({ red: 0, green: 0, blue: 0 }))
-    );
-
-    // Draw the background onto the pixel canvas before rendering shapes.
-    // Background must go first so shapes render on top of it.
-    switch (background.pattern) {
-        case 'breton':
-            drawBackgroundBreton(pixelCanvas, background.ink, background.paper);
-            break;
-        case 'pinstripe':
-            drawBackgroundPinstripe(pixelCanvas, background.ink, background.paper);
-            break;
-    }
-
-    // Convert an anti-aliasing width specified in pixels to world-space
-    // units. The renderer maps the smaller canvas dimension to 10.0 world
-    // units, so one world unit per pixel is 10.0 / min(canvasWidth,canvasHeight).
-    // Use aaRegionPixels to control how many screen pixels the AA band covers.
-    const worldUnitsPerPixel = 10.0 / Math.min(canvasWidth, canvasHeight);
-    const aaRegionPixels = 0.85; // anti-alias region width in pixels (1 would be a little too soft)
-    const aaRegion = aaRegionPixels * worldUnitsPerPixel;
-
-    // Precompute conservative axis-aligned bounding boxes (AABB) for each
-    // shape in world-space. These boxes are expanded by the anti-aliasing
-    // region so that edge pixels aren't incorrectly culled. We compute them
-    // once here so the inner pixel loop can cheaply skip shapes that cannot
-    // possibly affect a given pixel.
-    // Use helper functions colocated with SDFs to compute conservative AABBs
-    // for each shape. These helpers are in `src/sdf-and-aabb.js` and mirror
-    // the previous inline logic; keeping them next to SDFs helps maintain
-    // consistency when shapes change.
-    const shapeBoxes = shapes.map((shape) => {
-        // Base AA expansion in world units.
-        // Also expand outward for strokes that lie outside or are centred on
-        // the shape boundary so we don't accidentally cull stroke pixels.
-        const strokePx = typeof shape.strokeWidth === 'number' ? shape.strokeWidth : 0;
-        const strokeWorld = strokePx * worldUnitsPerPixel;
-        // Default to 'center' semantics if strokePosition is missing.
-        let outwardExtension;
-        switch (shape.strokePosition) {
-            case 'outside':
-                outwardExtension = strokeWorld;
-                break;
-            case 'inside':
-                outwardExtension = 0;
-                break;
-            case 'center':
-            default:
-                outwardExtension = strokeWorld / 2;
-                break;
-        }
-        const expand = aaRegion + outwardExtension; // conservative expand
-        switch (shape.kind) {
-            case 'circle':
-                return aabbCircle(shape, expand);
-            case 'square':
-                return aabbSquare(shape, expand);
-            case 'triangle':
-                return aabbTriangle(shape, expand);
-            default:
-                return { minX: -1e6, maxX: 1e6, minY: -1e6, maxY: 1e6 };
-        }
-    });
-
-    // Determine each pixel's color.
-    // Precompute values that are constant across pixels to avoid repeated
-    // work inside the nested loops.
-    const aspectRatio = canvasWidth / canvasHeight;
-    const worldWidth = aspectRatio >= 1 ? 10.0 * aspectRatio : 10.0;
-    const worldHeight = aspectRatio >= 1 ? 10.0 : 10.0 / aspectRatio;
-    const invCanvasWidth = 1.0 / canvasWidth;
-    const invCanvasHeight = 1.0 / canvasHeight;
-
-    // Precompute the world X coordinate for every column and the world Y
-    // coordinate for every row. This moves the division/multiplication out
-    // of the inner pixel loop which is executed for every pixel.
-    const worldXs = new Array(canvasWidth);
-    for (let i = 0; i < canvasWidth; i++) {
-        worldXs[i] = ((i + 0.5) * invCanvasWidth - 0.5) * worldWidth;
-    }
-    const worldYs = new Array(canvasHeight);
-    for (let j = 0; j < canvasHeight; j++) {
-        worldYs[j] = ((j + 0.5) * invCanvasHeight - 0.5) * worldHeight;
-    }
-
-    for (let y = 0; y < canvasHeight; y++) {
-        for (let x = 0; x < canvasWidth; x++) {
-            // Look up the precomputed world coordinates for this pixel.
-            const worldX = worldXs[x];
-            const worldY = worldYs[y];
-
-            // Pick up colours from each shape if the pixel is inside it, or even
-            // close to its edge (for anti-aliasing).
-            let color = { red: 0, green: 0, blue: 0, alpha: 0 };
-
-            // Step through each shape in order.
-            ShapeLoop:
-            for (let si = 0; si < shapes.length; si++) {
-                const shape = shapes[si];
-                // Quick axis-aligned bounding-box culling. If enabled and the
-                // pixel's world coordinate lies outside the (conservative)
-                // box for this shape, skip SDF evaluation entirely.
-                if (ENABLE_BOX_CULLING) {
-                    const box = shapeBoxes[si];
-                    if (worldX < box.minX || worldX > box.maxX || worldY < box.minY || worldY > box.maxY) {
-                        continue; // shape cannot affect this pixel
-                    }
-                }
-                let distance;
-                switch (shape.kind) {
-                    case 'circle':
-                        distance = sdfCircle(
-                            worldX - shape.position.x,
-                            worldY - shape.position.y,
-                            shape.size
-                        );
-                        break;
-                    case 'square':
-                        distance = sdfSquare(
-                            worldX - shape.position.x,
-                            worldY - shape.position.y,
-                            shape.size
-                        );
-                        break;
-                    case 'triangle':
-                        distance = sdfTriangle(
-                            worldX - shape.position.x,
-                            worldY - shape.position.y,
-                            shape.size
-                        );
-                        break;
-                    default:
-                        throw RangeError(
-                            `${xpx} shape kind '${shape.kind}' is not implemented`);
-                }
-
-                // Determine pixel color based on distance to shape edge. We
-                // support both a textured fill (using sampleShapePattern) and
-                // an optional stroke. The strokeWidth is specified in pixel
-                // (not world units). Convert it to world units using
-                // worldUnitsPerPixel so SDF checks work.
-
-                // Fill alpha (with anti-aliasing).
-                const fillSample = sampleShapePattern(shape, x, y);
-                let fillAlpha = 0;
-                if (distance < aaRegion / 2) {
-                    // Map distance in [-aaRegion/2, aaRegion/2] to fill alpha
-                    // such that at distance <= -aaRegion/2 -> 1, at >= aaRegion/2 -> 0.
-                    fillAlpha = Math.max(0, Math.min(1, (-distance + aaRegion / 2) / aaRegion));
-                }
-
-                // Stroke alpha (pixel-unit strokeWidth).
-                let strokeAlpha = 0;
-                let strokeCol = null;
-                if (typeof shape.strokeWidth === 'number' && shape.strokeWidth > 0 && shape.strokeColor) {
-                    // Convert stroke width in pixels to world units so we can
-                    // compare against the SDF distance. The stroke width is
-                    // specified in pixels and should not scale with canvas size.
-                    const strokeWidthWorld = shape.strokeWidth * worldUnitsPerPixel;
-
-                    // Determine stroke band in world units depending on position.
-                    let bandMin = 0, bandMax = 0;
-                    switch (shape.strokePosition) {
-                        case 'inside':
-                            bandMin = -strokeWidthWorld;
-                            bandMax = 0;
-                            break;
-                        case 'outside':
-                            bandMin = 0;
-                            bandMax = strokeWidthWorld;
-                            break;
-                        case 'center':
-                        default:
-                            bandMin = -strokeWidthWorld / 2;
-                            bandMax = strokeWidthWorld / 2;
-                            break;
-                    }
-
-                    // Distance from the band: zero if inside the band, positive
-                    // if outside. We'll apply AA across aaRegion/2 at the band
-                    // edges.
-                    let distToBand = 0;
-                    if (distance < bandMin) distToBand = bandMin - distance;
-                    else if (distance > bandMax) distToBand = distance - bandMax;
-                    else distToBand = 0;
-
-                    const aaEdge = aaRegion / 2; // pixels->world AA half-band
-                    if (distToBand === 0) strokeAlpha = 1;
-                    else if (distToBand < aaEdge) strokeAlpha = 1 - (distToBand / aaEdge);
-                    else strokeAlpha = 0;
-
-                    strokeCol = shape.strokeColor;
-                }
-
-                // Composite stroke over fill to form this shape's color.
-                if (fillAlpha === 0 && strokeAlpha === 0) {
-                    // Nothing from this shape affects this pixel.
-                    // Loop continues to next shape.
-                    continue;
-                }
-
-                // Compute premultiplied RGB for stroke then fill.
-                // premul = stroke.rgb*strokeA + fill.rgb*fillA*(1 - strokeA)
-                const strokeA = strokeAlpha;
-                const fillA = fillAlpha;
+    if (['truecolor', '256', '16', 'monochrome', 'auto'].indexOf(colorDepth) === -1) throw RangeError(
+        `${xpx} colorDepth must be one of 'truecolor', '256', '16', 'monochrome' or 'auto'`);
+    const settings = validateRasterOptions(options, xpx);
+    if (colorDepth === 'auto') colorDepth = detectColorDepth();
 
-                const strokeR = strokeCol ? strokeCol.red : 0;
-                const strokeG = strokeCol ? strokeCol.green : 0;
-                const strokeB = strokeCol ? strokeCol.blue : 0;
+    // Draw the background and shapes onto a buffer of pixels.
+    const pixels = drawPixels(canvasWidth, canvasHeight, background, shapes, 1, settings);
 
-                const premulR = (strokeR * strokeA) + (fillSample.red * fillA * (1 - strokeA));
-                const premulG = (strokeG * strokeA) + (fillSample.green * fillA * (1 - strokeA));
-                const premulB = (strokeB * strokeA) + (fillSample.blue * fillA * (1 - strokeA));
-                const outA = strokeA + fillA * (1 - strokeA);
-
-                // Convert premultiplied RGB to non-premultiplied for the
-                // outer compositing code which expects (rgb, alpha).
-                if (outA > 0) {
-                    color = {
-                        red: Math.round(premulR / outA),
-                        green: Math.round(premulG / outA),
-                        blue: Math.round(premulB / outA),
-                        alpha: outA,
-                    };
-                } else {
-                    // Shouldn't happen because we early-continued when both are 0,
-                    // but be defensive.
-                    color = { red: 0, green: 0, blue: 0, alpha: 0 };
-                }
-
-                // Blend the shape onto the canvas. Do NOT break the shape loop
-                // when encountering a fully-opaque pixel -- later shapes in the
-                // array should be allowed to paint over earlier ones.
-                if (color.alpha > 0) {
-                    const existing = pixelCanvas[y][x];
-                    pixelCanvas[y][x] = {
-                        red: Math.round(
-                            (color.red * color.alpha) +
-                            (existing.red * (1 - color.alpha))
-                        ),
-                        green: Math.round(
-                            (color.green * color.alpha) +
-                            (existing.green * (1 - color.alpha))
-                        ),
-                        blue: Math.round(
-                            (color.blue * color.alpha) +
-                            (existing.blue * (1 - color.alpha))
-                        ),
-                    };
+    // Split the pixels into character cells, and render each row of cells.
+    // If monochrome, just render the whole thing in characters with no ANSI.
+    // This is handy for unit tests.
+    const lines = [];
+    for (let top = 0; top < canvasHeight; top += cell.height) {
+        /** @type {Color[][]} */
+        const cells = [];
+        for (let left = 0; left < canvasWidth; left += cell.width) {
+            const colors = [];
+            for (let y = top; y < top + cell.height; y++) {
+                for (let x = left; x < left + cell.width; x++) {
+                    colors.push(getPixelColor(pixels, canvasWidth, x, y));
                 }
             }
+            cells.push(colors);
         }
+        lines.push(colorDepth === 'monochrome'
+            ? cells.map((colors) => cell.glyphs[getLightMask(colors)]).join('')
+            : encodeAnsiLine(cells, cell, colorDepth));
     }
+    return lines.join('\n');
+}
 
-    // Create a canvas of the unicode U+2580 'Upper Half Block' character.
-    // Each character cell represents two pixels: the upper half and the lower
-    // half. They are drawn using ANSI escape codes to set the foreground and
-    // background colors accordingly.
-    const charCanvas = Array.from({ length: canvasHeight / 2 }, () =>
-        Array.from({ length: canvasWidth }, () => '▀')
-    );
+/** #### Encodes one row of character cells as ANSI art
+ * Tracks the terminal's current foreground and background (its 'SGR state'),
+ * and only writes an escape code when one of them has to change. Each cell
+ * is drawn in the two colors which best split its pixels, with the glyph
+ * that matches that split. Where a cell allows it, its colors are swapped and
+ * its glyph inverted, or a space or '█' is used, if that avoids an escape
+ * code. This looks identical, but is much smaller.
+ * @param {Color[][]} cells The colors of each cell's pixels
+ * @param {typeof CELL_MODES['half']} cell The cell mode's size and glyphs
+ * @param {'truecolor'|'256'|'16'} depth How many colors the terminal supports
+ * @returns {string} The line of ANSI art, which resets the colors at its end
+ */
+function encodeAnsiLine(cells, cell, depth) {
+    const allBits = cell.glyphs.length - 1;
+    let line = '';
+    let fg = ''; // the foreground escape code currently in effect
+    let bg = ''; // the background color currently in effect, as a foreground escape code
+    let onlyBgUsed = false; // true if the last character only showed the background
+    for (const colors of cells) {
+        const keys = colors.map((color) => getAnsiColor(color, depth, false));
+        const split = keys.every((key) => key === keys[0])
+            ? null
+            : splitColors(colors, cell.invertible);
+        const onKey = split && getAnsiColor(split.on, depth, false);
+        const offKey = split && getAnsiColor(split.off, depth, false);
+
+        // The whole cell looks the same, so draw a space or a full block. If
+        // that needs a change, keep the color the last character showed,
+        // which helps with stripes.
+        if (split === null || onKey === offKey) {
+            const color = split ? split.on : colors[0];
+            const key = split ? onKey : keys[0];
+            if (bg === key || (fg !== key && !onlyBgUsed)) {
+                if (bg !== key) line += getAnsiColor(color, depth, true);
+                line += ' ';
+                bg = key;
+                onlyBgUsed = true;
+            } else {
+                if (fg !== key) line += key;
+                line += '█';
+                fg = key;
+                onlyBgUsed = false;
+            }
+            continue;
+        }
 
-    // If monochrome, just render the whole thing in characters with no ANSI.
-    // This is handy for unit tests.
-    if (colorDepth === 'monochrome') {
-        return charCanvas.map(
-            (row, y) => row.map((_char, x) => { // TODO use `char` or get rid of it
-                const upper = pixelCanvas[y * 2][x];
-                const lower = pixelCanvas[y * 2 + 1][x];
-                return getMonochrome(upper, lower);
-            }).join('')
-        ).join('\n');
+        // Use the glyph or its inverse, whichever needs fewer changes.
+        const cost = (fg === onKey ? 0 : 1) + (bg === offKey ? 0 : 1);
+        const inverseCost = (fg === offKey ? 0 : 1) + (bg === onKey ? 0 : 1);
+        const [char, fgColor, bgColor] = cell.invertible && inverseCost < cost
+            ? [cell.glyphs[allBits ^ split.mask], split.off, split.on]
+            : [cell.glyphs[split.mask], split.on, split.off];
+        const nextFg = getAnsiColor(fgColor, depth, false);
+        const nextBg = getAnsiColor(bgColor, depth, false);
+        if (fg !== nextFg) line += nextFg;
+        if (bg !== nextBg) line += getAnsiColor(bgColor, depth, true);
+        fg = nextFg;
+        bg = nextBg;
+        onlyBgUsed = false;
+        line += char;
     }
-
-    // Render the character canvas, with Truecolor ANSI escape codes.
-    const isTruecolor = colorDepth === 'truecolor';
-    return charCanvas.map(
-        (row, y) => row.map((char, x) => { // TODO use `char`, or don't even generate it
-            const upper = pixelCanvas[y * 2][x];
-            const lower = pixelCanvas[y * 2 + 1][x];
-            const ansi = isTruecolor
-                ? getAnsiTruecolor(upper, lower)
-                : getAnsi256Color(upper, lower);
-            return ansi + char;
-        }).join('') + '\u001b[0m' // reset color at end of each line
-    ).join('\n');
+    return line + '\u001b[0m'; // reset color at end of each line
 }
 
-/** #### Draws a breton pattern background onto a pixel canvas
- * @param {Color[][]} pixelCanvas The pixel canvas to draw on
- * @param {Color} ink The ink color
- * @param {Color} paper The paper color
+/** #### Splits a cell's pixels into two groups, each with one color
+ * Starts from the two pixels which look most different, and puts every
+ * other pixel in the group whose starting pixel it looks most like. Each
+ * group's color is the average of its pixels, so a cell with only two colors
+ * keeps them exactly.
+ * @param {Color[]} colors The cell's pixels, which are not all the same
+ * @param {boolean} invertible If false, the 'on' group is the smaller one,
+ *   because it will be drawn as dots. If true, it contains the first pixel
+ * @returns {{ mask: number, on: Color, off: Color }} Bit `i` of the mask is
+ *   set if pixel `i` is in the 'on' group
  */
-function drawBackgroundBreton(pixelCanvas, ink, paper) {
-    for (let y = 0; y < pixelCanvas.length; y++) {
-        const color = (y % 2 === 0) ? ink : paper;
-        for (let x = 0; x < pixelCanvas[y].length; x++) {
-            pixelCanvas[y][x] = color;
+function splitColors(colors, invertible) {
+    let [a, b, farthest] = [0, 1, -1];
+    for (let i = 0; i < colors.length; i++) {
+        for (let j = i + 1; j < colors.length; j++) {
+            const distance = getColorDistance(colors[i], colors[j]);
+            if (distance > farthest) [a, b, farthest] = [i, j, distance];
         }
     }
+    let mask = 0;
+    colors.forEach((color, i) => {
+        if (getColorDistance(color, colors[a]) <= getColorDistance(color, colors[b])) mask |= 1 << i;
+    });
+    const allBits = (1 << colors.length) - 1;
+    if (!invertible && countBits(mask) * 2 > colors.length) mask ^= allBits;
+    return {
+        mask,
+        on: getAverageColor(colors.filter((_, i) => mask & (1 << i))),
+        off: getAverageColor(colors.filter((_, i) => !(mask & (1 << i)))),
+    };
 }
 
-/** #### Draws a pinstripe pattern background onto a pixel canvas
- * @param {Color[][]} pixelCanvas The pixel canvas to draw on
- * @param {Color} ink The ink color
- * @param {Color} paper The paper color
+/** #### Counts the bits which are set in a small integer
+ * @param {number} mask The integer
+ * @returns {number} The number of bits set
  */
-function drawBackgroundPinstripe(pixelCanvas, ink, paper) {
-    for (let x = 0; x < pixelCanvas[0].length; x++) {
-        const color = (x % 2 === 0) ? ink : paper;
-        for (let y = 0; y < pixelCanvas.length; y++) {
-            pixelCanvas[y][x] = color;
-        }
-    }
+function countBits(mask) {
+    let count = 0;
+    for (; mask; mask >>= 1) count += mask & 1;
+    return count;
 }
 
-/** #### Gets the ANSI escape code for a pair of colors in Truecolor
- * @param {Color} upper The upper half color
- * @param {Color} lower The lower half color
- * @returns {string} The ANSI escape code
+/** #### Gets the average of some colors
+ * @param {Color[]} colors The colors to average, at least one
+ * @returns {Color} The average, rounded to integers
  */
-function getAnsiTruecolor(upper, lower) {
-    return `\u001b[38;2;${upper.red};${upper.green};${upper.blue}m\u001b[48;2;${lower.red};${lower.green};${lower.blue}m`;
+function getAverageColor(colors) {
+    const sum = colors.reduce((total, { red, green, blue }) => ({
+        red: total.red + red,
+        green: total.green + green,
+        blue: total.blue + blue,
+    }), { red: 0, green: 0, blue: 0 });
+    return {
+        red: Math.round(sum.red / colors.length),
+        green: Math.round(sum.green / colors.length),
+        blue: Math.round(sum.blue / colors.length),
+    };
 }
 
-/** #### Gets the ANSI escape code for a pair of colors in 256 colors
- * @param {Color} upper The upper half color
- * @param {Color} lower The lower half color
+/** #### Gets the ANSI escape code which sets a foreground or background color
+ * @param {Color} color The color to set
+ * @param {'truecolor'|'256'|'16'} colorDepth How many colors the terminal supports
+ * @param {boolean} isBackground True for the background color, false for the foreground
  * @returns {string} The ANSI escape code
  */
-function getAnsi256Color(upper, lower) {
-    const upperIndex = 16 + (36 * Math.round(upper.red / 51)) + (6 * Math.round(upper.green / 51)) + Math.round(upper.blue / 51);
-    const lowerIndex = 16 + (36 * Math.round(lower.red / 51)) + (6 * Math.round(lower.green / 51)) + Math.round(lower.blue / 51);
-    return `\u001b[38;5;${upperIndex}m\u001b[48;5;${lowerIndex}m`;
+function getAnsiColor(color, colorDepth, isBackground) {
+    switch (colorDepth) {
+        case 'truecolor':
+            return `\u001b[${isBackground ? 48 : 38};2;${color.red};${color.green};${color.blue}m`;
+        case '256':
+            return `\u001b[${isBackground ? 48 : 38};5;${getAnsi256Index(color)}m`;
+        case '16':
+        default: {
+            // 30 to 37 and 90 to 97 are foregrounds, and the backgrounds are 10 more.
+            const index = getAnsi16Index(color);
+            const code = index < 8 ? 30 + index : 90 + index - 8;
+            return `\u001b[${isBackground ? code + 10 : code}m`;
+        }
+    }
 }
 
-/** #### Gets the Unicode 'Block Elements' character for rendering in monochrome
- * @param {Color} upper The upper half color
- * @param {Color} lower The lower half color
- * @returns {string} The Unicode 'Block Elements' character
+// The channel levels of the xterm 6x6x6 color cube, which is colors 16 to 231.
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+// The xterm defaults for the basic 16 colors. Terminals often change these,
+// but they are a reasonable guess.
+/** @type {Color[]} */
+const ANSI_16_COLORS = [
+    [0, 0, 0], [205, 0, 0], [0, 205, 0], [205, 205, 0],
+    [0, 0, 238], [205, 0, 205], [0, 205, 205], [229, 229, 229],
+    [127, 127, 127], [255, 0, 0], [0, 255, 0], [255, 255, 0],
+    [92, 92, 255], [255, 0, 255], [0, 255, 255], [255, 255, 255],
+].map(([red, green, blue]) => ({ red, green, blue }));
+
+/** #### Gets the index of the closest color in the 256-color palette
+ * Compares the closest color in the 6x6x6 cube with the closest of the 24
+ * grays in 232 to 255, and picks whichever looks closer. The grays are much
+ * finer than the cube's, so they suit desaturated colors better.
+ * @param {Color} color The color to match
+ * @returns {number} An index from 16 to 255
  */
-function getMonochrome(upper, lower) {
-    // Use an integer-only luminance approximation to be fast and portable to
-    // environments like Rust or WGSL. Coefficients sum to 256 so we can shift
-    // by 8 instead of dividing: (54*R + 183*G + 19*B) >> 8
-    const lumUpper = (54 * upper.red + 183 * upper.green + 19 * upper.blue) >> 8;
-    const lumLower = (54 * lower.red + 183 * lower.green + 19 * lower.blue) >> 8;
-    return lumUpper > 128
-        ? lumLower > 128
-            ? '\u2588' // Full block
-            : '\u2580' // Upper half block
-    : lumLower > 128
-            ? '\u2584' // Lower half block
-            : ' ' // space - a refinement would be to use U+3000 (IDEOGRAPHIC SPACE), maybe even followed by U+2060 (WORD JOINER)
-    ;
+function getAnsi256Index(color) {
+    const toCubeLevel = (/** @type {number} */ c) => c < 48 ? 0 : c < 115 ? 1 : Math.floor((c - 35) / 40);
+    const r = toCubeLevel(color.red);
+    const g = toCubeLevel(color.green);
+    const b = toCubeLevel(color.blue);
+    const cube = { red: CUBE_LEVELS[r], green: CUBE_LEVELS[g], blue: CUBE_LEVELS[b] };
+
+    const average = (color.red + color.green + color.blue) / 3;
+    const grayStep = Math.max(0, Math.min(23, Math.round((average - 8) / 10)));
+    const grayLevel = 8 + grayStep * 10;
+    const gray = { red: grayLevel, green: grayLevel, blue: grayLevel };
+
+    return getColorDistance(color, gray) < getColorDistance(color, cube)
+        ? 232 + grayStep
+        : 16 + 36 * r + 6 * g + b;
 }
 
-/** #### Get ink color with alpha for AA edge pixels
- * The actual blending of this ink over whatever is beneath the pixel
- * happens later in the main loop so edges blend correctly against other
- * shapes (not just the shape's paper).
- * @param {import('./types.js').Shape} shape The shape which provides ink
- * @param {number} edgeAlpha Alpha in range 0..1 (1 == full ink)
- * @returns {{red:number,green:number,blue:number,alpha:number}}
+/** #### Gets the index of the closest of the basic 16 colors
+ * @param {Color} color The color to match
+ * @returns {number} An index from 0 to 15
  */
+function getAnsi16Index(color) {
+    let closest = 0;
+    let closestDistance = Infinity;
+    ANSI_16_COLORS.forEach((candidate, i) => {
+        const distance = getColorDistance(color, candidate);
+        if (distance < closestDistance) {
+            closest = i;
+            closestDistance = distance;
+        }
+    });
+    return closest;
+}
 
-
-/** #### Sample a shape's pattern at pixel coordinates
- * For now we support 'breton' (horizontal stripes) and 'pinstripe'
- * (vertical stripes). This mirrors the background pattern logic so the
- * same visuals can be used for backgrounds and shape fills.
- * @param {import('./types.js').Shape} shape
- * @param {number} px Pixel column index
- * @param {number} py Pixel row index
- * @returns {{red:number,green:number,blue:number}}
+/** #### Gets a cheap approximation of how different two colors look
+ * This is the 'redmean' weighted Euclidean distance, which weights the red
+ * and blue differences according to how red the two colors are. It is much
+ * closer to human perception than plain RGB distance, and far cheaper than
+ * converting to a perceptual color space.
+ * @param {Color} a The first color
+ * @param {Color} b The second color
+ * @returns {number} The squared distance, which is 0 for identical colors
  */
-function sampleShapePattern(shape, px, py) {
-    switch (shape.pattern) {
-        case 'breton':
-            return (py % 2 === 0) ? shape.ink : shape.paper;
-        case 'pinstripe':
-            return (px % 2 === 0) ? shape.ink : shape.paper;
-        default:
-            return shape.ink;
-    }
+function getColorDistance(a, b) {
+    const redMean = (a.red + b.red) / 2;
+    const dr = a.red - b.red;
+    const dg = a.green - b.green;
+    const db = a.blue - b.blue;
+    return (2 + redMean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - redMean) / 256) * db * db;
 }
 
-/** #### Blend edge color using the shape's pattern at this pixel
- * Returns a color object (r,g,b,alpha) where r/g/b are the shape's
- * pattern-sampled color and alpha is the supplied edgeAlpha. The returned
- * object is intended to be composited over the existing pixel value.
+/** #### Gets which of a cell's pixels are light, for rendering in monochrome
+ * @param {Color[]} colors The cell's pixels
+ * @returns {number} Bit `i` is set if pixel `i` is light
  */
-function blendEdgeColor(shape, edgeAlpha, px, py) {
-    const fill = sampleShapePattern(shape, px, py);
-    return { red: fill.red, green: fill.green, blue: fill.blue, alpha: edgeAlpha };
+function getLightMask(colors) {
+    // Use an integer-only luminance approximation to be fast and portable to
+    // environments like Rust or WGSL. Coefficients sum to 256 so we can shift
+    // by 8 instead of dividing: (54*R + 183*G + 19*B) >> 8
+    let mask = 0;
+    colors.forEach(({ red, green, blue }, i) => {
+        const luminance = (54 * red + 183 * green + 19 * blue) >> 8;
+        if (luminance > 128) mask |= 1 << i;
+    });
+    return mask;
 }
 
-// Signed distance functions have been moved to `src/signed-distance-functions.js`.
-// They are imported at the top of this file as: sdfCircle, sdfSquare, sdfTriangle.
-
-
-// Example usage:
-
-console.log(
-    renderAnsi(
-        64, // will be 64 pixels = 64 characters wide
-        48, // will be 24 pixels = 12 characters tall
-        {
-            ink: { red: 40, green: 60, blue: 90 },
-            paper: { red: 20, green: 30, blue: 70 },
-            pattern: 'breton', // horizontal stripes
-        },
-        [
-            {
-                kind: 'circle',
-                size: 4, // radius in world units
-                position: { x: 0, y: 0 }, // world-origin, which will render as the center of the canvas
-                ink: { red: 255, green: 50, blue: 50 },
-                paper: { red: 255, green: 200, blue: 200 },
-                pattern: 'pinstripe', // vertical stripes
-                strokeColor: { red: 255, green: 255, blue: 80 },
-                strokePosition: 'inside',
-                strokeWidth: 0.125, // quite subtle
-            },
-            {
-                kind: 'triangle',
-                size: 3, // half-size in world units
-                position: { x: 4, y: -2 }, // world-origin offset to bottom-right
-                ink: { red: 50, green: 50, blue: 255 },
-                paper: { red: 200, green: 200, blue: 0 },
-                pattern: 'breton', // horizontal stripes
-                strokeColor: { red: 200, green: 255, blue: 200 },
-                strokePosition: 'outside',
-                strokeWidth: 1,
-            },
-            {
-                kind: 'square',
-                size: 3, // half-size in world units
-                position: { x: -3, y: -2 }, // world-origin offset to top-left
-                ink: { red: 50, green: 10, blue: 50 },
-                paper: { red: 200, green: 255, blue: 200 },
-                pattern: 'pinstripe', // horizontal stripes
-                strokeColor: { red: 0, green: 0, blue: 0 },
-                strokePosition: 'center',
-                strokeWidth: 2.5,
-            },
-        ],
-        typeof process === 'object' &&
-            typeof process.env === 'object' &&
-            process.env.COLORTERM
-                ? 'truecolor'
-                : '256', // detect truecolor support
-    )
-);
@@ -1,4 +1,5 @@
 import { throws, deepStrictEqual as eq } from 'node:assert/strict';
+import { getPixelColor, rasterize } from './rasterize.js';
 import { renderAnsi } from './render-ansi.js';
 
 const xpx = 'renderAnsi()';
@@ -64,6 +65,10 @@ throws(() => renderAnsi(10, 10, { ink: validBlue, paper: 'invalid' }, []), { mes
 throws(() => renderAnsi(10, 10, { ink: validBlue, paper: validOrange }, []), { message: /background\.pattern is type 'undefined' not 'string'/});
 // @ts-expect-error
 throws(() => renderAnsi(10, 10, { ink: validBlue, paper: validOrange, pattern: 'invalid' }, []), { message: /background\.pattern is not a valid pattern/});
+// @ts-expect-error
+throws(() => renderAnsi(10, 10, { ...validBg, stripeWidth: '1' }, []), { message: /background\.stripeWidth is type 'string' not 'number'/});
+throws(() => renderAnsi(10, 10, { ...validBg, stripeWidth: 0 }, []), { message: /background\.stripeWidth must be a number between 0\.05 and 10/});
+throws(() => renderAnsi(10, 10, { ...validBg, pattern: 'radial-gradient', stripeWidth: 1 }, []), { message: /background\.stripeWidth can not be set on a gradient/});
 
 
 // Invalid shapes.
@@ -75,6 +80,23 @@ throws(() => renderAnsi(10, 10, validBg, [/** @type {any} */ ([]) ]), { message:
 // @ts-expect-error
 throws(() => renderAnsi(10, 10, validBg, [ { size: 10, ink: 'black', paper: 'white', pattern: 'breton' } ]), { message: /shapes\[0\]\.kind is type 'undefined' not 'string'/});
 // @ts-expect-error
+throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, kind: 'oblong' } ]), { message: /shapes\[0\]\.kind must be one of 'circle', 'square', 'triangle', 'hexagon', 'star', 'rounded-square', 'ellipse', 'ring', 'cross', 'group'$/});
+throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, points: 6 } ]), { message: /shapes\[0\]\.points can only be set on a star/});
+// @ts-expect-error
+throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, kind: 'star', points: '6' } ]), { message: /shapes\[0\]\.points is type 'string' not 'number'/});
+throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, kind: 'star', points: 2 } ]), { message: /shapes\[0\]\.points must be an integer between 3 and 12/});
+throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, kind: 'star', points: 5.5 } ]), { message: /shapes\[0\]\.points must be an integer between 3 and 12/});
+// @ts-expect-error
+throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, rotation: '90' } ]), { message: /shapes\[0\]\.rotation is type 'string' not 'number'/});
+throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, rotation: 361 } ]), { message: /shapes\[0\]\.rotation must be a number between -360 and 360/});
+throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, rotation: NaN } ]), { message: /shapes\[0\]\.rotation must be a number between -360 and 360/});
+throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, scale: null } ]), { message: /shapes\[0\]\.scale is 'null' not a plain object/});
+// @ts-expect-error
+throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, scale: 2 } ]), { message: /shapes\[0\]\.scale is type 'number' not 'object'/});
+// @ts-expect-error
+throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, scale: { x: 2 } } ]), { message: /shapes\[0\]\.scale\.y is type 'undefined' not 'number'/});
+throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, scale: { x: 0, y: 1 } } ]), { message: /shapes\[0\]\.scale\.x must be a number between 0\.1 and 10/});
+// @ts-expect-error
 throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, size: 'large' } ]), { message: /shapes\[0\]\.size is type 'string' not 'number'/});
 throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, size: 101 } ]), { message: /shapes\[0\]\.size must be an integer between 1 and 100/});
 // @ts-expect-error
@@ -89,6 +111,8 @@ throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, paper: 'invalid' } ]
 throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, pattern: [] } ]), { message: /shapes\[0\]\.pattern is type 'object' not 'string'/});
 // @ts-expect-error
 throws(() => renderAnsi(10, 10, validBg, [ validShape, { ...validShape, pattern: 'invalid' } ]), { message: /shapes\[1\]\.pattern is not a valid pattern/});
+throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, stripeWidth: 10.5 } ]), { message: /shapes\[0\]\.stripeWidth must be a number between 0\.05 and 10/});
+throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, pattern: 'linear-gradient', stripeWidth: 1 } ]), { message: /shapes\[0\]\.stripeWidth can not be set on a gradient/});
 // @ts-expect-error
 throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, strokeWidth: 'wide' } ]), { message: /shapes\[0\]\.strokeWidth is type 'string' not 'number'/});
 throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, strokeWidth: -0.1 } ]), { message: /shapes\[0\]\.strokeWidth must be a number between 0 and 10/});
@@ -102,6 +126,13 @@ throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, strokeColor: 'red' }
 // @ts-expect-error
 throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, strokeColor: 123 } ]), { message: /shapes\[0\]\.strokeColor is not a valid color/});
 throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, strokeColor: { red: 255, green: 0, blue: -1 } } ]), { message: /shapes\[0\]\.strokeColor is not a valid color/});
+// @ts-expect-error
+throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, opacity: '50%' } ]), { message: /shapes\[0\]\.opacity is type 'string' not 'number'/});
+throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, opacity: 1.5 } ]), { message: /shapes\[0\]\.opacity must be a number between 0 and 1/});
+// @ts-expect-error
+throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, blendMode: 0 } ]), { message: /shapes\[0\]\.blendMode is type 'number' not 'string'/});
+// @ts-expect-error
+throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, blendMode: 'lighten' } ]), { message: /shapes\[0\]\.blendMode must be one of 'normal', 'multiply', 'screen', 'overlay', or 'difference'/});
 
 // Position validation tests.
 
@@ -118,13 +149,68 @@ throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, position: { x: 0, y:
 throws(() => renderAnsi(10, 10, validBg, [ { ...validShape, position: { x: 0, y: -1001 } } ]), { message: /shapes\[0\]\.position\.y must be an integer between -1000 and 1000/});
 throws(() => renderAnsi(10, 10, validBg, [ validShape, { ...validShape, position: null } ]), { message: /shapes\[1\]\.position is 'null' not a plain object/});
 
+// Group validation tests.
+
+/** @type {import('./types.js').Outline} */
+const validChild = { kind: 'circle', size: 2, position: { x: 0, y: 0 } };
+/** @type {import('./types.js').Group} */
+const validGroup = { ...validShape, kind: 'group', operation: 'union', children: [ validChild ] };
+// @ts-expect-error
+throws(() => renderAnsi(10, 10, validBg, [ { ...validGroup, operation: 1 } ]), { message: /shapes\[0\]\.operation is type 'number' not 'string'/});
+// @ts-expect-error
+throws(() => renderAnsi(10, 10, validBg, [ { ...validGroup, operation: 'xor' } ]), { message: /shapes\[0\]\.operation must be one of 'union', 'subtract', 'intersect', or 'smooth-union'/});
+throws(() => renderAnsi(10, 10, validBg, [ { ...validGroup, smoothness: 1 } ]), { message: /shapes\[0\]\.smoothness can only be set on a 'smooth-union' group/});
+// @ts-expect-error
+throws(() => renderAnsi(10, 10, validBg, [ { ...validGroup, operation: 'smooth-union', smoothness: '1' } ]), { message: /shapes\[0\]\.smoothness is type 'string' not 'number'/});
+throws(() => renderAnsi(10, 10, validBg, [ { ...validGroup, operation: 'smooth-union', smoothness: 11 } ]), { message: /shapes\[0\]\.smoothness must be a number between 0 and 10/});
+throws(() => renderAnsi(10, 10, validBg, [ { ...validGroup, children: null } ]), { message: /shapes\[0\]\.children is null not an array/});
+// @ts-expect-error
+throws(() => renderAnsi(10, 10, validBg, [ { ...validGroup, children: {} } ]), { message: /shapes\[0\]\.children is type 'object' not 'array'/});
+throws(() => renderAnsi(10, 10, validBg, [ { ...validGroup, children: [] } ]), { message: /shapes\[0\]\.children must have between 1 and 16 items/});
+throws(() => renderAnsi(10, 10, validBg, [ { ...validGroup, children: Array(17).fill(validChild) } ]), { message: /shapes\[0\]\.children must have between 1 and 16 items/});
+throws(() => renderAnsi(10, 10, validBg, [ { ...validGroup, children: [ validChild, null ] } ]), { message: /shapes\[0\]\.children\[1\] is 'null' not a plain object/});
+throws(() => renderAnsi(10, 10, validBg, [ { ...validGroup, children: [ { ...validChild, size: 0 } ] } ]), { message: /shapes\[0\]\.children\[0\]\.size must be an integer between 1 and 100/});
+throws(() => renderAnsi(10, 10, validBg, [ { ...validGroup, children: [ { ...validGroup, position: { x: 0.5, y: 0 } } ] } ]), { message: /shapes\[0\]\.children\[0\]\.position\.x must be an integer between -1000 and 1000/});
+// Groups can be nested 8 deep, which also stops a group which contains itself.
+/** @type {import('./types.js').GroupOutline} */
+let nested = validGroup;
+for (let i = 0; i < 8; i++) nested = { ...validGroup, children: [ nested ] };
+eq(typeof renderAnsi(10, 10, validBg, [ { ...validGroup, children: [ nested.children[0] ] } ]), 'string');
+throws(() => renderAnsi(10, 10, validBg, [ { ...validGroup, children: [ nested ] } ]), { message: /shapes\[0\](\.children\[0\]){9} is nested inside more than 8 groups/});
+/** @type {import('./types.js').Group} */
+const cycle = { ...validGroup, children: [] };
+cycle.children.push(cycle);
+throws(() => renderAnsi(10, 10, validBg, [ cycle ]), { message: /is nested inside more than 8 groups/});
+
 
 // Invalid colorDepth.
 
 // @ts-expect-error
 throws(() => renderAnsi(10, 10, validBg, [], 123), { message: /colorDepth is type 'number' not 'string'/});
 // @ts-expect-error
-throws(() => renderAnsi(10, 10, validBg, [], 'invalid'), { message: /colorDepth must be one of 'truecolor', '256' or 'monochrome'/});
+throws(() => renderAnsi(10, 10, validBg, [], 'invalid'), { message: /colorDepth must be one of 'truecolor', '256', '16', 'monochrome' or 'auto'/});
+
+
+// Invalid cellMode, and canvas sizes which depend on it.
+
+// @ts-expect-error
+throws(() => renderAnsi(10, 10, validBg, [], 'truecolor', 2), { message: /cellMode is type 'number' not 'string'/});
+// @ts-expect-error
+throws(() => renderAnsi(10, 10, validBg, [], 'truecolor', 'sextant'), { message: /cellMode must be one of 'half', 'quadrant' or 'braille'/});
+// @ts-expect-error
+throws(() => renderAnsi(10, 10, validBg, [], 'truecolor', 'toString'), { name: 'RangeError', message: `${xpx} cellMode must be one of 'half', 'quadrant' or 'braille'` });
+// @ts-expect-error
+throws(() => renderAnsi(10, 10, validBg, [], 'truecolor', '__proto__'), { name: 'RangeError', message: `${xpx} cellMode must be one of 'half', 'quadrant' or 'braille'` });
+// The cell mode is checked before the canvas size, whose limits depend on it.
+// @ts-expect-error
+throws(() => renderAnsi(999, 10, validBg, [], 'truecolor', 'constructor'), { name: 'RangeError', message: /cellMode must be one of 'half', 'quadrant' or 'braille'/});
+throws(() => renderAnsi(241, 10, validBg, [], 'truecolor', 'quadrant'), { message: /canvasWidth must be an integer between 1 and 240/});
+throws(() => renderAnsi(11, 10, validBg, [], 'truecolor', 'quadrant'), { message: /canvasWidth must be an even number/});
+throws(() => renderAnsi(10, 66, validBg, [], 'truecolor', 'quadrant'), { message: /canvasHeight must be an integer between 2 and 64/});
+throws(() => renderAnsi(10, 2, validBg, [], 'truecolor', 'braille'), { message: /canvasHeight must be an integer between 4 and 128/});
+throws(() => renderAnsi(10, 10, validBg, [], 'truecolor', 'braille'), { message: /canvasHeight must be a multiple of 4/});
+throws(() => renderAnsi(10, 10, validBg, [], 'truecolor', 'half', null), { message: /options is 'null' not a plain object/});
+throws(() => renderAnsi(10, 10, validBg, [], 'truecolor', 'half', { supersample: 9 }), { message: /options\.supersample must be an integer between 1 and 8/});
 
 
 // Valid inputs.
@@ -134,4 +220,122 @@ eq(renderAnsi(1, 2, validBg, []), `
 \x1B[38;2;255;165;0m\x1B[48;2;0;0;255m▀\x1B[0m
 `.trim());
 
+// 256 colors use the 6x6x6 cube, or the gray ramp if it is closer.
+eq(renderAnsi(1, 2, validBg, [], '256'), `
+\x1B[38;5;214m\x1B[48;5;21m▀\x1B[0m
+`.trim());
+eq(renderAnsi(1, 2, { ...validBg, ink: { red: 128, green: 128, blue: 128 } }, [], '256'), `
+\x1B[38;5;244m\x1B[48;5;21m▀\x1B[0m
+`.trim());
+
+// 16 colors use the normal and bright foreground and background codes.
+eq(renderAnsi(1, 2, validBg, [], '16'), `
+\x1B[33m\x1B[44m▀\x1B[0m
+`.trim());
+eq(renderAnsi(1, 2, { ...validBg, ink: { red: 128, green: 128, blue: 128 }, paper: { red: 240, green: 30, blue: 20 } }, [], '16'), `
+\x1B[90m\x1B[101m▀\x1B[0m
+`.trim());
+
+// 'auto' detects the color depth from the environment.
+const savedEnv = { ...process.env };
+process.env.NO_COLOR = '1';
+eq(renderAnsi(4, 4, validBg, [ validShape ], 'auto'), renderAnsi(4, 4, validBg, [ validShape ], 'monochrome'));
+delete process.env.NO_COLOR;
+process.env.COLORTERM = 'truecolor';
+eq(renderAnsi(4, 4, validBg, [ validShape ], 'auto'), renderAnsi(4, 4, validBg, [ validShape ], 'truecolor'));
+process.env = savedEnv;
+
+// Escape codes are only written when the colors change, and '▄', '█' and
+// space are used where they save an escape code.
+eq(renderAnsi(4, 4, validBg, []), [
+    '\x1B[38;2;255;165;0m\x1B[48;2;0;0;255m▀▀▀▀\x1B[0m',
+    '\x1B[38;2;255;165;0m\x1B[48;2;0;0;255m▀▀▀▀\x1B[0m',
+].join('\n'));
+eq(renderAnsi(4, 2, { ...validBg, pattern: 'pinstripe' }, []),
+    '\x1B[48;2;255;165;0m \x1B[38;2;0;0;255m█ █\x1B[0m');
+
+// The output looks identical to the pixels, when a terminal interprets it.
+/** @type {import('./types.js').Shape[]} */
+const shapes = [
+    { ...validShape, size: 3, strokeWidth: 2 },
+    { ...validShape, kind: 'square', size: 2, position: { x: -3, y: 2 }, pattern: 'pinstripe', strokePosition: 'inside' },
+    { ...validShape, kind: 'triangle', size: 2, position: { x: 3, y: -2 }, strokePosition: 'outside' },
+];
+const pixels = rasterize(24, 16, validBg, shapes);
+const ansi = renderAnsi(24, 16, validBg, shapes);
+ansi.split('\n').forEach((line, y) => {
+    /** @type {string[]} */
+    const state = ['', ''];
+    const cells = [];
+    for (const [, fg, bg, char] of line.matchAll(/\x1B\[38;2;([\d;]+)m|\x1B\[48;2;([\d;]+)m|\x1B\[0m|(.)/gu)) {
+        if (fg) state[0] = fg;
+        else if (bg) state[1] = bg;
+        else if (char === '▀') cells.push([state[0], state[1]]);
+        else if (char === '▄') cells.push([state[1], state[0]]);
+        else if (char === '█') cells.push([state[0], state[0]]);
+        else if (char === ' ') cells.push([state[1], state[1]]);
+    }
+    eq(cells.length, 24);
+    cells.forEach(([upper, lower], x) => {
+        const toRgb = (/** @type {number} */ py) => Object.values(getPixelColor(pixels, 24, x, py)).join(';');
+        eq(upper, toRgb(y * 2));
+        eq(lower, toRgb(y * 2 + 1));
+    });
+});
+eq(ansi.length < 24 * 8 * 40 / 2, true); // less than half the size of two escapes per cell
+
+// Quadrant and Braille cells show more pixels per character.
+/** @type {import('./types.js').Shape} */
+const whiteCircle = { ...validShape, size: 3, ink: { red: 255, green: 255, blue: 255 }, paper: { red: 255, green: 255, blue: 255 }, strokeWidth: 1 };
+const black = { red: 0, green: 0, blue: 0 };
+eq(renderAnsi(16, 8, { ink: black, paper: black, pattern: 'breton' }, [ whiteCircle ], 'monochrome', 'quadrant'), [
+    '        ',
+    '   ▟▙   ',
+    '   ▜▛   ',
+    '        ',
+].join('\n'));
+eq(renderAnsi(16, 16, { ink: black, paper: black, pattern: 'breton' }, [ whiteCircle ], 'monochrome', 'braille'), [
+    '⠀⠀⠀⠀⠀⠀⠀⠀',
+    '⠀⠀⣴⣿⣿⣦⠀⠀',
+    '⠀⠀⠻⣿⣿⠟⠀⠀',
+    '⠀⠀⠀⠀⠀⠀⠀⠀',
+].join('\n'));
+eq(renderAnsi(4, 4, { ...validBg, pattern: 'pinstripe' }, [], 'truecolor', 'quadrant'), [
+    '\x1B[38;2;255;165;0m\x1B[48;2;0;0;255m▌▌\x1B[0m',
+    '\x1B[38;2;255;165;0m\x1B[48;2;0;0;255m▌▌\x1B[0m',
+].join('\n'));
+
+// Quadrant cells with only two colors look identical to the pixels.
+const quadrantGlyphs = [...' ▘▝▀▖▌▞▛▗▚▐▜▄▙▟█'];
+renderAnsi(24, 16, validBg, shapes, 'truecolor', 'quadrant').split('\n').forEach((line, y) => {
+    /** @type {string[]} */
+    const state = ['', ''];
+    let x = 0;
+    for (const [, fg, bg, char] of line.matchAll(/\x1B\[38;2;([\d;]+)m|\x1B\[48;2;([\d;]+)m|\x1B\[0m|(.)/gu)) {
+        if (fg) state[0] = fg;
+        else if (bg) state[1] = bg;
+        else if (char) {
+            const mask = quadrantGlyphs.indexOf(char);
+            const cellPixels = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([dx, dy]) =>
+                Object.values(getPixelColor(pixels, 24, x * 2 + dx, y * 2 + dy)).join(';'));
+            if (new Set(cellPixels).size <= 2) {
+                eq(cellPixels.map((_, i) => mask & (1 << i) ? state[0] : state[1]), cellPixels);
+            }
+            x++;
+        }
+    }
+    eq(x, 12);
+});
+
+// The options are passed on to the pixel pipeline, so linear light and
+// supersampling change the colors, but they are still the pixels' colors.
+/** @type {import('./types.js').RasterOptions} */
+const fine = { quality: 'linear-light', supersample: 3 };
+const fineAnsi = renderAnsi(24, 16, validBg, shapes, 'truecolor', 'half', fine);
+const finePixels = rasterize(24, 16, validBg, shapes, fine);
+const fineColors = new Set(Array.from({ length: 24 * 16 }, (_, i) =>
+    Object.values(getPixelColor(finePixels, 24, i % 24, Math.floor(i / 24))).join(';')));
+eq(fineAnsi === ansi, false);
+eq([...fineAnsi.matchAll(/\x1B\[[34]8;2;([\d;]+)m/g)].every(([, rgb]) => fineColors.has(rgb)), true);
+
 console.log(`All ${xpx} tests passed!`);
@@ -0,0 +1,87 @@
+import {
+    isIntInRange,
+    validateBackground,
+    validateShape,
+} from './validate-args.js';
+import { formatColor } from './color.js';
+import { drawPixels, getPixelColor } from './rasterize.js';
+
+/**
+ * @typedef {import('./types.js').Background} Background
+ * @typedef {import('./types.js').Color} Color
+ * @typedef {import('./types.js').Group} Group
+ * @typedef {import('./types.js').Shape} Shape
+ */
+
+/** #### Renders an array of shapes as HTML, in the style of `renderAnsi()`
+ * Draws the same grid of U+2580 'Upper Half Block' characters as
+ * `renderAnsi()`, but as `<span>`s with inline colors, so it can be pasted
+ * where ANSI escape codes do not work. Neighbouring characters with the same
+ * colors share a `<span>`, to keep the markup small.
+ *
+ * The grid is wrapped in a `<pre>` with the CSS system colors `Canvas` and
+ * `CanvasText`, so its margins follow a page's light or dark color scheme.
+ * @param {number} canvasWidth The width of the canvas
+ * @param {number} canvasHeight The height of the canvas
+ * @param {Background} background How to render the background
+ * @param {(Shape|Group)[]} shapes An array of shapes and groups to render
+ * @returns {string} The `<pre>` element
+ */
+export const renderHtml = (
+    canvasWidth,
+    canvasHeight,
+    background,
+    shapes,
+) => {
+    const xpx = 'renderHtml()';
+
+    // Validate the arguments. The limits are the same as `renderAnsi()`.
+    if (typeof canvasWidth !== 'number') throw TypeError(
+        `${xpx} canvasWidth is type '${typeof canvasWidth}' not 'number'`);
+    if (!isIntInRange(canvasWidth, 1, 120)) throw RangeError(
+        `${xpx} canvasWidth must be an integer between 1 and 120`);
+    if (typeof canvasHeight !== 'number') throw TypeError(
+        `${xpx} canvasHeight is type '${typeof canvasHeight}' not 'number'`);
+    if (!isIntInRange(canvasHeight, 2, 64)) throw RangeError(
+        `${xpx} canvasHeight must be an integer between 2 and 64`);
+    if (canvasHeight % 2 !== 0) throw RangeError(
+        `${xpx} canvasHeight must be an even number`);
+    validateBackground(background, xpx);
+    if (shapes === null) throw TypeError(
+        `${xpx} shapes is null not an array`);
+    if (!Array.isArray(shapes)) throw TypeError(
+        `${xpx} shapes is type '${typeof shapes}' not 'array'`);
+    shapes.forEach((shape, i) => validateShape(shape, xpx, i));
+
+    // Draw the background and shapes onto a buffer of pixels.
+    const pixels = drawPixels(canvasWidth, canvasHeight, background, shapes);
+
+    // Each character's foreground is its upper pixel, and its background is
+    // its lower pixel. Start a new `<span>` only when the colors change.
+    const lines = [];
+    for (let y = 0; y < canvasHeight; y += 2) {
+        let line = '';
+        let style = '';
+        let run = 0;
+        for (let x = 0; x < canvasWidth; x++) {
+            const upper = formatColor(getPixelColor(pixels, canvasWidth, x, y));
+            const lower = formatColor(getPixelColor(pixels, canvasWidth, x, y + 1));
+            const nextStyle = `color:${upper};background:${lower}`;
+            if (nextStyle !== style && run > 0) {
+                line += `<span style="${style}">${'▀'.repeat(run)}</span>`;
+                run = 0;
+            }
+            style = nextStyle;
+            run++;
+        }
+        lines.push(`${line}<span style="${style}">${'▀'.repeat(run)}</span>`);
+    }
+
+    return [
+        '<pre class="illustrated-numbers" style="display:inline-block;margin:0;padding:0.5em;',
+        'font-family:monospace;line-height:1;color:CanvasText;background:Canvas">',
+        lines.join('\n'),
+        '</pre>',
+    ].join('');
+}
+
@@ -0,0 +1,88 @@
+import { throws, deepStrictEqual as eq } from 'node:assert/strict';
+import { formatColor } from './color.js';
+import { getPixelColor, rasterize } from './rasterize.js';
+import { renderHtml } from './render-html.js';
+
+const xpx = 'renderHtml()';
+
+/**
+ * @typedef {import('./types.js').Background} Background
+ * @typedef {import('./types.js').Color} Color
+ * @typedef {import('./types.js').Shape} Shape
+ */
+
+/** @type {Color} */
+const validOrange = { red: 255, green: 165, blue: 0 };
+const validBlue = { red: 0, green: 0, blue: 255 };
+
+/** @type {Background} */
+const validBg = { ink: validOrange, paper: validBlue, pattern: 'breton' };
+
+/** @type {Shape} */
+const validShape = {
+    kind: 'circle',
+    size: 3,
+    position: { x: 0, y: 0 },
+    ink: validOrange,
+    paper: validBlue,
+    pattern: 'pinstripe',
+    strokeColor: { red: 255, green: 0, blue: 180 },
+    strokePosition: 'center',
+    strokeWidth: 2,
+};
+
+const pre = '<pre class="illustrated-numbers" style="display:inline-block;margin:0;padding:0.5em;' +
+    'font-family:monospace;line-height:1;color:CanvasText;background:Canvas">';
+
+
+// Invalid arguments.
+
+// @ts-expect-error
+throws(() => renderHtml(), { message: /^renderHtml\(\) canvasWidth is type 'undefined' not 'number'/});
+throws(() => renderHtml(121, 10, validBg, []), { message: /canvasWidth must be an integer between 1 and 120/});
+throws(() => renderHtml(10, 66, validBg, []), { message: /canvasHeight must be an integer between 2 and 64/});
+throws(() => renderHtml(10, 11, validBg, []), { message: /canvasHeight must be an even number/});
+throws(() => renderHtml(10, 10, null, []), { message: /^renderHtml\(\) background is 'null' not a plain object/});
+throws(() => renderHtml(10, 10, validBg, null), { message: /shapes is null not an array/});
+throws(() => renderHtml(10, 10, validBg, [ { ...validShape, size: 0 } ]), { message: /shapes\[0\]\.size must be an integer between 1 and 100/});
+
+
+// Valid inputs.
+
+// Minimal canvas with no shapes.
+eq(renderHtml(1, 2, validBg, []),
+    `${pre}<span style="color:#ffa500;background:#0000ff">▀</span></pre>`);
+
+// Neighbouring characters with the same colors share a span.
+eq(renderHtml(4, 4, validBg, []), `${pre}${[
+    '<span style="color:#ffa500;background:#0000ff">▀▀▀▀</span>',
+    '<span style="color:#ffa500;background:#0000ff">▀▀▀▀</span>',
+].join('\n')}</pre>`);
+eq(renderHtml(3, 2, { ...validBg, pattern: 'pinstripe' }, []), `${pre}${[
+    '<span style="color:#ffa500;background:#ffa500">▀</span>',
+    '<span style="color:#0000ff;background:#0000ff">▀</span>',
+    '<span style="color:#ffa500;background:#ffa500">▀</span>',
+].join('')}</pre>`);
+
+// The colors are the ones rasterize() draws.
+/** @type {Shape[]} */
+const shapes = [
+    validShape,
+    { ...validShape, kind: 'square', size: 2, position: { x: -3, y: 2 }, strokePosition: 'inside' },
+];
+const pixels = rasterize(24, 16, validBg, shapes);
+const html = renderHtml(24, 16, validBg, shapes);
+eq(html.startsWith(pre) && html.endsWith('</pre>'), true);
+const lines = html.slice(pre.length, -6).split('\n');
+eq(lines.length, 8);
+lines.forEach((line, y) => {
+    const cells = [...line.matchAll(/<span style="color:(#[0-9a-f]{6});background:(#[0-9a-f]{6})">(▀+)<\/span>/g)]
+        .flatMap(([, upper, lower, chars]) => Array(chars.length).fill([upper, lower]));
+    eq(cells.length, 24);
+    cells.forEach(([upper, lower], x) => {
+        eq(upper, formatColor(getPixelColor(pixels, 24, x, y * 2)));
+        eq(lower, formatColor(getPixelColor(pixels, 24, x, y * 2 + 1)));
+    });
+});
+
+console.log(`All ${xpx} tests passed!`);
@@ -0,0 +1,274 @@
+import {
+    isIntInRange,
+    validateBackground,
+    validateRasterOptions,
+    validateShape,
+} from './validate-args.js';
+import { MAX_RASTER_SIDE, drawPixels } from './rasterize.js';
+
+/**
+ * @typedef {import('./types.js').Background} Background
+ * @typedef {import('./types.js').Group} Group
+ * @typedef {import('./types.js').PngOptions} PngOptions
+ * @typedef {import('./types.js').Shape} Shape
+ */
+
+/** #### Renders an array of shapes as a PNG image
+ * Uses the same pixel pipeline as `renderAnsi()`, so the PNG looks like the
+ * ANSI art but at any resolution. The PNG is 8-bit RGB, compressed by a
+ * small pure-JS deflate encoder, so no native dependencies are needed.
+ *
+ * `options.scale` multiplies the width and height of the image. Stroke widths
+ * and pattern stripes are scaled up too, so a scaled PNG is a sharper version
+ * of the unscaled one, not a different picture. `options.strategy`, `quality`
+ * and `supersample` are passed on to the pixel pipeline, as in `rasterize()`.
+ * @param {number} canvasWidth The width of the image, in logical pixels
+ * @param {number} canvasHeight The height of the image, in logical pixels
+ * @param {Background} background How to render the background
+ * @param {(Shape|Group)[]} shapes An array of shapes and groups to render
+ * @param {PngOptions} [options={}] Optional settings, eg `{ scale: 4 }`
+ * @returns {Uint8Array} The bytes of the PNG file
+ */
+export const renderPng = (
+    canvasWidth,
+    canvasHeight,
+    background,
+    shapes,
+    options = {},
+) => {
+    const xpx = 'renderPng()';
+
+    // Validate the arguments.
+    if (typeof canvasWidth !== 'number') throw TypeError(
+        `${xpx} canvasWidth is type '${typeof canvasWidth}' not 'number'`);
+    if (!isIntInRange(canvasWidth, 1, MAX_RASTER_SIDE)) throw RangeError(
+        `${xpx} canvasWidth must be an integer between 1 and ${MAX_RASTER_SIDE}`);
+    if (typeof canvasHeight !== 'number') throw TypeError(
+        `${xpx} canvasHeight is type '${typeof canvasHeight}' not 'number'`);
+    if (!isIntInRange(canvasHeight, 1, MAX_RASTER_SIDE)) throw RangeError(
+        `${xpx} canvasHeight must be an integer between 1 and ${MAX_RASTER_SIDE}`);
+    validateBackground(background, xpx);
+    if (shapes === null) throw TypeError(
+        `${xpx} shapes is null not an array`);
+    if (!Array.isArray(shapes)) throw TypeError(
+        `${xpx} shapes is type '${typeof shapes}' not 'array'`);
+    shapes.forEach((shape, i) => validateShape(shape, xpx, i));
+    const settings = validateRasterOptions(options, xpx);
+    const scale = typeof options.scale === 'undefined' ? 1 : options.scale;
+    if (typeof scale !== 'number') throw TypeError(
+        `${xpx} options.scale is type '${typeof scale}' not 'number'`);
+    if (!isIntInRange(scale, 1, 16)) throw RangeError(
+        `${xpx} options.scale must be an integer between 1 and 16`);
+    const width = canvasWidth * scale;
+    const height = canvasHeight * scale;
+    if (width > MAX_RASTER_SIDE || height > MAX_RASTER_SIDE) throw RangeError(
+        `${xpx} scaled size ${width}x${height} is larger than ${MAX_RASTER_SIDE}x${MAX_RASTER_SIDE}`);
+
+    // Draw the background and shapes onto a buffer of RGBA pixels.
+    const pixels = drawPixels(width, height, background, shapes, scale, settings);
+
+    // Serialise the pixels as RGB PNG scanlines. Each row starts with a
+    // filter type byte, which is always 0 (no filter). The deflate encoder
+    // finds the repeats between rows instead.
+    const stride = width * 3 + 1;
+    const raw = new Uint8Array(stride * height);
+    for (let y = 0; y < height; y++) {
+        let offset = y * stride + 1;
+        for (let i = y * width * 4; i < (y + 1) * width * 4; i += 4) {
+            raw[offset++] = pixels[i];
+            raw[offset++] = pixels[i + 1];
+            raw[offset++] = pixels[i + 2];
+        }
+    }
+
+    // Image header: width, height, 8 bits per channel, truecolor (type 2),
+    // deflate compression, adaptive filtering, no interlacing.
+    const header = new Uint8Array(13);
+    writeUint32(header, 0, width);
+    writeUint32(header, 4, height);
+    header.set([8, 2, 0, 0, 0], 8);
+
+    return concatBytes([
+        new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        getChunk('IHDR', header),
+        getChunk('IDAT', zlibCompress(raw)),
+        getChunk('IEND', new Uint8Array(0)),
+    ]);
+}
+
+/** #### Writes a big-endian unsigned 32-bit integer into a byte array
+ * @param {Uint8Array} bytes The array to write to
+ * @param {number} offset Where to write the first byte
+ * @param {number} value The integer to write
+ */
+function writeUint32(bytes, offset, value) {
+    bytes[offset] = value >>> 24;
+    bytes[offset + 1] = value >>> 16;
+    bytes[offset + 2] = value >>> 8;
+    bytes[offset + 3] = value;
+}
+
+/** #### Joins byte arrays end to end
+ * @param {Uint8Array[]} parts The byte arrays to join
+ * @returns {Uint8Array} A new byte array
+ */
+function concatBytes(parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+/** #### Gets a PNG chunk: length, type, data and CRC
+ * @param {string} type The four-letter chunk type, eg 'IHDR'
+ * @param {Uint8Array} data The chunk's data
+ * @returns {Uint8Array} The chunk's bytes
+ */
+function getChunk(type, data) {
+    const chunk = new Uint8Array(data.length + 12);
+    writeUint32(chunk, 0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    writeUint32(chunk, data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+    return chunk;
+}
+
+/** The CRC-32 lookup table, for polynomial 0xedb88320. */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+/** #### Calculates the CRC-32 of some bytes, as used by PNG chunks
+ * @param {Uint8Array} bytes The bytes to check
+ * @returns {number} An unsigned 32-bit integer
+ */
+function crc32(bytes) {
+    let c = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+/** #### Calculates the Adler-32 checksum of some bytes, as used by zlib
+ * @param {Uint8Array} bytes The bytes to check
+ * @returns {number} An unsigned 32-bit integer
+ */
+function adler32(bytes) {
+    let a = 1, b = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+// Deflate's length and distance symbols: the smallest value each symbol
+// stands for, and how many extra bits follow it (RFC 1951, section 3.2.5).
+const LENGTH_BASES = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+    35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+    3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DISTANCE_BASES = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129,
+    193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289,
+    16385, 24577];
+const DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7,
+    8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+/** #### Compresses bytes as a zlib stream
+ * A single deflate block with the fixed Huffman codes, and greedy LZ77
+ * matching against the most recent earlier occurrence of each 3-byte
+ * sequence. This is far simpler than zlib, and the output is larger, but
+ * striped images still compress well.
+ * @param {Uint8Array} data The bytes to compress
+ * @returns {Uint8Array} The zlib stream
+ */
+function zlibCompress(data) {
+    const out = [0x78, 0x01]; // deflate, 32K window, no preset dictionary
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    /** Writes the lowest `count` bits of `value`, least significant first. */
+    const writeBits = (/** @type {number} */ value, /** @type {number} */ count) => {
+        bitBuffer |= value << bitCount;
+        bitCount += count;
+        while (bitCount >= 8) {
+            out.push(bitBuffer & 0xff);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    /** Writes a Huffman code, most significant bit first. */
+    const writeCode = (/** @type {number} */ code, /** @type {number} */ length) => {
+        let reversed = 0;
+        for (let i = 0; i < length; i++) reversed |= ((code >>> i) & 1) << (length - 1 - i);
+        writeBits(reversed, length);
+    };
+
+    /** Writes a literal/length symbol, using the fixed Huffman codes. */
+    const writeSymbol = (/** @type {number} */ symbol) => {
+        if (symbol < 144) writeCode(0x30 + symbol, 8);
+        else if (symbol < 256) writeCode(0x190 + symbol - 144, 9);
+        else if (symbol < 280) writeCode(symbol - 256, 7);
+        else writeCode(0xc0 + symbol - 280, 8);
+    };
+
+    writeBits(1, 1); // final block
+    writeBits(1, 2); // fixed Huffman codes
+
+    const windowSize = 32768;
+    const head = new Int32Array(1 << 15).fill(-1);
+    const hashAt = (/** @type {number} */ i) =>
+        Math.imul((data[i] << 16) | (data[i + 1] << 8) | data[i + 2], 0x9e3779b1) >>> 17;
+
+    let i = 0;
+    while (i < data.length) {
+        let matchLength = 0;
+        let matchDistance = 0;
+        if (i + 2 < data.length) {
+            const hash = hashAt(i);
+            const candidate = head[hash];
+            head[hash] = i;
+            if (candidate >= 0 && i - candidate <= windowSize) {
+                const maxLength = Math.min(258, data.length - i);
+                while (matchLength < maxLength && data[candidate + matchLength] === data[i + matchLength]) {
+                    matchLength++;
+                }
+                matchDistance = i - candidate;
+            }
+        }
+        if (matchLength < 3) {
+            writeSymbol(data[i]);
+            i++;
+            continue;
+        }
+
+        let l = LENGTH_BASES.length - 1;
+        while (LENGTH_BASES[l] > matchLength) l--;
+        writeSymbol(257 + l);
+        writeBits(matchLength - LENGTH_BASES[l], LENGTH_EXTRA[l]);
+        let d = DISTANCE_BASES.length - 1;
+        while (DISTANCE_BASES[d] > matchDistance) d--;
+        writeCode(d, 5);
+        writeBits(matchDistance - DISTANCE_BASES[d], DISTANCE_EXTRA[d]);
+
+        // Index the positions inside the match, so later data can refer to them.
+        for (let j = i + 1; j < i + matchLength && j + 2 < data.length; j++) {
+            head[hashAt(j)] = j;
+        }
+        i += matchLength;
+    }
+
+    writeSymbol(256); // end of block
+    if (bitCount > 0) writeBits(0, 8 - bitCount);
+
+    const checksum = new Uint8Array(4);
+    writeUint32(checksum, 0, adler32(data));
+    return concatBytes([new Uint8Array(out), checksum]);
+}
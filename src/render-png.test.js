@@ -0,0 +1,154 @@
+import { throws, deepStrictEqual as eq } from 'node:assert/strict';
+import { inflateSync } from 'node:zlib';
+import { getPixelColor, rasterize } from './rasterize.js';
+import { renderPng } from './render-png.js';
+
+const xpx = 'renderPng()';
+
+/**
+ * @typedef {import('./types.js').Background} Background
+ * @typedef {import('./types.js').Color} Color
+ * @typedef {import('./types.js').Shape} Shape
+ */
+
+/** @type {Color} */
+const validOrange = { red: 255, green: 165, blue: 0 };
+const validBlue = { red: 0, green: 0, blue: 255 };
+
+/** @type {Background} */
+const validBg = { ink: validOrange, paper: validBlue, pattern: 'breton' };
+
+/** @type {Shape} */
+const validShape = {
+    kind: 'circle',
+    size: 3,
+    position: { x: 0, y: 0 },
+    ink: validOrange,
+    paper: validBlue,
+    pattern: 'pinstripe',
+    strokeColor: { red: 255, green: 0, blue: 180 },
+    strokePosition: 'center',
+    strokeWidth: 2,
+};
+
+/** #### Decodes a PNG written by `renderPng()`, checking its structure
+ * @param {Uint8Array} png The PNG's bytes
+ * @returns {{ width: number, height: number, rows: number[][] }} Each row is R, G, B, R, G, B...
+ */
+const decodePng = (png) => {
+    const bytes = Buffer.from(png);
+    eq([...bytes.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    const chunks = [];
+    for (let offset = 8; offset < bytes.length;) {
+        const length = bytes.readUInt32BE(offset);
+        const type = bytes.toString('latin1', offset + 4, offset + 8);
+        chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+        offset += length + 12;
+    }
+    eq(chunks.map(({ type }) => type), ['IHDR', 'IDAT', 'IEND']);
+    const width = chunks[0].data.readUInt32BE(0);
+    const height = chunks[0].data.readUInt32BE(4);
+    eq([...chunks[0].data.subarray(8)], [8, 2, 0, 0, 0]);
+    const raw = inflateSync(chunks[1].data); // also checks the Adler-32 checksum
+    eq(raw.length, (width * 3 + 1) * height);
+    const rows = [];
+    for (let y = 0; y < height; y++) {
+        const start = y * (width * 3 + 1);
+        eq(raw[start], 0); // no filter
+        rows.push([...raw.subarray(start + 1, start + 1 + width * 3)]);
+    }
+    return { width, height, rows };
+};
+
+/** #### Gets one pixel from a decoded PNG
+ * @param {number[][]} rows The decoded rows
+ * @param {number} x The pixel's column
+ * @param {number} y The pixel's row
+ * @returns {Color}
+ */
+const getPixel = (rows, x, y) =>
+    ({ red: rows[y][x * 3], green: rows[y][x * 3 + 1], blue: rows[y][x * 3 + 2] });
+
+
+// Invalid arguments.
+
+// @ts-expect-error
+throws(() => renderPng(), { message: /canvasWidth is type 'undefined' not 'number'/});
+throws(() => renderPng(0, 10, validBg, []), { message: /canvasWidth must be an integer between 1 and 4096/});
+// @ts-expect-error
+throws(() => renderPng(10, '10', validBg, []), { message: /canvasHeight is type 'string' not 'number'/});
+throws(() => renderPng(10, 4097, validBg, []), { message: /canvasHeight must be an integer between 1 and 4096/});
+throws(() => renderPng(10, 10, null, []), { message: /^renderPng\(\) background is 'null' not a plain object/});
+throws(() => renderPng(10, 10, validBg, null), { message: /shapes is null not an array/});
+throws(() => renderPng(10, 10, validBg, [ { ...validShape, size: 0 } ]), { message: /shapes\[0\]\.size must be an integer between 1 and 100/});
+throws(() => renderPng(10, 10, validBg, [], null), { message: /options is 'null' not a plain object/});
+// @ts-expect-error
+throws(() => renderPng(10, 10, validBg, [], { scale: '2' }), { message: /options\.scale is type 'string' not 'number'/});
+throws(() => renderPng(10, 10, validBg, [], { scale: 1.5 }), { message: /options\.scale must be an integer between 1 and 16/});
+throws(() => renderPng(10, 10, validBg, [], { scale: 17 }), { message: /options\.scale must be an integer between 1 and 16/});
+// @ts-expect-error
+throws(() => renderPng(10, 10, validBg, [], { strategy: 1 }), { message: /options\.strategy is type 'number' not 'string'/});
+// @ts-expect-error
+throws(() => renderPng(10, 10, validBg, [], { strategy: 'row-first' }), { message: /options\.strategy must be one of 'shape-first' or 'pixel-first'/});
+// @ts-expect-error
+throws(() => renderPng(10, 10, validBg, [], { quality: 'best' }), { message: /options\.quality must be one of 'fast' or 'linear-light'/});
+throws(() => renderPng(10, 10, validBg, [], { supersample: 9 }), { message: /options\.supersample must be an integer between 1 and 8/});
+throws(() => renderPng(300, 10, validBg, [], { scale: 16 }), { message: /scaled size 4800x160 is larger than 4096x4096/});
+
+
+// Valid inputs.
+
+// A background only, with odd sizes, which renderAnsi() does not allow.
+const tiny = decodePng(renderPng(3, 5, validBg, []));
+eq([tiny.width, tiny.height], [3, 5]);
+eq(getPixel(tiny.rows, 0, 0), validOrange);
+eq(getPixel(tiny.rows, 2, 1), validBlue);
+eq(getPixel(tiny.rows, 1, 4), validOrange);
+
+// The pixels match the ones rasterize() draws.
+/** @type {Shape[]} */
+const shapes = [
+    validShape,
+    { ...validShape, kind: 'square', size: 2, position: { x: -3, y: 2 }, strokePosition: 'inside' },
+    { ...validShape, kind: 'triangle', size: 2, position: { x: 3, y: -2 }, strokePosition: 'outside' },
+];
+const scene = decodePng(renderPng(24, 16, validBg, shapes));
+const pixels = rasterize(24, 16, validBg, shapes);
+for (let y = 0; y < 16; y++) {
+    for (let x = 0; x < 24; x++) {
+        eq(getPixel(scene.rows, x, y), getPixelColor(pixels, 24, x, y));
+    }
+}
+
+// Scaling keeps the stripes in step with the logical pixels.
+const scaled = decodePng(renderPng(24, 16, validBg, [ validShape ], { scale: 3 }));
+eq([scaled.width, scaled.height], [72, 48]);
+for (let y = 0; y < 6; y++) {
+    eq(getPixel(scaled.rows, 0, y), y < 3 ? validOrange : validBlue);
+}
+for (let x = 33; x < 42; x++) { // pinstripe, inside the circle
+    eq(getPixel(scaled.rows, x, 24), Math.floor(x / 3) % 2 === 0 ? validOrange : validBlue);
+}
+
+// Large images are allowed, and the output is deterministic and compressed.
+const large = renderPng(256, 256, validBg, shapes, { scale: 2 });
+eq(decodePng(large).width, 512);
+eq(Buffer.from(large).equals(Buffer.from(renderPng(256, 256, validBg, shapes, { scale: 2 }))), true);
+eq(large.length < 512 * 512 * 3 / 5, true);
+
+// The strategy changes only how fast the image is drawn, not what is drawn.
+eq(Buffer.from(renderPng(24, 16, validBg, shapes, { scale: 3, strategy: 'pixel-first' }))
+    .equals(Buffer.from(renderPng(24, 16, validBg, shapes, { scale: 3, strategy: 'shape-first' }))), true);
+
+// The quality and supersample options are passed on to the pixel pipeline.
+/** @type {import('./types.js').PngOptions} */
+const fine = { quality: 'linear-light', supersample: 2 };
+const fineImage = decodePng(renderPng(24, 16, validBg, shapes, fine));
+const finePixels = rasterize(24, 16, validBg, shapes, fine);
+for (let y = 0; y < 16; y++) {
+    for (let x = 0; x < 24; x++) {
+        eq(getPixel(fineImage.rows, x, y), getPixelColor(finePixels, 24, x, y));
+    }
+}
+
+console.log(`All ${xpx} tests passed!`);
@@ -0,0 +1,466 @@
+import {
+    isIntInRange,
+    validateBackground,
+    validateShape,
+    validateSvgOptions,
+} from './validate-args.js';
+import { formatColor } from './color.js';
+import { hashString } from './keyed-permutation.js';
+import {
+    CROSS_ARM_RATIO,
+    ELLIPSE_RATIO,
+    RING_INNER_RATIO,
+    ROUNDED_SQUARE_CORNER_RATIO,
+    STAR_DEFAULT_POINTS,
+    STAR_INNER_RATIO,
+    aabbOutline,
+} from './sdf-and-aabb.js';
+
+/**
+ * @typedef {import('./types.js').Background} Background
+ * @typedef {import('./types.js').Color} Color
+ * @typedef {import('./types.js').Group} Group
+ * @typedef {import('./types.js').GroupOutline} GroupOutline
+ * @typedef {import('./types.js').Outline} Outline
+ * @typedef {import('./types.js').Pattern} Pattern
+ * @typedef {import('./types.js').Shape} Shape
+ */
+
+/** #### Renders an array of shapes as an SVG document
+ * The SVG uses the same world space as `renderAnsi()`: the smaller side of
+ * the canvas is 10 world units across, with the world origin at its centre.
+ * Patterns are drawn with 1-pixel stripes unless they have a `stripeWidth`,
+ * and stroke widths are in pixels, so the SVG looks like `renderAnsi()`'s
+ * output when drawn at its own size.
+ *
+ * Groups are drawn through masks, and their strokes by growing and
+ * shrinking the masks with `<feMorphology>`, which gives square corners
+ * where `renderAnsi()`'s are round. A 'smooth-union' group is drawn as a
+ * plain 'union', without the fillets.
+ *
+ * A shape with an `opacity` or `blendMode` is wrapped in a `<g>` with the
+ * `opacity` attribute and the CSS `mix-blend-mode` property, which blend its
+ * fill and stroke together, as `drawPixels()` does.
+ *
+ * Every ID in the SVG starts with `options.idPrefix` and a '-', so that
+ * several SVGs can be inlined in one HTML document without their patterns
+ * and masks clashing. By default the prefix is 'svg-' and a hash of the
+ * arguments, so SVGs of different scenes do not share IDs.
+ * @param {number} canvasWidth The width of the SVG, in pixels
+ * @param {number} canvasHeight The height of the SVG, in pixels
+ * @param {Background} background How to render the background
+ * @param {(Shape|Group)[]} shapes An array of shapes and groups to render
+ * @param {import('./types.js').SvgOptions} [options={}] The prefix of every ID
+ * @returns {string} The SVG document, which is the same for the same arguments
+ */
+export const renderSvg = (
+    canvasWidth,
+    canvasHeight,
+    background,
+    shapes,
+    options = {},
+) => {
+    const xpx = 'renderSvg()';
+
+    // Validate the arguments.
+    if (typeof canvasWidth !== 'number') throw TypeError(
+        `${xpx} canvasWidth is type '${typeof canvasWidth}' not 'number'`);
+    if (!isIntInRange(canvasWidth, 1, 10000)) throw RangeError(
+        `${xpx} canvasWidth must be an integer between 1 and 10000`);
+    if (typeof canvasHeight !== 'number') throw TypeError(
+        `${xpx} canvasHeight is type '${typeof canvasHeight}' not 'number'`);
+    if (!isIntInRange(canvasHeight, 1, 10000)) throw RangeError(
+        `${xpx} canvasHeight must be an integer between 1 and 10000`);
+    validateBackground(background, xpx);
+    if (shapes === null) throw TypeError(
+        `${xpx} shapes is null not an array`);
+    if (!Array.isArray(shapes)) throw TypeError(
+        `${xpx} shapes is type '${typeof shapes}' not 'array'`);
+    shapes.forEach((shape, i) => validateShape(shape, xpx, i));
+    const { idPrefix } = validateSvgOptions(options, xpx);
+    const prefix = idPrefix ?? `svg-${hashString(JSON.stringify([canvasWidth, canvasHeight, background, shapes]))
+        .toString(16).padStart(8, '0')}`;
+
+    // Use the same world-space mapping as `renderAnsi()`.
+    const aspectRatio = canvasWidth / canvasHeight;
+    const worldWidth = aspectRatio >= 1 ? 10.0 * aspectRatio : 10.0;
+    const worldHeight = aspectRatio >= 1 ? 10.0 : 10.0 / aspectRatio;
+    const worldUnitsPerPixel = 10.0 / Math.min(canvasWidth, canvasHeight);
+    const left = -worldWidth / 2;
+    const top = -worldHeight / 2;
+
+    // Patterns are anchored to the top-left of the canvas, so that stripes
+    // line up with the pixel grid, as they do in `renderAnsi()`. Gradients
+    // span the canvas, or a shape's bounding box.
+    const canvasFrame = { minX: left, maxX: -left, minY: top, maxY: -top };
+    const defs = [
+        getPatternDef(`${prefix}-background-fill`, background, canvasFrame, left, top, worldUnitsPerPixel),
+    ];
+    const body = [
+        `<rect x="${fmt(left)}" y="${fmt(top)}" width="${fmt(worldWidth)}" height="${fmt(worldHeight)}" fill="url(#${prefix}-background-fill)"/>`,
+    ];
+
+    shapes.forEach((shape, i) => {
+        const id = `${prefix}-shape-${i}`;
+        const compositing = getCompositingAttributes(shape);
+        const addElement = (/** @type {string} */ element) =>
+            body.push(compositing ? `<g ${compositing}>${element}</g>` : element);
+        if (shape.kind === 'group') {
+            defs.push(getPatternDef(`${id}-fill`, shape, aabbOutline(shape, 0), left, top, worldUnitsPerPixel));
+            addElement(getGroupElement(shape, id, defs, left, top, worldWidth, worldHeight, worldUnitsPerPixel));
+            return;
+        }
+        // A rotated or scaled shape's fill pattern is transformed back, so
+        // its stripes stay lined up with the pixel grid.
+        defs.push(getPatternDef(`${id}-fill`, shape, aabbOutline(shape, 0), left, top, worldUnitsPerPixel,
+            getShapeTransform(shape, true)));
+        const fill = getShapeElement(shape, `fill="url(#${id}-fill)"`);
+
+        // SVG strokes are always centred on the outline, so inside and
+        // outside strokes are drawn twice as wide, and half is hidden. The
+        // stroke is scaled with the shape, so it is divided by the smaller
+        // scale, as `drawPixels()` does to its distances.
+        const minScale = shape.scale ? Math.min(shape.scale.x, shape.scale.y) : 1;
+        const strokeWidth = shape.strokeWidth * worldUnitsPerPixel / minScale;
+        if (strokeWidth === 0) {
+            addElement(fill);
+            return;
+        }
+        const stroke = (/** @type {number} */ width, /** @type {string} */ extra = '') => getShapeElement(shape,
+            `fill="none" stroke="${formatColor(shape.strokeColor)}" stroke-width="${fmt(width)}" stroke-linejoin="round"${extra}`);
+        switch (shape.strokePosition) {
+            case 'inside':
+                // Clip the stroke to the shape, which hides its outer half.
+                // The clip path is in the stroke's own user space, which is
+                // already transformed, so its outline is not transformed again.
+                defs.push(`<clipPath id="${id}-clip">${getShapeElement(shape, '', false)}</clipPath>`);
+                addElement(`<g>${fill}${stroke(strokeWidth * 2, ` clip-path="url(#${id}-clip)"`)}</g>`);
+                break;
+            case 'outside':
+                // Draw the fill over the stroke, which hides its inner half.
+                addElement(`<g>${stroke(strokeWidth * 2)}${fill}</g>`);
+                break;
+            case 'center':
+            default:
+                addElement(`<g>${fill}${stroke(strokeWidth)}</g>`);
+                break;
+        }
+    });
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${canvasWidth}" height="${canvasHeight}" viewBox="${fmt(left)} ${fmt(top)} ${fmt(worldWidth)} ${fmt(worldHeight)}">`,
+        `<defs>${defs.join('')}</defs>`,
+        ...body,
+        '</svg>',
+    ].join('\n');
+}
+
+/** #### Formats a number for SVG output
+ * Rounds to 4 decimal places, which is plenty for world units, and keeps the
+ * output deterministic and compact. Never returns '-0'.
+ * @param {number} num The number to format
+ * @returns {string} The formatted number
+ */
+function fmt(num) {
+    return String(Math.round(num * 10000) / 10000 + 0);
+}
+
+/** #### Gets the attributes which set a shape's opacity and blend mode
+ * @param {Shape|Group} shape The shape to draw
+ * @returns {string} For example `opacity="0.5" style="mix-blend-mode:multiply"`,
+ *   or '' if the shape is drawn normally
+ */
+function getCompositingAttributes(shape) {
+    const attributes = [];
+    if (typeof shape.opacity === 'number' && shape.opacity !== 1) attributes.push(`opacity="${fmt(shape.opacity)}"`);
+    if (shape.blendMode && shape.blendMode !== 'normal') attributes.push(`style="mix-blend-mode:${shape.blendMode}"`);
+    return attributes.join(' ');
+}
+
+
+/** #### Gets an SVG `<pattern>` or gradient element for a background or shape fill
+ * The patterns match `drawPixels()`. Their tiles are measured in pattern
+ * units, which are one pixel, or `stripeWidth` world units if that is set:
+ * - 'breton' and 'pinstripe' are horizontal and vertical stripes, with ink
+ *   on the even rows or columns
+ * - 'checkerboard' is squares, with ink at the top-left
+ * - 'diagonal' is stripes two units wide, which slope up to the right
+ * - 'dots' is one-unit dots of ink, two units apart, which are square pixels
+ *   unless there is a stripe width
+ * - 'linear-gradient' and 'radial-gradient' go from ink to paper, down
+ *   `frame` or out from its centre
+ * @param {string} id The pattern element's ID
+ * @param {Background} fill The background or shape's ink, paper, pattern and stripe width
+ * @param {{minX:number,maxX:number,minY:number,maxY:number}} frame The box which gradients span
+ * @param {number} left The world X coordinate of the canvas's left edge
+ * @param {number} top The world Y coordinate of the canvas's top edge
+ * @param {number} pixel The size of one pixel, in world units
+ * @param {string} [transform=''] A `patternTransform` or `gradientTransform`, if any
+ * @returns {string} The `<pattern>`, `<linearGradient>` or `<radialGradient>` element
+ */
+function getPatternDef(id, fill, frame, left, top, pixel, transform = '') {
+    const ink = formatColor(fill.ink);
+    const paper = formatColor(fill.paper);
+    const stops = `<stop offset="0" stop-color="${ink}"/><stop offset="1" stop-color="${paper}"/>`;
+    switch (fill.pattern) {
+        case 'linear-gradient':
+            return [
+                `<linearGradient id="${id}" gradientUnits="userSpaceOnUse"${transform ? ` gradientTransform="${transform}"` : ''}`,
+                ` x1="0" y1="${fmt(frame.minY)}" x2="0" y2="${fmt(frame.maxY)}">${stops}</linearGradient>`,
+            ].join('');
+        case 'radial-gradient': {
+            const r = Math.max(frame.maxX - frame.minX, frame.maxY - frame.minY) / 2;
+            return [
+                `<radialGradient id="${id}" gradientUnits="userSpaceOnUse"${transform ? ` gradientTransform="${transform}"` : ''}`,
+                ` cx="${fmt((frame.minX + frame.maxX) / 2)}" cy="${fmt((frame.minY + frame.maxY) / 2)}" r="${fmt(r)}">${stops}</radialGradient>`,
+            ].join('');
+        }
+    }
+
+    const unit = fill.stripeWidth || pixel;
+    const rect = (/** @type {number} */ x, /** @type {number} */ y, /** @type {number} */ width, /** @type {number} */ height) =>
+        `<rect${x ? ` x="${fmt(x)}"` : ''}${y ? ` y="${fmt(y)}"` : ''} width="${fmt(width)}" height="${fmt(height)}" fill="${ink}"/>`;
+    /** @type {[number, number, string]} */
+    let tile;
+    switch (fill.pattern) {
+        case 'pinstripe':
+            tile = [unit * 2, unit, rect(0, 0, unit, unit)];
+            break;
+        case 'checkerboard':
+            tile = [unit * 2, unit * 2, rect(0, 0, unit, unit) + rect(unit, unit, unit, unit)];
+            break;
+        case 'diagonal': {
+            // Ink where the distance across and down adds up to 0-2 or 4-6 units.
+            const points = (/** @type {number[][]} */ corners) =>
+                corners.map(([x, y]) => `${fmt(x * unit)},${fmt(y * unit)}`).join(' ');
+            tile = [unit * 4, unit * 4,
+                `<polygon points="${points([[0, 0], [2, 0], [0, 2]])}" fill="${ink}"/>` +
+                `<polygon points="${points([[4, 0], [4, 2], [2, 4], [0, 4]])}" fill="${ink}"/>`];
+            break;
+        }
+        case 'dots':
+            tile = [unit * 2, unit * 2, fill.stripeWidth
+                ? `<circle cx="${fmt(unit / 2)}" cy="${fmt(unit / 2)}" r="${fmt(unit / 2)}" fill="${ink}"/>`
+                : rect(0, 0, unit, unit)];
+            break;
+        case 'breton':
+        default:
+            tile = [unit, unit * 2, rect(0, 0, unit, unit)];
+            break;
+    }
+    const [width, height, content] = tile;
+    return [
+        `<pattern id="${id}" patternUnits="userSpaceOnUse"${transform ? ` patternTransform="${transform}"` : ''} x="${fmt(left)}" y="${fmt(top)}" width="${fmt(width)}" height="${fmt(height)}">`,
+        `<rect width="${fmt(width)}" height="${fmt(height)}" fill="${paper}"/>`,
+        content,
+        '</pattern>',
+    ].join('');
+}
+
+/** #### Gets an SVG element which draws a group, with its fill and stroke
+ * The group's outline is defined once, in white, and masks made from it
+ * are used to paint canvas-sized rectangles with the fill and stroke. SVG
+ * strokes can not follow a combined outline, so the stroke is the region
+ * between a grown and a shrunk mask, as `drawPixels()` measures it.
+ * @param {Group} group The group to draw
+ * @param {string} id The ID prefix for the group's `<defs>`
+ * @param {string[]} defs The `<defs>` so far, which this adds to
+ * @param {number} left The world X coordinate of the canvas's left edge
+ * @param {number} top The world Y coordinate of the canvas's top edge
+ * @param {number} width The width of the canvas, in world units
+ * @param {number} height The height of the canvas, in world units
+ * @param {number} pixel The size of one pixel, in world units
+ * @returns {string} A `<rect>`, or a `<g>` of two `<rect>`s
+ */
+function getGroupElement(group, id, defs, left, top, width, height, pixel) {
+    const canvas = `x="${fmt(left)}" y="${fmt(top)}" width="${fmt(width)}" height="${fmt(height)}"`;
+    defs.push(`<g id="${id}-outline">${getOutlineContent(group, 'white', id, defs)}</g>`);
+
+    /** Gets the ID of a mask of the outline, grown by `radius`, or shrunk if it is negative. */
+    const getMask = (/** @type {number} */ radius) => {
+        if (radius === 0) {
+            defs.push(`<mask id="${id}-mask" maskUnits="userSpaceOnUse" ${canvas}><use href="#${id}-outline"/></mask>`);
+            return `${id}-mask`;
+        }
+        const operator = radius > 0 ? 'dilate' : 'erode';
+        defs.push([
+            `<filter id="${id}-${operator}" filterUnits="userSpaceOnUse" ${canvas}>`,
+            `<feMorphology operator="${operator}" radius="${fmt(Math.abs(radius))}"/>`,
+            '</filter>',
+            `<mask id="${id}-${operator}-mask" maskUnits="userSpaceOnUse" ${canvas}>`,
+            `<use href="#${id}-outline" filter="url(#${id}-${operator})"/>`,
+            '</mask>',
+        ].join(''));
+        return `${id}-${operator}-mask`;
+    };
+    const paint = (/** @type {string} */ color, /** @type {string} */ mask) =>
+        `<rect ${canvas} fill="${color}" mask="url(#${mask})"/>`;
+
+    const fill = `url(#${id}-fill)`;
+    const stroke = formatColor(group.strokeColor);
+    const strokeWidth = group.strokeWidth * pixel;
+    if (strokeWidth === 0) return paint(fill, getMask(0));
+    switch (group.strokePosition) {
+        case 'inside':
+            return `<g>${paint(stroke, getMask(0))}${paint(fill, getMask(-strokeWidth))}</g>`;
+        case 'outside':
+            return `<g>${paint(stroke, getMask(strokeWidth))}${paint(fill, getMask(0))}</g>`;
+        case 'center':
+        default:
+            return `<g>${paint(stroke, getMask(strokeWidth / 2))}${paint(fill, getMask(-strokeWidth / 2))}</g>`;
+    }
+}
+
+/** #### Gets SVG elements which paint a shape or group's outline in one color
+ * A group's children are positioned relative to the group, so they are
+ * wrapped in a `<g>` with the group's transform. A union paints every
+ * child. A subtraction or intersection paints a rectangle around the
+ * children through masks of them, which are added to `defs`.
+ * @param {Outline|GroupOutline} outline The shape or group to paint
+ * @param {string} color The color to paint, eg 'white' for a mask
+ * @param {string} id The ID prefix for any masks, unique to this outline
+ * @param {string[]} defs The `<defs>` so far, which this adds to
+ * @returns {string} SVG elements
+ */
+function getOutlineContent(outline, color, id, defs) {
+    if (outline.kind !== 'group') return getShapeElement(outline, `fill="${color}"`);
+
+    const { children, operation } = outline;
+    let content;
+    if (operation === 'union' || operation === 'smooth-union') {
+        content = children.map((child, j) => getOutlineContent(child, color, `${id}-${j}`, defs)).join('');
+    } else {
+        // A rectangle around all the children is large enough for any operation.
+        const boxes = children.map((child) => aabbOutline(child, 0));
+        const minX = Math.min(...boxes.map((box) => box.minX));
+        const minY = Math.min(...boxes.map((box) => box.minY));
+        const maxX = Math.max(...boxes.map((box) => box.maxX));
+        const maxY = Math.max(...boxes.map((box) => box.maxY));
+        content = `<rect x="${fmt(minX)}" y="${fmt(minY)}" width="${fmt(maxX - minX)}" height="${fmt(maxY - minY)}" fill="${color}"/>`;
+        if (operation === 'subtract') {
+            // The first child is white, and the others cut black holes in it.
+            defs.push(`<mask id="${id}-mask">${children.map((child, j) =>
+                getOutlineContent(child, j === 0 ? 'white' : 'black', `${id}-${j}`, defs)).join('')}</mask>`);
+            content = `<g mask="url(#${id}-mask)">${content}</g>`;
+        } else {
+            // Each child masks everything inside it.
+            for (let j = children.length - 1; j >= 0; j--) {
+                defs.push(`<mask id="${id}-mask-${j}">${getOutlineContent(children[j], 'white', `${id}-${j}`, defs)}</mask>`);
+                content = `<g mask="url(#${id}-mask-${j})">${content}</g>`;
+            }
+        }
+    }
+
+    const rotation = outline.rotation || 0;
+    const { x: scaleX, y: scaleY } = outline.scale || { x: 1, y: 1 };
+    const { x, y } = outline.position;
+    const transform = [
+        `translate(${fmt(x)} ${fmt(y)})`,
+        `rotate(${fmt(rotation)})`,
+        `scale(${fmt(scaleX)} ${fmt(scaleY)})`,
+    ].filter((step) => !['translate(0 0)', 'rotate(0)', 'scale(1 1)'].includes(step)).join(' ');
+    return transform ? `<g transform="${transform}">${content}</g>` : content;
+}
+
+/** #### Gets an SVG element with the outline of a shape
+ * The outlines match the SDFs in `sdf-and-aabb.js`. For example, the
+ * triangle points up, with its centroid at the shape's position and sides of
+ * `2 * size`. The ring is a path with a hole, so it uses the even-odd rule.
+ * A rotated or scaled shape also has a `transform` attribute, unless
+ * `transformed` is false.
+ * @param {Outline} shape The shape to outline
+ * @param {string} attributes Extra attributes, eg `fill="red"`
+ * @param {boolean} [transformed=true] Whether to rotate and scale the outline
+ * @returns {string} A `<circle>`, `<rect>`, `<ellipse>`, `<polygon>` or `<path>` element
+ */
+function getShapeElement(shape, attributes, transformed = true) {
+    const { x, y } = shape.position;
+    const size = shape.size;
+    const transform = transformed ? getShapeTransform(shape, false) : '';
+    if (transform) attributes = `transform="${transform}"${attributes ? ` ${attributes}` : ''}`;
+    const space = attributes ? ' ' : '';
+    switch (shape.kind) {
+        case 'circle':
+            return `<circle cx="${fmt(x)}" cy="${fmt(y)}" r="${fmt(size)}"${space}${attributes}/>`;
+        case 'square':
+            return `<rect x="${fmt(x - size)}" y="${fmt(y - size)}" width="${fmt(size * 2)}" height="${fmt(size * 2)}"${space}${attributes}/>`;
+        case 'triangle': {
+            const k = Math.sqrt(3);
+            const points = [
+                [x - size, y + size / k],
+                [x + size, y + size / k],
+                [x, y - size * 2 / k],
+            ].map(([px, py]) => `${fmt(px)},${fmt(py)}`).join(' ');
+            return `<polygon points="${points}"${space}${attributes}/>`;
+        }
+        case 'hexagon':
+            return getPolygon(Array.from({ length: 6 }, (_, i) =>
+                [x + size * Math.cos(i * Math.PI / 3), y + size * Math.sin(i * Math.PI / 3)]), space, attributes);
+        case 'star': {
+            // Alternate between the points and the inner corners, clockwise
+            // from the point at the top.
+            const count = (shape.points || STAR_DEFAULT_POINTS) * 2;
+            return getPolygon(Array.from({ length: count }, (_, i) => {
+                const r = i % 2 === 0 ? size : size * STAR_INNER_RATIO;
+                const angle = i * 2 * Math.PI / count;
+                return [x + r * Math.sin(angle), y - r * Math.cos(angle)];
+            }), space, attributes);
+        }
+        case 'rounded-square': {
+            const corner = size * ROUNDED_SQUARE_CORNER_RATIO;
+            return `<rect x="${fmt(x - size)}" y="${fmt(y - size)}" width="${fmt(size * 2)}" height="${fmt(size * 2)}" rx="${fmt(corner)}"${space}${attributes}/>`;
+        }
+        case 'ellipse':
+            return `<ellipse cx="${fmt(x)}" cy="${fmt(y)}" rx="${fmt(size)}" ry="${fmt(size * ELLIPSE_RATIO)}"${space}${attributes}/>`;
+        case 'ring': {
+            const circle = (/** @type {number} */ r) =>
+                `M${fmt(x - r)},${fmt(y)}A${fmt(r)},${fmt(r)} 0 1 0 ${fmt(x + r)},${fmt(y)}A${fmt(r)},${fmt(r)} 0 1 0 ${fmt(x - r)},${fmt(y)}Z`;
+            return `<path d="${circle(size)}${circle(size * RING_INNER_RATIO)}" fill-rule="evenodd" clip-rule="evenodd"${space}${attributes}/>`;
+        }
+        case 'cross': {
+            // Clockwise from the top-left corner of the top arm.
+            const a = size * CROSS_ARM_RATIO;
+            return getPolygon([
+                [-a, -size], [a, -size], [a, -a], [size, -a], [size, a], [a, a],
+                [a, size], [-a, size], [-a, a], [-size, a], [-size, -a], [-a, -a],
+            ].map(([dx, dy]) => [x + dx, y + dy]), space, attributes);
+        }
+        default:
+            throw RangeError(
+                `renderSvg() shape kind '${shape.kind}' is not implemented`);
+    }
+}
+
+/** #### Gets the SVG transform which rotates and scales a shape in place
+ * The shape is scaled along its own axes, then rotated clockwise, about its
+ * position. This matches the inverse transform in `drawPixels()`.
+ * @param {Outline} shape The shape to transform
+ * @param {boolean} inverse Whether to get the inverse transform instead,
+ *   which keeps a fill pattern's stripes lined up with the pixel grid
+ * @returns {string} The transform, or '' if the shape is not transformed
+ */
+function getShapeTransform(shape, inverse) {
+    const rotation = shape.rotation || 0;
+    const { x: scaleX, y: scaleY } = shape.scale || { x: 1, y: 1 };
+    if (rotation === 0 && scaleX === 1 && scaleY === 1) return '';
+    const { x, y } = shape.position;
+    const steps = inverse
+        ? [`scale(${fmt(1 / scaleX)} ${fmt(1 / scaleY)})`, `rotate(${fmt(-rotation)})`]
+        : [`rotate(${fmt(rotation)})`, `scale(${fmt(scaleX)} ${fmt(scaleY)})`];
+    return [
+        `translate(${fmt(x)} ${fmt(y)})`,
+        ...steps.filter((step) => step !== 'rotate(0)' && step !== 'scale(1 1)'),
+        `translate(${fmt(-x)} ${fmt(-y)})`,
+    ].join(' ');
+}
+
+/** #### Gets an SVG `<polygon>` element
+ * @param {number[][]} corners The [x, y] world coordinates of each corner
+ * @param {string} space A space before the attributes, or ''
+ * @param {string} attributes Extra attributes, eg `fill="red"`
+ * @returns {string} The `<polygon>` element
+ */
+function getPolygon(corners, space, attributes) {
+    const points = corners.map(([px, py]) => `${fmt(px)},${fmt(py)}`).join(' ');
+    return `<polygon points="${points}"${space}${attributes}/>`;
+}
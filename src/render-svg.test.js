@@ -0,0 +1,213 @@
+import { throws, deepStrictEqual as eq } from 'node:assert/strict';
+import { renderSvg } from './render-svg.js';
+
+const xpx = 'renderSvg()';
+
+/**
+ * @typedef {import('./types.js').Background} Background
+ * @typedef {import('./types.js').Color} Color
+ * @typedef {import('./types.js').Shape} Shape
+ */
+
+/** @type {Color} */
+const validOrange = { red: 255, green: 165, blue: 0 };
+const validBlue = { red: 0, green: 0, blue: 255 };
+
+/** @type {Background} */
+const validBg = { ink: validOrange, paper: validBlue, pattern: 'breton' };
+
+/** @type {Shape} */
+const validShape = {
+    kind: 'circle',
+    size: 3,
+    position: { x: 0, y: 0 },
+    ink: validOrange,
+    paper: validBlue,
+    pattern: 'pinstripe',
+    strokeColor: { red: 255, green: 0, blue: 180 },
+    strokePosition: 'center',
+    strokeWidth: 2,
+};
+
+
+// Invalid arguments.
+
+// @ts-expect-error
+throws(() => renderSvg(), { message: /canvasWidth is type 'undefined' not 'number'/});
+throws(() => renderSvg(0, 10, validBg, []), { message: /canvasWidth must be an integer between 1 and 10000/});
+// @ts-expect-error
+throws(() => renderSvg(10, '10', validBg, []), { message: /canvasHeight is type 'string' not 'number'/});
+throws(() => renderSvg(10, 10001, validBg, []), { message: /canvasHeight must be an integer between 1 and 10000/});
+throws(() => renderSvg(10, 10, null, []), { message: /^renderSvg\(\) background is 'null' not a plain object/});
+throws(() => renderSvg(10, 10, validBg, null), { message: /shapes is null not an array/});
+throws(() => renderSvg(10, 10, validBg, [ { ...validShape, size: 0 } ]), { message: /shapes\[0\]\.size must be an integer between 1 and 100/});
+throws(() => renderSvg(10, 10, validBg, [], null), { name: 'TypeError', message: /^renderSvg\(\) options is 'null' not a plain object/});
+// @ts-expect-error
+throws(() => renderSvg(10, 10, validBg, [], { idPrefix: 7 }), { name: 'TypeError', message: /options\.idPrefix is type 'number' not 'string'/});
+throws(() => renderSvg(10, 10, validBg, [], { idPrefix: '' }), { name: 'RangeError', message: /options\.idPrefix must start with a letter or '_', and contain only letters, digits, '_' and '-'/});
+throws(() => renderSvg(10, 10, validBg, [], { idPrefix: '1st' }), { message: /options\.idPrefix must start with a letter or '_'/});
+throws(() => renderSvg(10, 10, validBg, [], { idPrefix: 'a"b' }), { message: /options\.idPrefix must start with a letter or '_'/});
+
+
+// Valid inputs.
+
+// Most tests give the IDs a fixed prefix, to keep them readable.
+const testIds = { idPrefix: 'test' };
+
+// Odd canvas sizes are allowed, and the world is 10 units across the smaller side.
+eq(renderSvg(15, 5, validBg, [], testIds), `
+<svg xmlns="http://www.w3.org/2000/svg" width="15" height="5" viewBox="-15 -5 30 10">
+<defs><pattern id="test-background-fill" patternUnits="userSpaceOnUse" x="-15" y="-5" width="2" height="4"><rect width="2" height="4" fill="#0000ff"/><rect width="2" height="2" fill="#ffa500"/></pattern></defs>
+<rect x="-15" y="-5" width="30" height="10" fill="url(#test-background-fill)"/>
+</svg>
+`.trim());
+
+// Each shape kind and stroke position.
+eq(renderSvg(10, 20, { ...validBg, pattern: 'pinstripe' }, [
+    validShape,
+    { ...validShape, kind: 'square', position: { x: -2, y: 4 }, strokePosition: 'inside' },
+    { ...validShape, kind: 'triangle', position: { x: 2, y: -4 }, strokePosition: 'outside' },
+    { ...validShape, size: 1, strokeWidth: 0 },
+], testIds), `
+<svg xmlns="http://www.w3.org/2000/svg" width="10" height="20" viewBox="-5 -10 10 20">
+<defs><pattern id="test-background-fill" patternUnits="userSpaceOnUse" x="-5" y="-10" width="2" height="1"><rect width="2" height="1" fill="#0000ff"/><rect width="1" height="1" fill="#ffa500"/></pattern><pattern id="test-shape-0-fill" patternUnits="userSpaceOnUse" x="-5" y="-10" width="2" height="1"><rect width="2" height="1" fill="#0000ff"/><rect width="1" height="1" fill="#ffa500"/></pattern><pattern id="test-shape-1-fill" patternUnits="userSpaceOnUse" x="-5" y="-10" width="2" height="1"><rect width="2" height="1" fill="#0000ff"/><rect width="1" height="1" fill="#ffa500"/></pattern><clipPath id="test-shape-1-clip"><rect x="-5" y="1" width="6" height="6"/></clipPath><pattern id="test-shape-2-fill" patternUnits="userSpaceOnUse" x="-5" y="-10" width="2" height="1"><rect width="2" height="1" fill="#0000ff"/><rect width="1" height="1" fill="#ffa500"/></pattern><pattern id="test-shape-3-fill" patternUnits="userSpaceOnUse" x="-5" y="-10" width="2" height="1"><rect width="2" height="1" fill="#0000ff"/><rect width="1" height="1" fill="#ffa500"/></pattern></defs>
+<rect x="-5" y="-10" width="10" height="20" fill="url(#test-background-fill)"/>
+<g><circle cx="0" cy="0" r="3" fill="url(#test-shape-0-fill)"/><circle cx="0" cy="0" r="3" fill="none" stroke="#ff00b4" stroke-width="2" stroke-linejoin="round"/></g>
+<g><rect x="-5" y="1" width="6" height="6" fill="url(#test-shape-1-fill)"/><rect x="-5" y="1" width="6" height="6" fill="none" stroke="#ff00b4" stroke-width="4" stroke-linejoin="round" clip-path="url(#test-shape-1-clip)"/></g>
+<g><polygon points="-1,-2.2679 5,-2.2679 2,-7.4641" fill="none" stroke="#ff00b4" stroke-width="4" stroke-linejoin="round"/><polygon points="-1,-2.2679 5,-2.2679 2,-7.4641" fill="url(#test-shape-2-fill)"/></g>
+<circle cx="0" cy="0" r="1" fill="url(#test-shape-3-fill)"/>
+</svg>
+`.trim());
+
+// The other shape kinds. The ring has a hole, so it uses the even-odd rule.
+eq(renderSvg(10, 20, { ...validBg, pattern: 'pinstripe' }, [
+    { ...validShape, kind: 'hexagon', size: 2, position: { x: -2, y: -6 }, strokeWidth: 0 },
+    { ...validShape, kind: 'star', size: 2, position: { x: 2, y: -6 }, strokeWidth: 0 },
+    { ...validShape, kind: 'star', points: 3, size: 2, position: { x: -2, y: -1 }, strokeWidth: 0 },
+    { ...validShape, kind: 'rounded-square', size: 3, position: { x: 2, y: -1 }, strokeWidth: 0 },
+    { ...validShape, kind: 'ellipse', size: 2, position: { x: -2, y: 4 }, strokeWidth: 0 },
+    { ...validShape, kind: 'ring', size: 2, position: { x: 2, y: 4 }, strokeWidth: 0 },
+    { ...validShape, kind: 'cross', size: 3, position: { x: 0, y: 7 }, strokeWidth: 0 },
+], testIds).split('\n').slice(3, -1), [
+    '<polygon points="0,-6 -1,-4.2679 -3,-4.2679 -4,-6 -3,-7.7321 -1,-7.7321" fill="url(#test-shape-0-fill)"/>',
+    '<polygon points="2,-8 2.4702,-6.6472 3.9021,-6.618 2.7608,-5.7528 3.1756,-4.382 2,-5.2 0.8244,-4.382 1.2392,-5.7528 0.0979,-6.618 1.5298,-6.6472" fill="url(#test-shape-1-fill)"/>',
+    '<polygon points="-2,-3 -1.3072,-1.4 -0.2679,0 -2,-0.2 -3.7321,0 -2.6928,-1.4" fill="url(#test-shape-2-fill)"/>',
+    '<rect x="-1" y="-4" width="6" height="6" rx="1" fill="url(#test-shape-3-fill)"/>',
+    '<ellipse cx="-2" cy="4" rx="2" ry="1.2" fill="url(#test-shape-4-fill)"/>',
+    '<path d="M0,4A2,2 0 1 0 4,4A2,2 0 1 0 0,4ZM1,4A1,1 0 1 0 3,4A1,1 0 1 0 1,4Z" fill-rule="evenodd" clip-rule="evenodd" fill="url(#test-shape-5-fill)"/>',
+    '<polygon points="-1,4 1,4 1,6 3,6 3,8 1,8 1,10 -1,10 -1,8 -3,8 -3,6 -1,6" fill="url(#test-shape-6-fill)"/>',
+]);
+
+// Rotated and scaled shapes are transformed about their position. Their fill
+// patterns are transformed back, so the stripes stay on the pixel grid, and
+// the clip path is in the stroke's already transformed user space.
+eq(renderSvg(10, 10, validBg, [
+    { ...validShape, kind: 'square', size: 2, position: { x: 1, y: -1 }, strokeWidth: 1, strokePosition: 'inside', rotation: 30, scale: { x: 2, y: 0.5 } },
+    { ...validShape, kind: 'triangle', size: 2, rotation: -90, strokeWidth: 0 },
+], testIds).split('\n').slice(1, -1), [
+    '<defs><pattern id="test-background-fill" patternUnits="userSpaceOnUse" x="-5" y="-5" width="1" height="2"><rect width="1" height="2" fill="#0000ff"/><rect width="1" height="1" fill="#ffa500"/></pattern>' +
+        '<pattern id="test-shape-0-fill" patternUnits="userSpaceOnUse" patternTransform="translate(1 -1) scale(0.5 2) rotate(-30) translate(-1 1)" x="-5" y="-5" width="2" height="1"><rect width="2" height="1" fill="#0000ff"/><rect width="1" height="1" fill="#ffa500"/></pattern>' +
+        '<clipPath id="test-shape-0-clip"><rect x="-1" y="-3" width="4" height="4"/></clipPath>' +
+        '<pattern id="test-shape-1-fill" patternUnits="userSpaceOnUse" patternTransform="translate(0 0) rotate(90) translate(0 0)" x="-5" y="-5" width="2" height="1"><rect width="2" height="1" fill="#0000ff"/><rect width="1" height="1" fill="#ffa500"/></pattern></defs>',
+    '<rect x="-5" y="-5" width="10" height="10" fill="url(#test-background-fill)"/>',
+    '<g><rect x="-1" y="-3" width="4" height="4" transform="translate(1 -1) rotate(30) scale(2 0.5) translate(-1 1)" fill="url(#test-shape-0-fill)"/>' +
+        '<rect x="-1" y="-3" width="4" height="4" transform="translate(1 -1) rotate(30) scale(2 0.5) translate(-1 1)" fill="none" stroke="#ff00b4" stroke-width="4" stroke-linejoin="round" clip-path="url(#test-shape-0-clip)"/></g>',
+    '<polygon points="-2,1.1547 2,1.1547 0,-2.3094" transform="translate(0 0) rotate(-90) translate(0 0)" fill="url(#test-shape-1-fill)"/>',
+]);
+
+// The other patterns are tiles of rectangles, polygons or circles, in pixels
+// or in world units. Gradients span the canvas or the shape's bounding box,
+// and a transformed shape's gradient is transformed back like a pattern.
+eq(renderSvg(10, 10, { ...validBg, pattern: 'checkerboard', stripeWidth: 0.5 }, [
+    { ...validShape, size: 2, strokeWidth: 0, pattern: 'diagonal' },
+    { ...validShape, size: 2, strokeWidth: 0, pattern: 'dots', stripeWidth: 2 },
+    { ...validShape, size: 2, strokeWidth: 0, pattern: 'dots' },
+    { ...validShape, size: 2, strokeWidth: 0, pattern: 'linear-gradient', position: { x: 1, y: 0 } },
+    { ...validShape, size: 2, strokeWidth: 0, pattern: 'radial-gradient', scale: { x: 2, y: 1 } },
+], testIds).split('\n')[1].split(/(?=<pattern|<linear|<radial|<\/defs)/), [
+    '<defs>',
+    '<pattern id="test-background-fill" patternUnits="userSpaceOnUse" x="-5" y="-5" width="1" height="1"><rect width="1" height="1" fill="#0000ff"/>' +
+        '<rect width="0.5" height="0.5" fill="#ffa500"/><rect x="0.5" y="0.5" width="0.5" height="0.5" fill="#ffa500"/></pattern>',
+    '<pattern id="test-shape-0-fill" patternUnits="userSpaceOnUse" x="-5" y="-5" width="4" height="4"><rect width="4" height="4" fill="#0000ff"/>' +
+        '<polygon points="0,0 2,0 0,2" fill="#ffa500"/><polygon points="4,0 4,2 2,4 0,4" fill="#ffa500"/></pattern>',
+    '<pattern id="test-shape-1-fill" patternUnits="userSpaceOnUse" x="-5" y="-5" width="4" height="4"><rect width="4" height="4" fill="#0000ff"/>' +
+        '<circle cx="1" cy="1" r="1" fill="#ffa500"/></pattern>',
+    '<pattern id="test-shape-2-fill" patternUnits="userSpaceOnUse" x="-5" y="-5" width="2" height="2"><rect width="2" height="2" fill="#0000ff"/>' +
+        '<rect width="1" height="1" fill="#ffa500"/></pattern>',
+    '<linearGradient id="test-shape-3-fill" gradientUnits="userSpaceOnUse" x1="0" y1="-2" x2="0" y2="2">' +
+        '<stop offset="0" stop-color="#ffa500"/><stop offset="1" stop-color="#0000ff"/></linearGradient>',
+    '<radialGradient id="test-shape-4-fill" gradientUnits="userSpaceOnUse" gradientTransform="translate(0 0) scale(0.5 1) translate(0 0)" cx="0" cy="0" r="4">' +
+        '<stop offset="0" stop-color="#ffa500"/><stop offset="1" stop-color="#0000ff"/></radialGradient>',
+    '</defs>',
+]);
+
+// Opacity and blend modes wrap the shape, with its fill and stroke, in a `<g>`.
+eq(renderSvg(10, 10, validBg, [
+    { ...validShape, opacity: 0.25, strokeWidth: 0 },
+    { ...validShape, blendMode: 'multiply' },
+    { ...validShape, opacity: 1, blendMode: 'normal', strokeWidth: 0 },
+], testIds).split('\n').slice(3, -1), [
+    '<g opacity="0.25"><circle cx="0" cy="0" r="3" fill="url(#test-shape-0-fill)"/></g>',
+    '<g style="mix-blend-mode:multiply"><g><circle cx="0" cy="0" r="3" fill="url(#test-shape-1-fill)"/>' +
+        '<circle cx="0" cy="0" r="3" fill="none" stroke="#ff00b4" stroke-width="2" stroke-linejoin="round"/></g></g>',
+    '<circle cx="0" cy="0" r="3" fill="url(#test-shape-2-fill)"/>',
+]);
+
+// Groups are painted through masks of their outlines. Subtractions and
+// intersections use masks of their children too. The stroke is the part of
+// the grown outline which is not covered by the fill's shrunk outline.
+/** @type {import('./types.js').Group} */
+const group = {
+    ...validShape,
+    kind: 'group',
+    operation: 'subtract',
+    position: { x: 1, y: 0 },
+    rotation: 90,
+    strokeWidth: 1,
+    children: [
+        { kind: 'square', size: 3, position: { x: 0, y: 0 } },
+        { kind: 'group', operation: 'intersect', position: { x: 0, y: 0 }, children: [
+            { kind: 'circle', size: 2, position: { x: -1, y: 0 } },
+            { kind: 'circle', size: 2, position: { x: 1, y: 0 } },
+        ] },
+    ],
+};
+const canvas = 'x="-5" y="-5" width="10" height="10"';
+const groupFill = 'patternUnits="userSpaceOnUse" x="-5" y="-5" width="2" height="1"><rect width="2" height="1" fill="#0000ff"/><rect width="1" height="1" fill="#ffa500"/></pattern>';
+eq(renderSvg(10, 10, validBg, [
+    group,
+    { ...group, operation: 'union', rotation: 0, strokeWidth: 0, children: group.children.slice(0, 1) },
+], testIds).split('\n').slice(1, -1), [
+    '<defs><pattern id="test-background-fill" patternUnits="userSpaceOnUse" x="-5" y="-5" width="1" height="2"><rect width="1" height="2" fill="#0000ff"/><rect width="1" height="1" fill="#ffa500"/></pattern>' +
+        `<pattern id="test-shape-0-fill" ${groupFill}` +
+        '<mask id="test-shape-0-1-mask-1"><circle cx="1" cy="0" r="2" fill="white"/></mask>' +
+        '<mask id="test-shape-0-1-mask-0"><circle cx="-1" cy="0" r="2" fill="white"/></mask>' +
+        '<mask id="test-shape-0-mask"><rect x="-3" y="-3" width="6" height="6" fill="white"/>' +
+            '<g mask="url(#test-shape-0-1-mask-0)"><g mask="url(#test-shape-0-1-mask-1)"><rect x="-3" y="-2" width="6" height="4" fill="black"/></g></g></mask>' +
+        '<g id="test-shape-0-outline"><g transform="translate(1 0) rotate(90)"><g mask="url(#test-shape-0-mask)"><rect x="-3" y="-3" width="6" height="6" fill="white"/></g></g></g>' +
+        `<filter id="test-shape-0-dilate" filterUnits="userSpaceOnUse" ${canvas}><feMorphology operator="dilate" radius="0.5"/></filter>` +
+        `<mask id="test-shape-0-dilate-mask" maskUnits="userSpaceOnUse" ${canvas}><use href="#test-shape-0-outline" filter="url(#test-shape-0-dilate)"/></mask>` +
+        `<filter id="test-shape-0-erode" filterUnits="userSpaceOnUse" ${canvas}><feMorphology operator="erode" radius="0.5"/></filter>` +
+        `<mask id="test-shape-0-erode-mask" maskUnits="userSpaceOnUse" ${canvas}><use href="#test-shape-0-outline" filter="url(#test-shape-0-erode)"/></mask>` +
+        `<pattern id="test-shape-1-fill" ${groupFill}` +
+        '<g id="test-shape-1-outline"><g transform="translate(1 0)"><rect x="-3" y="-3" width="6" height="6" fill="white"/></g></g>' +
+        `<mask id="test-shape-1-mask" maskUnits="userSpaceOnUse" ${canvas}><use href="#test-shape-1-outline"/></mask></defs>`,
+    `<rect ${canvas} fill="url(#test-background-fill)"/>`,
+    `<g><rect ${canvas} fill="#ff00b4" mask="url(#test-shape-0-dilate-mask)"/><rect ${canvas} fill="url(#test-shape-0-fill)" mask="url(#test-shape-0-erode-mask)"/></g>`,
+    `<rect ${canvas} fill="url(#test-shape-1-fill)" mask="url(#test-shape-1-mask)"/>`,
+]);
+
+// By default, IDs are prefixed with a hash of the arguments, so that SVGs of
+// different scenes can be inlined in one HTML document.
+/** @type {(svg: string) => string[]} */
+const getIds = (svg) => [...svg.matchAll(/ id="([^"]+)"/g)].map(([, id]) => id);
+const svgA = renderSvg(10, 10, validBg, [ validShape, group ]);
+const svgB = renderSvg(10, 10, validBg, [ { ...validShape, strokePosition: 'inside' }, group ]);
+eq(getIds(svgA).length, 11);
+eq(getIds(svgA).every((id) => /^svg-[0-9a-f]{8}-/.test(id)), true);
+eq(getIds(svgA).filter((id) => getIds(svgB).includes(id)), []);
+eq([...svgA.matchAll(/(?:url\(#|href="#)([^)"]+)/g)].every(([, id]) => getIds(svgA).includes(id)), true);
+eq(svgA, renderSvg(10, 10, validBg, [ validShape, group ]));
+eq(getIds(renderSvg(10, 10, validBg, [ validShape ], { idPrefix: '_a-1' })), [ '_a-1-background-fill', '_a-1-shape-0-fill' ]);
+
+console.log(`All ${xpx} tests passed!`);
@@ -0,0 +1,200 @@
+import {
+    isIntInRange,
+    validateBackground,
+    validateShape,
+} from './validate-args.js';
+import { formatColor } from './color.js';
+
+/**
+ * @typedef {import('./types.js').Background} Background
+ * @typedef {import('./types.js').Color} Color
+ * @typedef {import('./types.js').Group} Group
+ * @typedef {import('./types.js').Scene} Scene
+ * @typedef {import('./types.js').SceneDocument} SceneDocument
+ * @typedef {import('./types.js').SceneMigrations} SceneMigrations
+ * @typedef {import('./types.js').Shape} Shape
+ */
+
+/** The version of the scene documents which `sceneToDocument()` writes.
+ *  docs/scene-document-v1.schema.json describes version 1.
+ */
+export const SCENE_DOCUMENT_VERSION = 1;
+
+/** #### Upgrades scene documents which were saved with older versions
+ * Each migration is keyed by the version it upgrades from, and returns a
+ * document of the next version. When a change to the scene model means old
+ * documents no longer validate, bump SCENE_DOCUMENT_VERSION, publish a new
+ * schema, and add a migration here from the old version, so that documents
+ * saved before the change still load. Version 1 is the first, so there are
+ * none yet.
+ * @type {Readonly<SceneMigrations>}
+ */
+export const SCENE_MIGRATIONS = Object.freeze({});
+
+/** The names of the properties which hold colors, in backgrounds and shapes */
+const COLOR_KEYS = ['ink', 'paper', 'strokeColor'];
+
+/** #### Converts a scene to a versioned document, ready for `JSON.stringify()`
+ * The document is a deep copy, so changing it does not change the scene.
+ * @param {Background} background The scene's background
+ * @param {(Shape|Group)[]} shapes The scene's shapes and groups
+ * @returns {SceneDocument} The document, with a `version` property
+ */
+export const sceneToDocument = (background, shapes) => {
+    const xpx = 'sceneToDocument()';
+
+    // Validate the arguments.
+    validateBackground(background, xpx);
+    if (shapes === null) throw TypeError(
+        `${xpx} shapes is null not an array`);
+    if (!Array.isArray(shapes)) throw TypeError(
+        `${xpx} shapes is type '${typeof shapes}' not 'array'`);
+    shapes.forEach((shape, i) => validateShape(shape, xpx, i));
+
+    return JSON.parse(JSON.stringify({ version: SCENE_DOCUMENT_VERSION, background, shapes }));
+}
+
+/** #### Upgrades a scene document to the current version
+ * @param {SceneDocument} document The document, which may be of any version
+ *   up to SCENE_DOCUMENT_VERSION
+ * @param {string} xpx The name of the function (for error messages)
+ * @param {Readonly<SceneMigrations>} [migrations=SCENE_MIGRATIONS] The
+ *   migrations to apply, keyed by the version they upgrade from
+ * @returns {SceneDocument} The document, of version SCENE_DOCUMENT_VERSION
+ */
+export const migrateSceneDocument = (document, xpx, migrations = SCENE_MIGRATIONS) => {
+    if (document === null || Array.isArray(document)) throw TypeError(
+        `${xpx} document is '${document === null ? 'null' : 'array'}' not a plain object`);
+    if (typeof document !== 'object') throw TypeError(
+        `${xpx} document is type '${typeof document}' not 'object'`);
+    let upgraded = document;
+    while (upgraded.version !== SCENE_DOCUMENT_VERSION) {
+        const { version } = upgraded;
+        if (typeof version !== 'number') throw TypeError(
+            `${xpx} document.version is type '${typeof version}' not 'number'`);
+        if (!isIntInRange(version, 0, SCENE_DOCUMENT_VERSION)) throw RangeError(
+            `${xpx} document.version must be an integer between 0 and ${SCENE_DOCUMENT_VERSION}, ` +
+            `so it may have been saved by a newer version of illustrated-numbers`);
+        if (!Object.prototype.hasOwnProperty.call(migrations, version)) throw RangeError(
+            `${xpx} document.version ${version} can not be upgraded, there is no migration from it`);
+        upgraded = migrations[version](upgraded);
+        if (upgraded === null || typeof upgraded !== 'object' || upgraded.version !== version + 1) throw RangeError(
+            `${xpx} the migration from version ${version} did not return a version ${version + 1} document`);
+    }
+    return upgraded;
+}
+
+/** #### Converts a scene document back into a scene
+ * Documents saved with older versions are upgraded with SCENE_MIGRATIONS
+ * first. The scene is validated, like any scene passed to a renderer.
+ * @param {SceneDocument} document The document, eg from `JSON.parse()`
+ * @returns {Scene} A background and shapes, ready for `renderAnsi()`
+ */
+export const documentToScene = (document) =>
+    loadSceneDocument(document, 'documentToScene()');
+
+/** #### Converts a scene to a compact, URL-safe string
+ * The string starts with the document version and a dot, eg 'v1.', followed
+ * by the document as base64url JSON, with each color written as 6 hex digits.
+ * It only uses the characters A-Z, a-z, 0-9, '-', '_' and '.', so it can be
+ * put in a URL or a filename without escaping.
+ * @param {Background} background The scene's background
+ * @param {(Shape|Group)[]} shapes The scene's shapes and groups
+ * @returns {string} The compact string
+ */
+export const sceneToString = (background, shapes) => {
+    const xpx = 'sceneToString()';
+
+    // Validate the arguments.
+    validateBackground(background, xpx);
+    if (shapes === null) throw TypeError(
+        `${xpx} shapes is null not an array`);
+    if (!Array.isArray(shapes)) throw TypeError(
+        `${xpx} shapes is type '${typeof shapes}' not 'array'`);
+    shapes.forEach((shape, i) => validateShape(shape, xpx, i));
+
+    const json = JSON.stringify([background, ...shapes], (key, value) =>
+        COLOR_KEYS.indexOf(key) !== -1 ? formatColor(value).slice(1) : value);
+    return `v${SCENE_DOCUMENT_VERSION}.${toBase64Url(json)}`;
+}
+
+/** #### Converts a compact string back into a scene
+ * Strings saved with older versions are upgraded, as in `documentToScene()`.
+ * @param {string} text The string, as returned by `sceneToString()`
+ * @returns {Scene} A background and shapes, ready for `renderAnsi()`
+ */
+export const stringToScene = (text) => {
+    const xpx = 'stringToScene()';
+
+    // Validate the argument, and split it into its version and body.
+    if (typeof text !== 'string') throw TypeError(
+        `${xpx} text is type '${typeof text}' not 'string'`);
+    const match = text.trim().match(/^v(\d+)\.([A-Za-z0-9_-]+)$/);
+    if (!match) throw RangeError(
+        `${xpx} text must be 'v', a version number, '.' and base64url characters`);
+
+    /** @type {unknown} */
+    let items;
+    try {
+        items = JSON.parse(fromBase64Url(match[2]), (key, value) =>
+            COLOR_KEYS.indexOf(key) !== -1 && typeof value === 'string' ? fromHex(value) : value);
+    } catch {
+        throw RangeError(`${xpx} text does not contain a valid scene`);
+    }
+    if (!Array.isArray(items) || items.length === 0) throw RangeError(
+        `${xpx} text does not contain a valid scene`);
+    const [background, ...shapes] = items;
+
+    return loadSceneDocument({ version: Number(match[1]), background, shapes }, xpx);
+}
+
+/** #### Upgrades and validates a scene document, and copies its scene
+ * @param {SceneDocument} document The document, which may be of any version
+ * @param {string} xpx The name of the function (for error messages)
+ * @returns {Scene} A deep copy of the document's background and shapes
+ */
+const loadSceneDocument = (document, xpx) => {
+    const { background, shapes } = migrateSceneDocument(document, xpx);
+    validateBackground(background, xpx);
+    if (shapes === null) throw TypeError(
+        `${xpx} shapes is null not an array`);
+    if (!Array.isArray(shapes)) throw TypeError(
+        `${xpx} shapes is type '${typeof shapes}' not 'array'`);
+    shapes.forEach((shape, i) => validateShape(shape, xpx, i));
+    return JSON.parse(JSON.stringify({ background, shapes }));
+}
+
+/** #### Parses 6 hex digits into a color
+ * @param {string} hex The hex digits, eg 'ff8800'
+ * @returns {Color} The color
+ */
+const fromHex = (hex) => {
+    if (!/^[0-9a-f]{6}$/.test(hex)) throw RangeError(`'${hex}' is not 6 hex digits`);
+    return {
+        red: parseInt(hex.slice(0, 2), 16),
+        green: parseInt(hex.slice(2, 4), 16),
+        blue: parseInt(hex.slice(4, 6), 16),
+    };
+}
+
+/** #### Encodes text as base64url, without padding
+ * Uses `btoa()`, which browsers and Node.js both have, on the UTF-8 bytes.
+ * @param {string} text The text to encode
+ * @returns {string} The base64url characters
+ */
+const toBase64Url = (text) => {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/** #### Decodes base64url, with or without padding, as UTF-8 text
+ * @param {string} base64url The base64url characters
+ * @returns {string} The text
+ */
+const fromBase64Url = (base64url) => {
+    const binary = atob(base64url.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+}
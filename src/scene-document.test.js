@@ -0,0 +1,167 @@
+import { readFileSync } from 'node:fs';
+import { throws, deepStrictEqual as eq } from 'node:assert/strict';
+import { encodeIntegerToScene } from './encode-integer.js';
+import {
+    SCENE_DOCUMENT_VERSION,
+    SCENE_MIGRATIONS,
+    documentToScene,
+    migrateSceneDocument,
+    sceneToDocument,
+    sceneToString,
+    stringToScene,
+} from './scene-document.js';
+import {
+    BLEND_MODES,
+    GROUP_OPERATIONS,
+    PATTERNS,
+    SHAPE_KINDS,
+} from './validate-args.js';
+
+const xpx = 'scene-document.js';
+
+/**
+ * @typedef {import('./types.js').Background} Background
+ * @typedef {import('./types.js').Group} Group
+ * @typedef {import('./types.js').SceneDocument} SceneDocument
+ * @typedef {import('./types.js').Shape} Shape
+ */
+
+const { background: validBg, shapes: validShapes } = encodeIntegerToScene(123456789);
+
+/** @type {Group} */
+const validGroup = {
+    ...validShapes[0],
+    kind: 'group',
+    operation: 'smooth-union',
+    smoothness: 0.5,
+    rotation: 30,
+    opacity: 0.5,
+    blendMode: 'multiply',
+    children: [
+        { kind: 'star', points: 6, size: 3, position: { x: 0, y: 0 } },
+        { kind: 'group', operation: 'subtract', position: { x: 2, y: 1 }, children: [
+            { kind: 'circle', size: 2, position: { x: 0, y: 0 }, scale: { x: 1, y: 0.5 } },
+        ] },
+    ],
+};
+/** @type {Background} */
+const stripedBg = { ...validBg, pattern: 'diagonal', stripeWidth: 0.5 };
+
+
+// sceneToDocument() and documentToScene().
+
+throws(() => sceneToDocument(null, validShapes), { message: /^sceneToDocument\(\) background is 'null' not a plain object/});
+throws(() => sceneToDocument(validBg, null), { message: /shapes is null not an array/});
+throws(() => sceneToDocument(validBg, [ { ...validShapes[0], size: 0 } ]), { message: /shapes\[0\]\.size must be an integer between 1 and 100/});
+throws(() => documentToScene(null), { message: /^documentToScene\(\) document is 'null' not a plain object/});
+// @ts-expect-error
+throws(() => documentToScene('{}'), { message: /document is type 'string' not 'object'/});
+// @ts-expect-error
+throws(() => documentToScene({ background: validBg, shapes: [] }), { message: /document\.version is type 'undefined' not 'number'/});
+throws(() => documentToScene({ version: 2, background: validBg, shapes: [] }), { message: /document\.version must be an integer between 0 and 1, so it may have been saved by a newer version/});
+throws(() => documentToScene({ version: 0, background: validBg, shapes: [] }), { message: /document\.version 0 can not be upgraded, there is no migration from it/});
+// @ts-expect-error
+throws(() => documentToScene({ version: 1, background: validBg, shapes: [ { ...validShapes[0], kind: 'oblong' } ] }), { message: /shapes\[0\]\.kind must be one of/});
+// @ts-expect-error
+throws(() => documentToScene({ version: 1, background: validBg }), { message: /shapes is type 'undefined' not 'array'/});
+
+// Documents are versioned deep copies, which survive a JSON round trip.
+const document = sceneToDocument(stripedBg, [ ...validShapes, validGroup ]);
+eq(document.version, SCENE_DOCUMENT_VERSION);
+eq(document, { version: 1, background: stripedBg, shapes: [ ...validShapes, validGroup ] });
+document.background.ink.red = 99;
+eq(validBg.ink.red, 0);
+eq(documentToScene(JSON.parse(JSON.stringify(sceneToDocument(stripedBg, [ ...validShapes, validGroup ])))),
+    { background: stripedBg, shapes: [ ...validShapes, validGroup ] });
+
+
+// Migrations.
+
+eq(SCENE_MIGRATIONS, {});
+
+// A pretend version 0, where colors were arrays, upgrades to version 1.
+/** @type {(color: any) => import('./types.js').Color} */
+const fromArray = ([ red, green, blue ]) => ({ red, green, blue });
+/** @type {import('./types.js').SceneMigrations} */
+const migrations = {
+    0: ({ background, shapes }) => ({
+        version: 1,
+        background: { ...background, ink: fromArray(background.ink), paper: fromArray(background.paper) },
+        shapes,
+    }),
+};
+const v0 = /** @type {any} */ ({ version: 0, background: { ...validBg, ink: [ 1, 2, 3 ], paper: [ 4, 5, 6 ] }, shapes: [] });
+eq(migrateSceneDocument(v0, xpx, migrations).background.paper, { red: 4, green: 5, blue: 6 });
+eq(migrateSceneDocument(sceneToDocument(validBg, []), xpx, migrations), sceneToDocument(validBg, []));
+throws(() => migrateSceneDocument(v0, xpx, { 0: (doc) => doc }), { message: /the migration from version 0 did not return a version 1 document/});
+
+
+// sceneToString() and stringToScene().
+
+throws(() => sceneToString(validBg, [ { ...validShapes[0], opacity: 2 } ]), { message: /^sceneToString\(\) shapes\[0\]\.opacity must be a number between 0 and 1/});
+// @ts-expect-error
+throws(() => stringToScene(1), { message: /^stringToScene\(\) text is type 'number' not 'string'/});
+throws(() => stringToScene('1.abc'), { message: /text must be 'v', a version number, '\.' and base64url characters/});
+throws(() => stringToScene('v1.abc+/'), { message: /text must be 'v', a version number, '\.' and base64url characters/});
+throws(() => stringToScene('v1.a'), { message: /text does not contain a valid scene/});
+throws(() => stringToScene('v1.e30'), { message: /text does not contain a valid scene/}); // {}
+throws(() => stringToScene('v2.W10'), { message: /text does not contain a valid scene/}); // []
+throws(() => stringToScene('v2.W3t9XQ'), { message: /^stringToScene\(\) document\.version must be an integer between 0 and 1/}); // [{}]
+throws(() => stringToScene('v1.W3t9XQ'), { message: /^stringToScene\(\) background\.ink is not a valid color/});
+
+// Strings are URL-safe, shorter than JSON in a URL, and survive a round trip.
+const text = sceneToString(stripedBg, [ ...validShapes, validGroup ]);
+eq(/^v1\.[A-Za-z0-9_-]+$/.test(text), true);
+eq(encodeURIComponent(text), text);
+eq(text.length < encodeURIComponent(JSON.stringify(document)).length, true);
+eq(stringToScene(text), { background: stripedBg, shapes: [ ...validShapes, validGroup ] });
+eq(stringToScene(` ${sceneToString(validBg, [])}\n`), { background: validBg, shapes: [] });
+for (let n = 0; n < 2 ** 32; n += 999999937) {
+    const { background, shapes } = encodeIntegerToScene(n, { alphabet: 'extended', palette: 'colorblind-safe' });
+    eq(stringToScene(sceneToString(background, shapes)), { background, shapes });
+}
+
+
+// The JSON Schema lists the same kinds, patterns and options as validate-args.js.
+
+const schema = JSON.parse(readFileSync(new URL('../docs/scene-document-v1.schema.json', import.meta.url), 'utf8'));
+const defs = schema.$defs;
+eq(schema.properties.version, { const: SCENE_DOCUMENT_VERSION });
+eq(defs.outline.properties.kind.enum, SHAPE_KINDS);
+eq(defs.fill.properties.pattern.enum, PATTERNS);
+eq(defs.paint.properties.blendMode.enum, BLEND_MODES);
+eq(defs.groupOutline.properties.operation.enum, GROUP_OPERATIONS);
+
+// Each range in the schema is the edge of what the validators accept.
+/** @type {[string, (value: number) => Shape|Group|Background][]} */
+const ranges = [
+    ['color.red', (red) => ({ ...validBg, ink: { ...validBg.ink, red } })],
+    ['fill.stripeWidth', (stripeWidth) => ({ ...validBg, stripeWidth })],
+    ['position.x', (x) => ({ ...validShapes[0], position: { x, y: 0 } })],
+    ['transform.rotation', (rotation) => ({ ...validShapes[0], rotation })],
+    ['transform.scale.x', (x) => ({ ...validShapes[0], scale: { x, y: 1 } })],
+    ['outline.points', (points) => ({ ...validShapes[0], kind: 'star', points })],
+    ['outline.size', (size) => ({ ...validShapes[0], size })],
+    ['groupOutline.smoothness', (smoothness) => ({ ...validGroup, smoothness })],
+    ['paint.strokeWidth', (strokeWidth) => ({ ...validShapes[0], strokeWidth })],
+    ['paint.opacity', (opacity) => ({ ...validShapes[0], opacity })],
+];
+for (const [path, make] of ranges) {
+    const [def, ...props] = path.split('.');
+    const range = props.reduce((node, prop) => node.properties[prop], defs[def]);
+    /** @type {(value: number) => SceneDocument} */
+    const toDocument = (value) => {
+        const item = make(value);
+        return 'kind' in item
+            ? { version: 1, background: validBg, shapes: [ /** @type {Shape|Group} */ (item) ] }
+            : { version: 1, background: /** @type {Background} */ (item), shapes: [] };
+    };
+    const step = range.type === 'integer' ? 1 : 0.001;
+    documentToScene(toDocument(range.minimum));
+    documentToScene(toDocument(range.maximum));
+    throws(() => documentToScene(toDocument(range.minimum - step)), RangeError, path);
+    throws(() => documentToScene(toDocument(range.maximum + step)), RangeError, path);
+}
+eq(defs.groupOutline.properties.children.maxItems, 16);
+
+console.log(`All ${xpx} tests passed!`);
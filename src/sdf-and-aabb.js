@@ -3,6 +3,58 @@
  * Exported as named constants so they can be imported where needed.
  */
 
+/**
+ * The parts of a shape which its bounding box depends on.
+ * @typedef {{
+ *    position: { x: number, y: number },
+ *    size: number,
+ *    points?: number,
+ *    rotation?: number,
+ *    scale?: { x: number, y: number },
+ * }} BoxShape
+ */
+
+/** #### Turns a box around an untransformed shape into a world-space AABB
+ * The SDFs are evaluated in the shape's own space, which is scaled by
+ * `shape.scale`, then rotated clockwise by `shape.rotation` degrees, then
+ * moved to `shape.position`. The box's corners are transformed the same
+ * way, and the result is the smallest axis-aligned box around them.
+ *
+ * `expand` is measured in world units, but a scaled SDF's distances are
+ * only accurate along its smaller axis (see `drawPixels()`), so the local
+ * box is expanded by `expand / min(scale.x, scale.y)` before it is scaled.
+ * @param {Pick<BoxShape, 'position'|'rotation'|'scale'>} shape The shape or group,
+ *   for its position, rotation and scale
+ * @param {number} minX The left edge of the box, relative to the shape's position
+ * @param {number} maxX The right edge of the box
+ * @param {number} minY The top edge of the box
+ * @param {number} maxY The bottom edge of the box
+ * @param {number} expand Amount to expand the box (world units), e.g. aaRegion
+ * @returns {{minX:number,maxX:number,minY:number,maxY:number}}
+ */
+const toWorldBox = (shape, minX, maxX, minY, maxY, expand) => {
+    const cx = shape.position.x;
+    const cy = shape.position.y;
+    const { x: sx, y: sy } = shape.scale || { x: 1, y: 1 };
+    const localExpand = expand / Math.min(sx, sy);
+    const x0 = (minX - localExpand) * sx;
+    const x1 = (maxX + localExpand) * sx;
+    const y0 = (minY - localExpand) * sy;
+    const y1 = (maxY + localExpand) * sy;
+    const angle = (shape.rotation || 0) * Math.PI / 180;
+    if (angle === 0) return { minX: cx + x0, maxX: cx + x1, minY: cy + y0, maxY: cy + y1 };
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const xs = [x0 * cos - y0 * sin, x1 * cos - y0 * sin, x0 * cos - y1 * sin, x1 * cos - y1 * sin];
+    const ys = [x0 * sin + y0 * cos, x1 * sin + y0 * cos, x0 * sin + y1 * cos, x1 * sin + y1 * cos];
+    return {
+        minX: cx + Math.min(...xs),
+        maxX: cx + Math.max(...xs),
+        minY: cy + Math.min(...ys),
+        maxY: cy + Math.max(...ys),
+    };
+};
+
 /** #### SDF for a circle
  * @param {number} px
  * @param {number} py
@@ -12,15 +64,13 @@
 export const sdfCircle = (px, py, radius) => Math.sqrt(px * px + py * py) - radius;
 
 /** #### Axis-aligned bounding box for a circle
- * @param {{position:{x:number,y:number},size:number}} shape
+ * @param {BoxShape} shape
  * @param {number} expand Amount to expand the box (world units), e.g. aaRegion
  * @returns {{minX:number,maxX:number,minY:number,maxY:number}}
  */
 export const aabbCircle = (shape, expand) => {
-    const cx = shape.position.x;
-    const cy = shape.position.y;
-    const r = Math.abs(shape.size) + expand;
-    return { minX: cx - r, maxX: cx + r, minY: cy - r, maxY: cy + r };
+    const r = Math.abs(shape.size);
+    return toWorldBox(shape, -r, r, -r, r, expand);
 };
 
 
@@ -41,16 +91,13 @@ export const sdfSquare = (px, py, halfSize) => {
 };
 
 /** #### Axis-aligned bounding box for a square
- * @param {{position:{x:number,y:number},size:number}} shape
+ * @param {BoxShape} shape
  * @param {number} expand Amount to expand the box (world units), e.g. aaRegion
  * @returns {{minX:number,maxX:number,minY:number,maxY:number}}
  */
 export const aabbSquare = (shape, expand) => {
-    const cx = shape.position.x;
-    const cy = shape.position.y;
-    const hx = Math.abs(shape.size) + expand;
-    const hy = Math.abs(shape.size) + expand;
-    return { minX: cx - hx, maxX: cx + hx, minY: cy - hy, maxY: cy + hy };
+    const h = Math.abs(shape.size);
+    return toWorldBox(shape, -h, h, -h, h, expand);
 };
 
 
@@ -85,14 +132,316 @@ export const sdfTriangle = (px, py, r) => {
 
 /** #### Axis-aligned bounding box for an equilateral triangle
  * Conservative AABB for an equilateral triangle centred at the origin.
- * @param {{position:{x:number,y:number},size:number}} shape
+ * @param {BoxShape} shape
  * @param {number} expand Amount to expand the box (world units), e.g. aaRegion
  * @returns {{minX:number,maxX:number,minY:number,maxY:number}}
  */
 export const aabbTriangle = (shape, expand) => {
-    const cx = shape.position.x;
-    const cy = shape.position.y;
-    const hx = Math.abs(shape.size) + expand;
-    const hy = Math.abs(shape.size) * 1.2 + expand; // slightly conservative
-    return { minX: cx - hx, maxX: cx + hx, minY: cy - hy, maxY: cy + hy };
+    const hx = Math.abs(shape.size);
+    const hy = Math.abs(shape.size) * 1.2; // slightly conservative
+    return toWorldBox(shape, -hx, hx, -hy, hy, expand);
+};
+
+
+// The proportions of the shapes whose outline is not set by `size` alone.
+// Renderers which do not use SDFs, like `renderSvg()`, use these too.
+
+/** An ellipse's vertical radius, as a fraction of its horizontal radius */
+export const ELLIPSE_RATIO = 0.6;
+
+/** A ring's inner radius, as a fraction of its outer radius */
+export const RING_INNER_RATIO = 0.5;
+
+/** Half the width of a cross's arms, as a fraction of its half-size */
+export const CROSS_ARM_RATIO = 1 / 3;
+
+/** The radius of a rounded square's corners, as a fraction of its half-size */
+export const ROUNDED_SQUARE_CORNER_RATIO = 1 / 3;
+
+/** The radius of a star's inner corners, as a fraction of its outer radius */
+export const STAR_INNER_RATIO = 0.4;
+
+/** The number of points a star has, if its shape does not say */
+export const STAR_DEFAULT_POINTS = 5;
+
+
+/** #### SDF for a regular hexagon, with flat top and bottom edges
+ * @param {number} px
+ * @param {number} py
+ * @param {number} radius The distance from the centre to each corner
+ * @returns {number}
+ */
+export const sdfHexagon = (px, py, radius) => {
+    // Fold the point into one sixth of the hexagon, then measure the
+    // distance to its top edge, which is `apothem` above the centre.
+    const kx = -Math.sqrt(3) / 2;
+    const ky = 0.5;
+    const apothem = radius * Math.sqrt(3) / 2;
+    let x = Math.abs(px);
+    let y = Math.abs(py);
+    const fold = 2 * Math.min(kx * x + ky * y, 0);
+    x -= fold * kx;
+    y -= fold * ky;
+    x -= Math.min(Math.max(x, -radius / 2), radius / 2);
+    y -= apothem;
+    return Math.sqrt(x * x + y * y) * Math.sign(y);
+};
+
+/** #### Axis-aligned bounding box for a regular hexagon
+ * @param {BoxShape} shape
+ * @param {number} expand Amount to expand the box (world units), e.g. aaRegion
+ * @returns {{minX:number,maxX:number,minY:number,maxY:number}}
+ */
+export const aabbHexagon = (shape, expand) => {
+    const hx = Math.abs(shape.size);
+    const hy = Math.abs(shape.size) * Math.sqrt(3) / 2;
+    return toWorldBox(shape, -hx, hx, -hy, hy, expand);
+};
+
+
+/** #### SDF for a star, with one point straight up
+ * @param {number} px
+ * @param {number} py
+ * @param {number} radius The distance from the centre to each point
+ * @param {number} [points=STAR_DEFAULT_POINTS] The number of points
+ * @returns {number}
+ */
+export const sdfStar = (px, py, radius, points = STAR_DEFAULT_POINTS) => {
+    // As for the triangle, invert py so that up is positive.
+    py = -py;
+    // Fold the point into the wedge between a point and an inner corner. `an`
+    // is half the angle between points, and `en` is the angle of the edge.
+    const an = Math.PI / points;
+    const en = Math.atan2(Math.sin(an), Math.cos(an) - STAR_INNER_RATIO);
+    const wedge = 2 * an;
+    const angle = ((Math.atan2(px, py) % wedge) + wedge) % wedge - an;
+    const length = Math.sqrt(px * px + py * py);
+    let x = length * Math.cos(angle) - radius * Math.cos(an);
+    let y = length * Math.abs(Math.sin(angle)) - radius * Math.sin(an);
+    const ex = Math.cos(en);
+    const ey = Math.sin(en);
+    const t = Math.min(Math.max(-(x * ex + y * ey), 0), radius * Math.sin(an) / ey);
+    x += ex * t;
+    y += ey * t;
+    return Math.sqrt(x * x + y * y) * Math.sign(x);
+};
+
+/** #### Axis-aligned bounding box for a star
+ * Fits the star's points, which may not reach as far as its radius in every
+ * direction. For example, a five-pointed star is shorter than it is wide.
+ * @param {BoxShape} shape
+ * @param {number} expand Amount to expand the box (world units), e.g. aaRegion
+ * @returns {{minX:number,maxX:number,minY:number,maxY:number}}
+ */
+export const aabbStar = (shape, expand) => {
+    const points = shape.points || STAR_DEFAULT_POINTS;
+    const r = Math.abs(shape.size);
+    let [minX, maxX, minY, maxY] = [0, 0, 0, 0];
+    for (let i = 0; i < points; i++) {
+        const angle = i * 2 * Math.PI / points;
+        const x = r * Math.sin(angle);
+        const y = -r * Math.cos(angle);
+        [minX, maxX] = [Math.min(minX, x), Math.max(maxX, x)];
+        [minY, maxY] = [Math.min(minY, y), Math.max(maxY, y)];
+    }
+    return toWorldBox(shape, minX, maxX, minY, maxY, expand);
+};
+
+
+/** #### SDF for an axis-aligned square with rounded corners
+ * @param {number} px
+ * @param {number} py
+ * @param {number} halfSize
+ * @returns {number}
+ */
+export const sdfRoundedSquare = (px, py, halfSize) => {
+    const corner = halfSize * ROUNDED_SQUARE_CORNER_RATIO;
+    return sdfSquare(px, py, halfSize - corner) - corner;
+};
+
+/** #### Axis-aligned bounding box for a rounded square
+ * The rounded corners are inside the square, so this is the square's box.
+ */
+export const aabbRoundedSquare = aabbSquare;
+
+
+/** #### SDF for an axis-aligned ellipse, wider than it is tall
+ * The distance is to the nearest point on the outline, which is found by
+ * walking along the outline's curvature a few times. Each step moves to a
+ * real point on the outline, so the distance is never less than the true
+ * distance, and a box grown by a stroke's width always holds the stroke.
+ * @param {number} px
+ * @param {number} py
+ * @param {number} radius The horizontal radius
+ * @returns {number}
+ */
+export const sdfEllipse = (px, py, radius) => {
+    const rx = radius;
+    const ry = radius * ELLIPSE_RATIO;
+    const ax = Math.abs(px);
+    const ay = Math.abs(py);
+
+    // Start at 45 degrees, and each time, find the centre of curvature of the
+    // current point, and move to where the line from it to the point being
+    // measured crosses the outline.
+    let tx = Math.SQRT1_2;
+    let ty = Math.SQRT1_2;
+    for (let i = 0; i < 4; i++) {
+        const ex = (rx * rx - ry * ry) * tx ** 3 / rx;
+        const ey = (ry * ry - rx * rx) * ty ** 3 / ry;
+        const r = Math.hypot(rx * tx - ex, ry * ty - ey);
+        const q = Math.hypot(ax - ex, ay - ey);
+        if (q === 0) break; // the point is the centre of curvature
+        tx = Math.min(1, Math.max(0, ((ax - ex) * r / q + ex) / rx));
+        ty = Math.min(1, Math.max(0, ((ay - ey) * r / q + ey) / ry));
+        const t = Math.hypot(tx, ty);
+        tx /= t;
+        ty /= t;
+    }
+
+    const distance = Math.hypot(ax - rx * tx, ay - ry * ty);
+    return (ax / rx) ** 2 + (ay / ry) ** 2 < 1 ? -distance : distance;
+};
+
+/** #### Axis-aligned bounding box for an ellipse
+ * @param {BoxShape} shape
+ * @param {number} expand Amount to expand the box (world units), e.g. aaRegion
+ * @returns {{minX:number,maxX:number,minY:number,maxY:number}}
+ */
+export const aabbEllipse = (shape, expand) => {
+    const hx = Math.abs(shape.size);
+    const hy = Math.abs(shape.size) * ELLIPSE_RATIO;
+    return toWorldBox(shape, -hx, hx, -hy, hy, expand);
+};
+
+
+/** #### SDF for a ring (an annulus)
+ * @param {number} px
+ * @param {number} py
+ * @param {number} radius The outer radius
+ * @returns {number}
+ */
+export const sdfRing = (px, py, radius) => {
+    const midRadius = radius * (1 + RING_INNER_RATIO) / 2;
+    const halfThickness = radius * (1 - RING_INNER_RATIO) / 2;
+    return Math.abs(sdfCircle(px, py, midRadius)) - halfThickness;
+};
+
+/** #### Axis-aligned bounding box for a ring
+ * The ring's outer edge is a circle, so this is the circle's box.
+ */
+export const aabbRing = aabbCircle;
+
+
+/** #### SDF for a plus-shaped cross
+ * @param {number} px
+ * @param {number} py
+ * @param {number} halfSize The distance from the centre to the end of each arm
+ * @returns {number}
+ */
+export const sdfCross = (px, py, halfSize) => {
+    // Fold the point into the half of one quadrant nearest the x axis.
+    const arm = halfSize * CROSS_ARM_RATIO;
+    let x = Math.abs(px);
+    let y = Math.abs(py);
+    if (y > x) [x, y] = [y, x];
+    const qx = x - halfSize;
+    const qy = y - arm;
+    const k = Math.max(qx, qy);
+    const [wx, wy] = k > 0 ? [qx, qy] : [arm - x, -k];
+    const ax = Math.max(wx, 0);
+    const ay = Math.max(wy, 0);
+    return Math.sign(k) * Math.sqrt(ax * ax + ay * ay);
+};
+
+/** #### Axis-aligned bounding box for a cross
+ * The ends of the arms touch the sides of the square's box.
+ */
+export const aabbCross = aabbSquare;
+
+
+/** #### Smooth minimum of two distances, for blending outlines together
+ * A polynomial smooth minimum: where the distances are within `smoothness`
+ * of each other, the result is pulled below both, which fills in the join
+ * between two outlines with a fillet. It is never more than `smoothness / 4`
+ * below the plain minimum.
+ * @param {number} a The first distance
+ * @param {number} b The second distance
+ * @param {number} smoothness The width of the blend (world units)
+ * @returns {number}
+ */
+export const smoothMin = (a, b, smoothness) => {
+    if (smoothness <= 0) return Math.min(a, b);
+    const h = Math.max(smoothness - Math.abs(a - b), 0) / smoothness;
+    return Math.min(a, b) - h * h * smoothness / 4;
+};
+
+/** The width of a smooth union's blend, if its group does not say */
+export const DEFAULT_SMOOTHNESS = 1;
+
+/** #### Axis-aligned bounding box for a group, derived from its children
+ * A union's box holds every child's box, and a smooth union's is a little
+ * larger, to hold the fillets. A subtraction can only remove from its first
+ * child, and an intersection can only be inside every child.
+ * @param {import('./types.js').GroupOutline} group
+ * @param {number} expand Amount to expand the box (world units), e.g. aaRegion
+ * @returns {{minX:number,maxX:number,minY:number,maxY:number}}
+ */
+export const aabbGroup = (group, expand) => {
+    // The children's boxes are relative to the group's position.
+    const boxes = group.children.map((child) => aabbOutline(child, 0));
+    let { minX, maxX, minY, maxY } = boxes[0];
+    if (group.operation === 'subtract') {
+        // Only the first child's box.
+    } else if (group.operation === 'intersect') {
+        for (const box of boxes) {
+            minX = Math.max(minX, box.minX);
+            maxX = Math.min(maxX, box.maxX);
+            minY = Math.max(minY, box.minY);
+            maxY = Math.min(maxY, box.maxY);
+        }
+    } else {
+        const blend = group.operation === 'smooth-union'
+            ? (typeof group.smoothness === 'number' ? group.smoothness : DEFAULT_SMOOTHNESS) / 4
+            : 0;
+        for (const box of boxes) {
+            minX = Math.min(minX, box.minX - blend);
+            maxX = Math.max(maxX, box.maxX + blend);
+            minY = Math.min(minY, box.minY - blend);
+            maxY = Math.max(maxY, box.maxY + blend);
+        }
+    }
+    return toWorldBox(group, minX, maxX, minY, maxY, expand);
+};
+
+/** #### Axis-aligned bounding box for any kind of shape, or a group
+ * @param {import('./types.js').Outline|import('./types.js').GroupOutline} outline
+ * @param {number} expand Amount to expand the box (world units), e.g. aaRegion
+ * @returns {{minX:number,maxX:number,minY:number,maxY:number}}
+ */
+export const aabbOutline = (outline, expand) => {
+    switch (outline.kind) {
+        case 'circle':
+            return aabbCircle(outline, expand);
+        case 'square':
+            return aabbSquare(outline, expand);
+        case 'triangle':
+            return aabbTriangle(outline, expand);
+        case 'hexagon':
+            return aabbHexagon(outline, expand);
+        case 'star':
+            return aabbStar(outline, expand);
+        case 'rounded-square':
+            return aabbRoundedSquare(outline, expand);
+        case 'ellipse':
+            return aabbEllipse(outline, expand);
+        case 'ring':
+            return aabbRing(outline, expand);
+        case 'cross':
+            return aabbCross(outline, expand);
+        case 'group':
+            return aabbGroup(outline, expand);
+        default:
+            return { minX: -1e6, maxX: 1e6, minY: -1e6, maxY: 1e6 };
+    }
 };
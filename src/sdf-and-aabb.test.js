@@ -0,0 +1,179 @@
+import { deepStrictEqual as eq } from 'node:assert/strict';
+import {
+    aabbCircle,
+    aabbCross,
+    aabbEllipse,
+    aabbGroup,
+    aabbHexagon,
+    aabbRing,
+    aabbRoundedSquare,
+    aabbStar,
+    aabbTriangle,
+    sdfCircle,
+    sdfCross,
+    sdfEllipse,
+    sdfHexagon,
+    sdfRing,
+    sdfRoundedSquare,
+    sdfStar,
+    sdfTriangle,
+    smoothMin,
+} from './sdf-and-aabb.js';
+
+const xpx = 'sdf-and-aabb.js';
+
+/** @type {(a: number, b: number) => boolean} */
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+
+// Distances are negative inside, zero on the outline and positive outside.
+
+// A hexagon has corners at its radius, on the x axis, and flat top and bottom edges.
+eq(near(sdfHexagon(0, 0, 2), -Math.sqrt(3)), true);
+eq(near(sdfHexagon(2, 0, 2), 0), true);
+eq(near(sdfHexagon(0, Math.sqrt(3), 2), 0), true);
+eq(near(sdfHexagon(0, -3, 2), 3 - Math.sqrt(3)), true);
+eq(near(sdfHexagon(3, 0, 2), 1), true);
+
+// A star has a point straight up (y is down), and inner corners at 40% of
+// its radius.
+eq(near(sdfStar(0, -2, 2), 0), true);
+eq(near(sdfStar(0, -3, 2), 1), true);
+eq(sdfStar(0, 0, 2) < 0, true);
+eq(near(sdfStar(0, 0.8, 2), 0), true); // an inner corner, straight down
+eq(sdfStar(0, 1.5, 2) > 0, true);
+eq(near(sdfStar(2 * Math.sin(Math.PI / 3), -2 * Math.cos(Math.PI / 3), 2, 6), 0), true);
+eq(sdfStar(0, 1.5, 2, 6) < 0, true); // a six-pointed star has a point straight down
+
+// A rounded square's edges are straight, but its corners are cut off.
+eq(near(sdfRoundedSquare(3, 0, 3), 0), true);
+eq(near(sdfRoundedSquare(0, -3, 3), 0), true);
+eq(sdfRoundedSquare(2.9, 2.9, 3) > 0, true);
+eq(near(sdfRoundedSquare(2 + Math.SQRT1_2, 2 + Math.SQRT1_2, 3), 0), true);
+
+// An ellipse is wider than it is tall.
+eq(near(sdfEllipse(5, 0, 5), 0), true);
+eq(near(sdfEllipse(0, 3, 5), 0), true);
+eq(near(sdfEllipse(0, 0, 5), -3), true);
+eq(sdfEllipse(0, 4, 5) > 0, true);
+
+// A ring's hole is outside it.
+eq(near(sdfRing(4, 0, 4), 0), true);
+eq(near(sdfRing(0, 2, 4), 0), true);
+eq(near(sdfRing(0, 3, 4), -1), true);
+eq(near(sdfRing(0, 0, 4), 2), true);
+
+// A cross has arms a third of its half-size wide, either side of the axes.
+eq(near(sdfCross(3, 0, 3), 0), true);
+eq(near(sdfCross(0, 3, 3), 0), true);
+eq(near(sdfCross(0, 0, 3), -Math.SQRT2), true); // the inner corners are nearest
+eq(near(sdfCross(2, 2, 3), 1), true);
+eq(near(sdfCross(3, 3, 3), 2), true);
+eq(near(sdfCross(2, 1, 3), 0), true);
+
+
+// Every point on or inside an outline is inside its bounding box.
+
+/** @type {[(px: number, py: number, size: number) => number, (shape: any, expand: number) => { minX: number, maxX: number, minY: number, maxY: number }, object][]} */
+const pairs = [
+    [sdfHexagon, aabbHexagon, {}],
+    [sdfStar, aabbStar, {}],
+    [(px, py, size) => sdfStar(px, py, size, 3), aabbStar, { points: 3 }],
+    [(px, py, size) => sdfStar(px, py, size, 12), aabbStar, { points: 12 }],
+    [sdfRoundedSquare, aabbRoundedSquare, {}],
+    [sdfEllipse, aabbEllipse, {}],
+    [sdfRing, aabbRing, {}],
+    [sdfCross, aabbCross, {}],
+];
+for (const [sdf, aabb, extra] of pairs) {
+    const shape = { position: { x: 1, y: -2 }, size: 3, ...extra };
+    const { minX, maxX, minY, maxY } = aabb(shape, 0.5);
+    for (let y = -5; y <= 5; y += 0.125) {
+        for (let x = -5; x <= 5; x += 0.125) {
+            if (sdf(x, y, 3) > 0.5) continue;
+            eq(x + 1 >= minX && x + 1 <= maxX && y - 2 >= minY && y - 2 <= maxY, true);
+        }
+    }
+}
+
+// Rotated and scaled boxes also hold every point of the transformed outline.
+// The point is transformed the same way as in `drawPixels()`.
+for (const [sdf, aabb] of /** @type {const} */ ([
+    [sdfTriangle, aabbTriangle],
+    [sdfCircle, aabbCircle],
+    [sdfCross, aabbCross],
+])) {
+    for (const { rotation, scale } of [
+        { rotation: 30, scale: { x: 1, y: 1 } },
+        { rotation: -135, scale: { x: 2, y: 0.5 } },
+        { rotation: 0, scale: { x: 0.5, y: 1.5 } },
+    ]) {
+        const shape = { position: { x: 1, y: -2 }, size: 2, rotation, scale };
+        const { minX, maxX, minY, maxY } = aabb(shape, 0.5);
+        const cos = Math.cos(rotation * Math.PI / 180);
+        const sin = Math.sin(rotation * Math.PI / 180);
+        for (let y = -8; y <= 8; y += 0.125) {
+            for (let x = -8; x <= 8; x += 0.125) {
+                const localX = (x * cos + y * sin) / scale.x;
+                const localY = (y * cos - x * sin) / scale.y;
+                if (sdf(localX, localY, 2) * Math.min(scale.x, scale.y) > 0.5) continue;
+                eq(x + 1 >= minX && x + 1 <= maxX && y - 2 >= minY && y - 2 <= maxY, true);
+            }
+        }
+    }
+}
+
+// An ellipse's box holds a thick outside stroke, even where the ellipse is
+// stretched out to be very long and thin, far from its axes.
+for (const scale of [ { x: 1, y: 1 }, { x: 10, y: 0.1 }, { x: 0.1, y: 5 } ]) {
+    const expand = 3;
+    const shape = { position: { x: 0, y: 0 }, size: 2, scale };
+    const { minX, maxX, minY, maxY } = aabbEllipse(shape, expand);
+    const distanceScale = Math.min(scale.x, scale.y);
+    for (let y = -40; y <= 40; y += 0.25) {
+        for (let x = -60; x <= 60; x += 0.25) {
+            if (sdfEllipse(x / scale.x, y / scale.y, 2) * distanceScale > expand) continue;
+            eq(x >= minX && x <= maxX && y >= minY && y <= maxY, true);
+        }
+    }
+}
+
+// Away from the axes, an ellipse's distances match a brute-force search of its outline.
+for (const [px, py] of [ [ 4, 4 ], [ 1, 2.5 ], [ -7, 0.5 ], [ 0.5, -6 ], [ 2, 1 ], [ -1, -0.5 ], [ 20, -30 ] ]) {
+    let nearest = Infinity;
+    for (let i = 0; i < 20000; i++) {
+        const angle = i / 20000 * 2 * Math.PI;
+        nearest = Math.min(nearest, Math.hypot(px - 5 * Math.cos(angle), py - 3 * Math.sin(angle)));
+    }
+    const inside = (px / 5) ** 2 + (py / 3) ** 2 < 1;
+    eq(Math.abs(sdfEllipse(px, py, 5) - (inside ? -nearest : nearest)) < 1e-3, true);
+}
+
+// A rotated square's box fits its corners, and a rotation of 0 changes nothing.
+const turnedBox = aabbCross({ position: { x: 0, y: 0 }, size: 1, rotation: 45 }, 0);
+eq(near(turnedBox.maxX, Math.SQRT2) && near(turnedBox.minY, -Math.SQRT2), true);
+eq(aabbCircle({ position: { x: 1, y: 2 }, size: 3, rotation: 0 }, 1), { minX: -3, maxX: 5, minY: -2, maxY: 6 });
+
+// A smooth minimum is the plain minimum where the distances are far apart,
+// and is pulled down by up to a quarter of the smoothness where they meet.
+eq(smoothMin(0, 5, 1), 0);
+eq(smoothMin(1, 1, 4), 0);
+eq(smoothMin(1, 2, 0), 1);
+eq(smoothMin(1, 1.5, 2) < 1 && smoothMin(1, 1.5, 2) > 0.5, true);
+
+// A group's box comes from its children's boxes, which are relative to the
+// group's position, and is then transformed like a shape's.
+/** @type {import('./types.js').Outline[]} */
+const children = [
+    { kind: 'square', size: 2, position: { x: -1, y: 0 } },
+    { kind: 'circle', size: 1, position: { x: 2, y: 1 } },
+];
+const position = { x: 10, y: 0 };
+eq(aabbGroup({ kind: 'group', operation: 'union', children, position }, 0), { minX: 7, maxX: 13, minY: -2, maxY: 2 });
+eq(aabbGroup({ kind: 'group', operation: 'smooth-union', children, position }, 0), { minX: 6.75, maxX: 13.25, minY: -2.25, maxY: 2.25 });
+eq(aabbGroup({ kind: 'group', operation: 'smooth-union', smoothness: 0, children, position }, 1), { minX: 6, maxX: 14, minY: -3, maxY: 3 });
+eq(aabbGroup({ kind: 'group', operation: 'subtract', children, position }, 0), { minX: 7, maxX: 11, minY: -2, maxY: 2 });
+eq(aabbGroup({ kind: 'group', operation: 'intersect', children, position }, 0), { minX: 11, maxX: 11, minY: 0, maxY: 2 });
+eq(aabbGroup({ kind: 'group', operation: 'subtract', children, position, scale: { x: 2, y: 1 } }, 0), { minX: 4, maxX: 12, minY: -2, maxY: 2 });
+
+console.log(`All ${xpx} tests passed!`);
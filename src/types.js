@@ -6,16 +6,30 @@
  * }} Color
  */
 
+/**
+ * @typedef {'half'
+ * | 'quadrant'
+ * | 'braille'
+ * } CellMode
+ */
+
 /**
  * @typedef {'truecolor'
  * | '256'
+ * | '16'
  * | 'monochrome'
+ * | 'auto'
  * } ColorDepth
  */
 
 /**
  * @typedef {'breton'
  * | 'pinstripe'
+ * | 'checkerboard'
+ * | 'diagonal'
+ * | 'dots'
+ * | 'linear-gradient'
+ * | 'radial-gradient'
  * } Pattern
  */
 
@@ -24,23 +38,253 @@
  *    ink: Color,
  *    paper: Color,
  *    pattern: Pattern,
+ *    stripeWidth?: number,
  * }} Background
  */
 
+/**
+ * @typedef {'normal'
+ * | 'multiply'
+ * | 'screen'
+ * | 'overlay'
+ * | 'difference'
+ * } BlendMode
+ */
+
+/**
+ * @typedef {'circle'
+ * | 'square'
+ * | 'triangle'
+ * | 'hexagon'
+ * | 'star'
+ * | 'rounded-square'
+ * | 'ellipse'
+ * | 'ring'
+ * | 'cross'
+ * } ShapeKind
+ */
+
 /**
  * @typedef {{
- *    kind: 'circle' | 'square' | 'triangle',
+ *    kind: ShapeKind,
+ *    points?: number,
+ *    rotation?: number,
+ *    scale?: { x: number, y: number },
  *    size: number,
  *    position: { x: number, y: number },
  *    ink: Color,
  *    paper: Color,
  *    pattern: Pattern,
+ *    stripeWidth?: number,
  *    strokeColor: Color,
  *    strokePosition: 'inside' | 'center' | 'outside',
  *    strokeWidth: number,
+ *    opacity?: number,
+ *    blendMode?: BlendMode,
  * }} Shape
  */
 
+/**
+ * @typedef {'union'
+ * | 'subtract'
+ * | 'intersect'
+ * | 'smooth-union'
+ * } GroupOperation
+ */
+
+/**
+ * The parts of a shape which set its outline, used as a group's children.
+ * @typedef {{
+ *    kind: ShapeKind,
+ *    points?: number,
+ *    rotation?: number,
+ *    scale?: { x: number, y: number },
+ *    size: number,
+ *    position: { x: number, y: number },
+ * }} Outline
+ */
+
+/**
+ * A group's outline, which can also be the child of another group.
+ * @typedef {{
+ *    kind: 'group',
+ *    operation: GroupOperation,
+ *    children: (Outline | GroupOutline)[],
+ *    smoothness?: number,
+ *    rotation?: number,
+ *    scale?: { x: number, y: number },
+ *    position: { x: number, y: number },
+ * }} GroupOutline
+ */
+
+/**
+ * Children combined into one outline, with one fill and one stroke.
+ * @typedef {GroupOutline & {
+ *    ink: Color,
+ *    paper: Color,
+ *    pattern: Pattern,
+ *    stripeWidth?: number,
+ *    strokeColor: Color,
+ *    strokePosition: 'inside' | 'center' | 'outside',
+ *    strokeWidth: number,
+ *    opacity?: number,
+ *    blendMode?: BlendMode,
+ * }} Group
+ */
+
+/**
+ * @typedef {{
+ *    background: Background,
+ *    shapes: Shape[],
+ * }} Scene
+ */
+
+/**
+ * @typedef {'invalid-type'
+ * | 'invalid-value'
+ * | 'out-of-range'
+ * | 'not-allowed'
+ * | 'too-deep'
+ * } ValidationCode
+ */
+
+/**
+ * One problem with a scene, as returned by `validateScene()`.
+ * @typedef {{
+ *    path: string,
+ *    code: ValidationCode,
+ *    expected: string,
+ *    actual: unknown,
+ *    message: string,
+ * }} ValidationProblem
+ */
+
+/**
+ * A scene, as saved or sent by `sceneToDocument()`.
+ * @typedef {{
+ *    version: number,
+ *    background: Background,
+ *    shapes: (Shape | Group)[],
+ * }} SceneDocument
+ */
+
+/**
+ * Upgrades for old scene documents, keyed by the version they upgrade from.
+ * @typedef {Record<number, (document: SceneDocument) => SceneDocument>} SceneMigrations
+ */
+
+/**
+ * @typedef {{
+ *    min?: number,
+ *    max?: number,
+ *    checksum?: boolean,
+ *    key?: string,
+ *    alphabet?: EncoderAlphabet,
+ *    palette?: EncoderPalette,
+ * }} EncodeOptions
+ */
+
+/**
+ * @typedef {{
+ *    min: number,
+ *    max: number,
+ *    checksum: boolean,
+ *    key: string|null,
+ *    alphabet: EncoderAlphabet,
+ *    palette: EncoderPalette,
+ * }} EncodeSettings
+ */
+
+/**
+ * @typedef {'classic' | 'extended'} EncoderAlphabet
+ */
+
+/**
+ * @typedef {'classic' | 'colorblind-safe'} EncoderPalette
+ */
+
+/**
+ * @typedef {{
+ *    name: string,
+ *    color: Color,
+ * }} NamedColor
+ */
+
+/**
+ * @typedef {'normal'
+ * | 'protanopia'
+ * | 'deuteranopia'
+ * | 'tritanopia'
+ * } ColorVision
+ */
+
+/**
+ * @typedef {{
+ *    first: string,
+ *    second: string,
+ *    vision: ColorVision,
+ *    difference: number,
+ * }} ColorProblem
+ */
+
+/**
+ * @typedef {'shape-first' | 'pixel-first'} RasterStrategy
+ */
+
+/**
+ * @typedef {'fast' | 'linear-light'} RasterQuality
+ */
+
+/**
+ * @typedef {{
+ *    strategy?: RasterStrategy,
+ *    quality?: RasterQuality,
+ *    supersample?: number,
+ * }} RasterOptions
+ */
+
+/**
+ * @typedef {{
+ *    strategy: RasterStrategy,
+ *    quality: RasterQuality,
+ *    supersample: number,
+ * }} RasterSettings
+ */
+
+/**
+ * @typedef {{
+ *    idPrefix?: string,
+ * }} SvgOptions
+ */
+
+/**
+ * @typedef {{
+ *    idPrefix: string|null,
+ * }} SvgSettings
+ */
+
+/**
+ * @typedef {{
+ *    scale?: number,
+ *    strategy?: RasterStrategy,
+ *    quality?: RasterQuality,
+ *    supersample?: number,
+ * }} PngOptions
+ */
+
+/**
+ * @typedef {'canvas' | 'svg'} ElementFormat
+ */
+
+/**
+ * @typedef {{
+ *    n: number,
+ *    size: number,
+ *    format: ElementFormat,
+ *    options: EncodeOptions,
+ * }} ElementSettings
+ */
+
 // A standard Color object, with red, green and blue (no alpha) between 0 and 255.
 //
 // A float between 0 and 10. Not in world-units — it does not scale with the canvas size. Instead this is in pixel units — it behaves similarly to the textures.
\ No newline at end of file
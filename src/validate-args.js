@@ -3,8 +3,81 @@
  * @typedef {import('./types.js').Color} Color
  * @typedef {import('./types.js').Pattern} Pattern
  * @typedef {import('./types.js').Shape} Shape
+ * @typedef {import('./types.js').ValidationCode} ValidationCode
+ * @typedef {import('./types.js').ValidationProblem} ValidationProblem
  */
 
+/** Every kind of shape that the renderers can draw
+ * @type {readonly import('./types.js').ShapeKind[]}
+ */
+export const SHAPE_KINDS = Object.freeze([
+    'circle',
+    'square',
+    'triangle',
+    'hexagon',
+    'star',
+    'rounded-square',
+    'ellipse',
+    'ring',
+    'cross',
+]);
+
+/** Every pattern that a background or shape can be filled with
+ * @type {readonly Pattern[]}
+ */
+export const PATTERNS = Object.freeze([
+    'breton',
+    'pinstripe',
+    'checkerboard',
+    'diagonal',
+    'dots',
+    'linear-gradient',
+    'radial-gradient',
+]);
+
+/** Every way that a shape can be blended with the shapes beneath it
+ * @type {readonly import('./types.js').BlendMode[]}
+ */
+export const BLEND_MODES = Object.freeze([
+    'normal',
+    'multiply',
+    'screen',
+    'overlay',
+    'difference',
+]);
+
+/** Every way that a group can combine its children's outlines
+ * @type {readonly import('./types.js').GroupOperation[]}
+ */
+export const GROUP_OPERATIONS = Object.freeze([
+    'union',
+    'subtract',
+    'intersect',
+    'smooth-union',
+]);
+
+/** The ways that the pixel pipeline can loop over shapes and pixels
+ * @type {readonly import('./types.js').RasterStrategy[]}
+ */
+export const RASTER_STRATEGIES = Object.freeze([
+    'shape-first',
+    'pixel-first',
+]);
+
+/** The ways that the pixel pipeline can mix colors
+ * @type {readonly import('./types.js').RasterQuality[]}
+ */
+export const RASTER_QUALITIES = Object.freeze([
+    'fast',
+    'linear-light',
+]);
+
+/** The most children a group can have */
+const MAX_GROUP_CHILDREN = 16;
+
+/** The most groups that a shape can be nested inside */
+const MAX_GROUP_DEPTH = 8;
+
 /** #### Checks if a number is an integer within a specified range
  * - Note that `Number.isInteger(NaN)` immediately returns false
  * @param {number} num The number to check
@@ -45,7 +118,113 @@ export const isValidColor = (color) => {
  * @returns {boolean} True if the pattern is valid, false otherwise
  */
 export const isValidPattern = (pattern) => {
-    return ['breton', 'pinstripe'].indexOf(pattern) !== -1;
+    return PATTERNS.indexOf(pattern) !== -1;
+}
+
+/** #### Validates the options passed to the integer encoder or decoder
+ * - `min` defaults to 0 and `max` defaults to 2^32 - 1
+ * - `checksum` defaults to false, and can not be used with the 'extended'
+ *   alphabet, see `getCheckDigit()`
+ * - `key` defaults to null, which means integers are not permuted
+ * - `alphabet` defaults to 'classic'
+ * - `palette` defaults to 'colorblind-safe'. The 'classic' palette has pairs
+ *   of colors which some people can not tell apart, see `checkSceneColors()`
+ * @param {import('./types.js').EncodeOptions} options The options object to validate
+ * @param {string} xpx The name of the function (for error messages)
+ * @param {string} [prefix='options.'] What comes before each option's name
+ *   (for error messages), eg '--' for command line flags
+ * @returns {import('./types.js').EncodeSettings} The options, with defaults applied
+ */
+export const validateEncodeOptions = (options, xpx, prefix = 'options.') => {
+    if (options === null || Array.isArray(options)) throw TypeError(
+        `${xpx} options is '${options === null ? 'null' : 'array'}' not a plain object`);
+    if (typeof options !== 'object') throw TypeError(
+        `${xpx} options is type '${typeof options}' not 'object'`);
+    const {
+        min = 0,
+        max = 2 ** 32 - 1,
+        checksum = false,
+        key = null,
+        alphabet = 'classic',
+        palette = 'colorblind-safe',
+    } = options;
+    if (typeof min !== 'number') throw TypeError(
+        `${xpx} ${prefix}min is type '${typeof min}' not 'number'`);
+    if (!Number.isSafeInteger(min)) throw RangeError(
+        `${xpx} ${prefix}min must be a safe integer`);
+    if (typeof max !== 'number') throw TypeError(
+        `${xpx} ${prefix}max is type '${typeof max}' not 'number'`);
+    if (!Number.isSafeInteger(max)) throw RangeError(
+        `${xpx} ${prefix}max must be a safe integer`);
+    if (min > max) throw RangeError(
+        `${xpx} ${prefix}min must not be greater than ${prefix}max`);
+    if (typeof checksum !== 'boolean') throw TypeError(
+        `${xpx} ${prefix}checksum is type '${typeof checksum}' not 'boolean'`);
+    if (key !== null && typeof key !== 'string') throw TypeError(
+        `${xpx} ${prefix}key is type '${typeof key}' not 'string'`);
+    if (key === '') throw RangeError(
+        `${xpx} ${prefix}key must not be an empty string`);
+    if (typeof alphabet !== 'string') throw TypeError(
+        `${xpx} ${prefix}alphabet is type '${typeof alphabet}' not 'string'`);
+    if (alphabet !== 'classic' && alphabet !== 'extended') throw RangeError(
+        `${xpx} ${prefix}alphabet must be one of 'classic' or 'extended'`);
+    if (typeof palette !== 'string') throw TypeError(
+        `${xpx} ${prefix}palette is type '${typeof palette}' not 'string'`);
+    if (palette !== 'classic' && palette !== 'colorblind-safe') throw RangeError(
+        `${xpx} ${prefix}palette must be one of 'classic' or 'colorblind-safe'`);
+    if (checksum && alphabet === 'extended') throw RangeError(
+        `${xpx} ${prefix}checksum can not be used with the 'extended' alphabet`);
+    return { min, max, checksum, key, alphabet, palette };
+}
+
+/** #### Validates the options passed to the pixel pipeline
+ * - `strategy` defaults to 'shape-first'
+ * - `quality` defaults to 'fast', which mixes colors in sRGB
+ * - `supersample` defaults to 1, which samples each pixel once
+ * @param {import('./types.js').RasterOptions} options The options object to validate
+ * @param {string} xpx The name of the function (for error messages)
+ * @returns {import('./types.js').RasterSettings} The options, with defaults applied
+ */
+export const validateRasterOptions = (options, xpx) => {
+    if (options === null || Array.isArray(options)) throw TypeError(
+        `${xpx} options is '${options === null ? 'null' : 'array'}' not a plain object`);
+    if (typeof options !== 'object') throw TypeError(
+        `${xpx} options is type '${typeof options}' not 'object'`);
+    const { strategy = 'shape-first', quality = 'fast', supersample = 1 } = options;
+    if (typeof strategy !== 'string') throw TypeError(
+        `${xpx} options.strategy is type '${typeof strategy}' not 'string'`);
+    if (RASTER_STRATEGIES.indexOf(strategy) === -1) throw RangeError(
+        `${xpx} options.strategy must be one of 'shape-first' or 'pixel-first'`);
+    if (typeof quality !== 'string') throw TypeError(
+        `${xpx} options.quality is type '${typeof quality}' not 'string'`);
+    if (RASTER_QUALITIES.indexOf(quality) === -1) throw RangeError(
+        `${xpx} options.quality must be one of 'fast' or 'linear-light'`);
+    if (typeof supersample !== 'number') throw TypeError(
+        `${xpx} options.supersample is type '${typeof supersample}' not 'number'`);
+    if (!isIntInRange(supersample, 1, 8)) throw RangeError(
+        `${xpx} options.supersample must be an integer between 1 and 8`);
+    return { strategy, quality, supersample };
+}
+
+/** #### Validates the options passed to `renderSvg()`
+ * - `idPrefix` defaults to null, which lets `renderSvg()` derive a prefix
+ *   from the scene. Otherwise it must be a valid start of an XML ID, so that
+ *   it can be put before each ID in the SVG.
+ * @param {import('./types.js').SvgOptions} options The options object to validate
+ * @param {string} xpx The name of the function (for error messages)
+ * @returns {import('./types.js').SvgSettings} The options, with defaults applied
+ */
+export const validateSvgOptions = (options, xpx) => {
+    if (options === null || Array.isArray(options)) throw TypeError(
+        `${xpx} options is '${options === null ? 'null' : 'array'}' not a plain object`);
+    if (typeof options !== 'object') throw TypeError(
+        `${xpx} options is type '${typeof options}' not 'object'`);
+    const { idPrefix = null } = options;
+    if (idPrefix !== null && typeof idPrefix !== 'string') throw TypeError(
+        `${xpx} options.idPrefix is type '${typeof idPrefix}' not 'string'`);
+    if (idPrefix !== null && !/^[A-Za-z_][\w-]*$/.test(idPrefix)) throw RangeError(
+        `${xpx} options.idPrefix must start with a letter or '_', and contain only letters, digits, '_' and '-'`);
+    return { idPrefix };
 }
 
 /** #### Validates a background object
@@ -53,83 +232,294 @@ export const isValidPattern = (pattern) => {
  * @param {string} xpx The name of the function (for error messages)
  */
 export const validateBackground = (background, xpx) => {
-    if (background === null || Array.isArray(background)) throw TypeError(
-        `${xpx} background is '${background === null ? 'null' : 'array'}' not a plain object`);
-    if (typeof background !== 'object') throw TypeError(
-        `${xpx} background is type '${typeof background}' not 'object'`);
-    if (!isValidColor(background.ink)) throw RangeError(
-        `${xpx} background.ink is not a valid color`);
-    if (!isValidColor(background.paper)) throw RangeError(
-        `${xpx} background.paper is not a valid color`);
-    if (typeof background.pattern !== 'string') throw TypeError(
-        `${xpx} background.pattern is type '${typeof background.pattern}' not 'string'`);
-    if (!isValidPattern(background.pattern)) throw RangeError(
-        `${xpx} background.pattern is not a valid pattern`);
-}
-
-/** #### Validates a shape object
- * @param {import('./types.js').Shape} shape The shape object to validate
+    /** @type {ValidationProblem[]} */
+    const problems = [];
+    collectBackgroundProblems(background, problems);
+    throwFirstProblem(problems, xpx);
+}
+
+/** #### Validates a shape or group object
+ * @param {import('./types.js').Shape|import('./types.js').Group} shape The shape object to validate
  * @param {string} xpx The name of the function (for error messages)
  * @param {number} index The index of the shape in the shapes array (for error messages)
  */
 export const validateShape = (shape, xpx, index) => {
-    // The shape must be a plain object.
-    if (shape === null || Array.isArray(shape)) throw TypeError(
-        `${xpx} shapes[${index}] is '${shape === null ? 'null' : 'array'}' not a plain object`);
-    if (typeof shape !== 'object') throw TypeError(
-        `${xpx} shapes[${index}] is type '${typeof shape}' not 'object'`);
-
-    // `kind` can bs 'circle', 'square', or 'triangle'.
-    if (typeof shape.kind !== 'string') throw TypeError(
-        `${xpx} shapes[${index}].kind is type '${typeof shape.kind}' not 'string'`);
-    if (['circle', 'square', 'triangle'].indexOf(shape.kind) === -1) throw RangeError(
-        `${xpx} shapes[${index}].kind must be one of 'circle', 'square', or 'triangle'`);
-
-    // Validate the size and position.
-    if (typeof shape.size !== 'number') throw TypeError(
-        `${xpx} shapes[${index}].size is type '${typeof shape.size}' not 'number'`);
-    if (!isIntInRange(shape.size, 1, 100)) throw RangeError(
-        `${xpx} shapes[${index}].size must be an integer between 1 and 100`);
-    if (shape.position === null || Array.isArray(shape.position)) throw TypeError(
-        `${xpx} shapes[${index}].position is '${shape.position === null ? 'null' : 'array'}' not a plain object`);
-    if (typeof shape.position !== 'object') throw TypeError(
-        `${xpx} shapes[${index}].position is type '${typeof shape.position}' not 'object'`);
-    if (typeof shape.position.x !== 'number') throw TypeError(
-        `${xpx} shapes[${index}].position.x is type '${typeof shape.position.x}' not 'number'`);
-    if (!isIntInRange(shape.position.x, -1000, 1000)) throw RangeError(
-        `${xpx} shapes[${index}].position.x must be an integer between -1000 and 1000`);
-    if (typeof shape.position.y !== 'number') throw TypeError(
-        `${xpx} shapes[${index}].position.y is type '${typeof shape.position.y}' not 'number'`);
-    if (!isIntInRange(shape.position.y, -1000, 1000)) throw RangeError(
-        `${xpx} shapes[${index}].position.y must be an integer between -1000 and 1000`);
+    /** @type {ValidationProblem[]} */
+    const problems = [];
+    collectShapeProblems(shape, index, problems);
+    throwFirstProblem(problems, xpx);
+}
+
+/** #### Validates a color object, as a background's or shape's colors are validated
+ * @param {Color} color The color object to validate
+ * @param {string} name The name of the color, eg 'color' (for error messages)
+ * @param {string} xpx The name of the function (for error messages)
+ */
+export const validateColor = (color, name, xpx) => {
+    /** @type {ValidationProblem[]} */
+    const problems = [];
+    checkColor(color, name, problems);
+    throwFirstProblem(problems, xpx);
+}
+
+/** Every pattern, as listed in a problem's `expected` */
+const PATTERNS_EXPECTED = `one of ${PATTERNS.map((pattern) => `'${pattern}'`).join(', ')}`;
+
+/** #### Throws the first of a list of problems, if there are any
+ * An 'invalid-type' problem is thrown as a TypeError, and any other problem
+ * as a RangeError.
+ * @param {ValidationProblem[]} problems The problems, which may be empty
+ * @param {string} xpx The name of the function (for error messages)
+ */
+const throwFirstProblem = (problems, xpx) => {
+    if (problems.length === 0) return;
+    const { code, message } = problems[0];
+    if (code === 'invalid-type') throw TypeError(`${xpx} ${message}`);
+    throw RangeError(`${xpx} ${message}`);
+}
+
+/** #### Adds a problem to a list of problems
+ * @param {ValidationProblem[]} problems The list to add to
+ * @param {string} name The name of the value, eg 'shapes[3].strokeWidth'
+ * @param {ValidationCode} code What kind of problem it is
+ * @param {string} expected What the value should have been
+ * @param {unknown} actual The value
+ * @param {string} message What is wrong, after the name
+ */
+const addProblem = (problems, name, code, expected, actual, message) => {
+    // Convert the name to a JSON pointer, eg '/shapes/3/strokeWidth'.
+    const path = `/${name.replace(/\[(\d+)\]/g, '.$1').split('.').join('/')}`;
+    problems.push({ path, code, expected, actual, message: `${name} ${message}` });
+}
+
+/** #### Checks that a value is a plain object
+ * @param {unknown} value The value to check
+ * @param {string} name The name of the value (for problems)
+ * @param {ValidationProblem[]} problems The list to add any problem to
+ * @returns {boolean} True if the value is a plain object, false otherwise
+ */
+const checkPlainObject = (value, name, problems) => {
+    if (value === null || Array.isArray(value)) {
+        addProblem(problems, name, 'invalid-type', 'a plain object', value,
+            `is '${value === null ? 'null' : 'array'}' not a plain object`);
+        return false;
+    }
+    if (typeof value !== 'object') {
+        addProblem(problems, name, 'invalid-type', 'a plain object', value,
+            `is type '${typeof value}' not 'object'`);
+        return false;
+    }
+    return true;
+}
+
+/** #### Checks that a value is a number within a range
+ * @param {unknown} value The value to check
+ * @param {string} name The name of the value (for problems)
+ * @param {boolean} isInt Whether the number must be an integer
+ * @param {number} min The minimum value (inclusive)
+ * @param {number} max The maximum value (inclusive)
+ * @param {ValidationProblem[]} problems The list to add any problem to
+ */
+const checkNumber = (value, name, isInt, min, max, problems) => {
+    const expected = `${isInt ? 'an integer' : 'a number'} between ${min} and ${max}`;
+    if (typeof value !== 'number') return addProblem(problems, name, 'invalid-type', expected, value,
+        `is type '${typeof value}' not 'number'`);
+    if (!(isInt ? isIntInRange(value, min, max) : isFloatInRange(value, min, max))) addProblem(
+        problems, name, 'out-of-range', expected, value, `must be ${expected}`);
+}
+
+/** #### Checks that a value is one of a list of strings
+ * @param {unknown} value The value to check
+ * @param {string} name The name of the value (for problems)
+ * @param {readonly string[]} list The allowed strings
+ * @param {string} expected The allowed strings, as they are written in messages
+ * @param {ValidationProblem[]} problems The list to add any problem to
+ * @param {string} [message] What is wrong if the string is not allowed
+ */
+const checkOneOf = (value, name, list, expected, problems, message = `must be ${expected}`) => {
+    if (typeof value !== 'string') return addProblem(problems, name, 'invalid-type', expected, value,
+        `is type '${typeof value}' not 'string'`);
+    if (list.indexOf(value) === -1) addProblem(
+        problems, name, 'invalid-value', expected, value, message);
+}
+
+/** #### Checks that a color is valid, and not null or an array
+ * @param {unknown} color The color to check
+ * @param {string} name The name of the color (for problems)
+ * @param {ValidationProblem[]} problems The list to add any problem to
+ */
+const checkColor = (color, name, problems) => {
+    const expected = 'a color, with red, green and blue integers between 0 and 255';
+    if (color === null || Array.isArray(color)) return addProblem(problems, name, 'invalid-type', expected, color,
+        `is '${color === null ? 'null' : 'array'}' not a plain object`);
+    if (!isValidColor(/** @type {Color} */ (color))) addProblem(
+        problems, name, 'invalid-value', expected, color, 'is not a valid color');
+}
+
+/** #### Collects every problem with a background object
+ * @param {import('./types.js').Background} background The background object to check
+ * @param {ValidationProblem[]} problems The list to add problems to
+ */
+export const collectBackgroundProblems = (background, problems) => {
+    if (!checkPlainObject(background, 'background', problems)) return;
+
+    // `ink` and `paper` must be valid colors.
+    const expected = 'a color, with red, green and blue integers between 0 and 255';
+    if (!isValidColor(background.ink)) addProblem(problems, 'background.ink', 'invalid-value', expected,
+        background.ink, 'is not a valid color');
+    if (!isValidColor(background.paper)) addProblem(problems, 'background.paper', 'invalid-value', expected,
+        background.paper, 'is not a valid color');
+
+    // `pattern` must be one of PATTERNS, with an optional stripe width.
+    checkOneOf(background.pattern, 'background.pattern', PATTERNS, PATTERNS_EXPECTED, problems,
+        'is not a valid pattern');
+    collectStripeWidthProblems(background, 'background', problems);
+}
+
+/** #### Collects every problem with a shape or group object
+ * @param {import('./types.js').Shape|import('./types.js').Group} shape The shape object to check
+ * @param {number} index The index of the shape in the shapes array
+ * @param {ValidationProblem[]} problems The list to add problems to
+ */
+export const collectShapeProblems = (shape, index, problems) => {
+    const name = `shapes[${index}]`;
+
+    // The shape must have a valid outline, which may be a group's outline.
+    if (!collectOutlineProblems(shape, name, 0, problems)) return;
 
     // `ink` and `paper` must be valid colors.
-    if (shape.ink === null || Array.isArray(shape.ink)) throw TypeError(
-        `${xpx} shapes[${index}].ink is '${shape.ink === null ? 'null' : 'array'}' not a plain object`);
-    if (!isValidColor(shape.ink)) throw RangeError(
-        `${xpx} shapes[${index}].ink is not a valid color`);
-    if (shape.paper === null || Array.isArray(shape.paper)) throw TypeError(
-        `${xpx} shapes[${index}].paper is '${shape.paper === null ? 'null' : 'array'}' not a plain object`);
-    if (!isValidColor(shape.paper)) throw RangeError(
-        `${xpx} shapes[${index}].paper is not a valid color`);
-
-    // `pattern` can be 'breton' or 'pinstripe'.
-    if (typeof shape.pattern !== 'string') throw TypeError(
-        `${xpx} shapes[${index}].pattern is type '${typeof shape.pattern}' not 'string'`);
-    if (!isValidPattern(shape.pattern)) throw RangeError(
-        `${xpx} shapes[${index}].pattern is not a valid pattern`);
+    checkColor(shape.ink, `${name}.ink`, problems);
+    checkColor(shape.paper, `${name}.paper`, problems);
+
+    // `pattern` must be one of PATTERNS, with an optional stripe width.
+    checkOneOf(shape.pattern, `${name}.pattern`, PATTERNS, PATTERNS_EXPECTED, problems,
+        'is not a valid pattern');
+    collectStripeWidthProblems(shape, name, problems);
 
     // Validate the three stroke properties.
-    if (typeof shape.strokeWidth !== 'number') throw TypeError(
-        `${xpx} shapes[${index}].strokeWidth is type '${typeof shape.strokeWidth}' not 'number'`);
-    if (!isFloatInRange(shape.strokeWidth, 0, 10)) throw RangeError(
-        `${xpx} shapes[${index}].strokeWidth must be a number between 0 and 10`);
-    if (typeof shape.strokePosition !== 'string') throw TypeError(
-        `${xpx} shapes[${index}].strokePosition is type '${typeof shape.strokePosition}' not 'string'`);
-    if (['inside', 'center', 'outside'].indexOf(shape.strokePosition) === -1) throw RangeError(
-        `${xpx} shapes[${index}].strokePosition must be one of 'inside', 'center', or 'outside'`);
-    if (shape.strokeColor === null || Array.isArray(shape.strokeColor)) throw TypeError(
-        `${xpx} shapes[${index}].strokeColor is '${shape.strokeColor === null ? 'null' : 'array'}' not a plain object`);
-    if (!isValidColor(shape.strokeColor)) throw RangeError(
-        `${xpx} shapes[${index}].strokeColor is not a valid color`);
+    checkNumber(shape.strokeWidth, `${name}.strokeWidth`, false, 0, 10, problems);
+    checkOneOf(shape.strokePosition, `${name}.strokePosition`, ['inside', 'center', 'outside'],
+        `one of 'inside', 'center', or 'outside'`, problems);
+    checkColor(shape.strokeColor, `${name}.strokeColor`, problems);
+
+    // The optional opacity and blend mode change how the shape is drawn over
+    // the shapes beneath it.
+    if (typeof shape.opacity !== 'undefined') {
+        checkNumber(shape.opacity, `${name}.opacity`, false, 0, 1, problems);
+    }
+    if (typeof shape.blendMode !== 'undefined') {
+        checkOneOf(shape.blendMode, `${name}.blendMode`, BLEND_MODES,
+            `one of 'normal', 'multiply', 'screen', 'overlay', or 'difference'`, problems);
+    }
+}
+
+/** #### Collects any problems with the optional stripe width of a pattern
+ * Without a stripe width, a pattern's stripes, squares and dots are one
+ * pixel across. Gradients do not have stripes.
+ * @param {import('./types.js').Background} fill The background or shape to check
+ * @param {string} name The name of the fill, eg 'background' (for problems)
+ * @param {ValidationProblem[]} problems The list to add problems to
+ */
+const collectStripeWidthProblems = (fill, name, problems) => {
+    if (typeof fill.stripeWidth === 'undefined') return;
+    if (fill.pattern === 'linear-gradient' || fill.pattern === 'radial-gradient') return addProblem(
+        problems, `${name}.stripeWidth`, 'not-allowed', 'not set, on a gradient', fill.stripeWidth,
+        'can not be set on a gradient');
+    checkNumber(fill.stripeWidth, `${name}.stripeWidth`, false, 0.05, 10, problems);
+}
+
+/** #### Collects every problem with the outline of a shape, or of a group and its children
+ * @param {import('./types.js').Outline|import('./types.js').GroupOutline} outline The outline to check
+ * @param {string} name The name of the outline, eg 'shapes[0].children[1]' (for problems)
+ * @param {number} depth How many groups the outline is nested inside
+ * @param {ValidationProblem[]} problems The list to add problems to
+ * @returns {boolean} False if the outline is not an object, so nothing else about it can be checked
+ */
+const collectOutlineProblems = (outline, name, depth, problems) => {
+    // The outline must be a plain object.
+    if (!checkPlainObject(outline, name, problems)) return false;
+
+    // `kind` can be 'circle', 'square', 'triangle', 'hexagon', 'star',
+    // 'rounded-square', 'ellipse', 'ring', 'cross' or 'group'.
+    const kind = /** @type {unknown} */ (outline.kind);
+    const kinds = `one of ${SHAPE_KINDS.map((kind) => `'${kind}'`).join(', ')}, 'group'`;
+    if (typeof kind !== 'string') {
+        addProblem(problems, `${name}.kind`, 'invalid-type', kinds, kind,
+            `is type '${typeof kind}' not 'string'`);
+    } else if (outline.kind === 'group') {
+        collectGroupOutlineProblems(outline, name, depth, problems);
+    } else {
+        if (SHAPE_KINDS.indexOf(outline.kind) === -1) addProblem(
+            problems, `${name}.kind`, 'invalid-value', kinds, kind, `must be ${kinds}`);
+
+        // A star can have an optional number of points.
+        if (typeof outline.points !== 'undefined') {
+            if (outline.kind !== 'star') {
+                addProblem(problems, `${name}.points`, 'not-allowed', 'not set, except on a star',
+                    outline.points, 'can only be set on a star');
+            } else {
+                checkNumber(outline.points, `${name}.points`, true, 3, 12, problems);
+            }
+        }
+
+        // Validate the size. A group's size comes from its children.
+        checkNumber(outline.size, `${name}.size`, true, 1, 100, problems);
+    }
+
+    // Validate the position.
+    if (checkPlainObject(outline.position, `${name}.position`, problems)) {
+        checkNumber(outline.position.x, `${name}.position.x`, true, -1000, 1000, problems);
+        checkNumber(outline.position.y, `${name}.position.y`, true, -1000, 1000, problems);
+    }
+
+    // The optional rotation is in degrees, clockwise, and the optional scale
+    // stretches the shape along its own x and y axes before it is rotated.
+    if (typeof outline.rotation !== 'undefined') {
+        checkNumber(outline.rotation, `${name}.rotation`, false, -360, 360, problems);
+    }
+    if (typeof outline.scale !== 'undefined' && checkPlainObject(outline.scale, `${name}.scale`, problems)) {
+        checkNumber(outline.scale.x, `${name}.scale.x`, false, 0.1, 10, problems);
+        checkNumber(outline.scale.y, `${name}.scale.y`, false, 0.1, 10, problems);
+    }
+    return true;
+}
+
+/** #### Collects every problem with the operation and children of a group's outline
+ * @param {import('./types.js').GroupOutline} group The group's outline to check
+ * @param {string} name The name of the group, eg 'shapes[0]' (for problems)
+ * @param {number} depth How many groups the group is nested inside
+ * @param {ValidationProblem[]} problems The list to add problems to
+ */
+const collectGroupOutlineProblems = (group, name, depth, problems) => {
+    // Groups can be nested, but not so deeply that a cycle of objects which
+    // contain each other recurses forever.
+    if (depth > MAX_GROUP_DEPTH) return addProblem(problems, name, 'too-deep',
+        `nested inside at most ${MAX_GROUP_DEPTH} groups`, depth,
+        `is nested inside more than ${MAX_GROUP_DEPTH} groups`);
+
+    // `operation` can be 'union', 'subtract', 'intersect' or 'smooth-union'.
+    checkOneOf(group.operation, `${name}.operation`, GROUP_OPERATIONS,
+        `one of 'union', 'subtract', 'intersect', or 'smooth-union'`, problems);
+
+    // A smooth union can have an optional smoothness, in world units.
+    if (typeof group.smoothness !== 'undefined') {
+        if (group.operation !== 'smooth-union') {
+            addProblem(problems, `${name}.smoothness`, 'not-allowed', `not set, except on a 'smooth-union' group`,
+                group.smoothness, `can only be set on a 'smooth-union' group`);
+        } else {
+            checkNumber(group.smoothness, `${name}.smoothness`, false, 0, 10, problems);
+        }
+    }
+
+    // Check each child, which may be another group.
+    const expected = `an array of between 1 and ${MAX_GROUP_CHILDREN} outlines`;
+    if (group.children === null) return addProblem(problems, `${name}.children`, 'invalid-type', expected,
+        group.children, 'is null not an array');
+    if (!Array.isArray(group.children)) return addProblem(problems, `${name}.children`, 'invalid-type', expected,
+        group.children, `is type '${typeof group.children}' not 'array'`);
+    if (!isIntInRange(group.children.length, 1, MAX_GROUP_CHILDREN)) addProblem(
+        problems, `${name}.children`, 'out-of-range', expected, group.children,
+        `must have between 1 and ${MAX_GROUP_CHILDREN} items`);
+    group.children.slice(0, MAX_GROUP_CHILDREN).forEach((child, i) =>
+        collectOutlineProblems(child, `${name}.children[${i}]`, depth + 1, problems));
 }
@@ -0,0 +1,46 @@
+import {
+    collectBackgroundProblems,
+    collectShapeProblems,
+} from './validate-args.js';
+
+/**
+ * @typedef {import('./types.js').Background} Background
+ * @typedef {import('./types.js').Group} Group
+ * @typedef {import('./types.js').Shape} Shape
+ * @typedef {import('./types.js').ValidationProblem} ValidationProblem
+ */
+
+/** #### Finds every problem with a scene, without throwing
+ * The renderers throw a TypeError or RangeError for the first problem they
+ * find. This finds them all at once, so a scene editor or API can show them
+ * together. Each problem has:
+ * - `path`, a JSON pointer to the value, eg '/shapes/3/strokeWidth'
+ * - `code`, one of 'invalid-type', 'invalid-value', 'out-of-range',
+ *   'not-allowed' or 'too-deep'
+ * - `expected`, what the value should be, eg 'a number between 0 and 10'
+ * - `actual`, the value itself
+ * - `message`, the message that a renderer would throw, without its prefix
+ *
+ * Problems are in the order the renderers check for them, so the first is
+ * the one they would throw. Nothing inside a value which is not an object is
+ * checked, so fixing a problem can reveal others.
+ * @param {Background} background The scene's background
+ * @param {(Shape|Group)[]} shapes The scene's shapes and groups
+ * @returns {ValidationProblem[]} Every problem, or an empty array if the scene is valid
+ */
+export const validateScene = (background, shapes) => {
+    /** @type {ValidationProblem[]} */
+    const problems = [];
+    collectBackgroundProblems(background, problems);
+    const expected = 'an array of shapes and groups';
+    if (shapes === null) {
+        problems.push({ path: '/shapes', code: 'invalid-type', expected, actual: shapes,
+            message: 'shapes is null not an array' });
+    } else if (!Array.isArray(shapes)) {
+        problems.push({ path: '/shapes', code: 'invalid-type', expected, actual: shapes,
+            message: `shapes is type '${typeof shapes}' not 'array'` });
+    } else {
+        shapes.forEach((shape, i) => collectShapeProblems(shape, i, problems));
+    }
+    return problems;
+}
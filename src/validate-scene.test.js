@@ -0,0 +1,109 @@
+import { throws, deepStrictEqual as eq } from 'node:assert/strict';
+import { encodeIntegerToScene } from './encode-integer.js';
+import { renderSvg } from './render-svg.js';
+import { validateScene } from './validate-scene.js';
+
+const xpx = 'validateScene()';
+
+/**
+ * @typedef {import('./types.js').Background} Background
+ * @typedef {import('./types.js').Group} Group
+ * @typedef {import('./types.js').Shape} Shape
+ */
+
+const { background: validBg, shapes: validShapes } = encodeIntegerToScene(123456789);
+const [ validShape0, validShape1 ] = validShapes;
+
+
+// Valid scenes have no problems.
+
+eq(validateScene(validBg, []), []);
+eq(validateScene(validBg, validShapes), []);
+eq(validateScene(validBg, [ /** @type {Group} */ ({ ...validShape0, kind: 'group', operation: 'union', children: [ validShape1 ] }) ]), []);
+
+
+// Every problem is listed, with a path, code, expected range and actual value.
+
+const badShapes = /** @type {any[]} */ ([
+    validShape0,
+    { ...validShape1, size: 0, strokeWidth: 20, strokePosition: 'around', opacity: '1' },
+    null,
+    { ...validShape0, kind: 'star', points: 2, ink: { red: 300, green: 0, blue: 0 }, position: { x: 0.5, y: 2000 } },
+]);
+const problems = validateScene({ ...validBg, pattern: /** @type {any} */ ('tartan') }, badShapes);
+eq(problems.map(({ path, code }) => `${path} ${code}`), [
+    '/background/pattern invalid-value',
+    '/shapes/1/size out-of-range',
+    '/shapes/1/strokeWidth out-of-range',
+    '/shapes/1/strokePosition invalid-value',
+    '/shapes/1/opacity invalid-type',
+    '/shapes/2 invalid-type',
+    '/shapes/3/points out-of-range',
+    '/shapes/3/position/x out-of-range',
+    '/shapes/3/position/y out-of-range',
+    '/shapes/3/ink invalid-value',
+]);
+eq(problems[2], {
+    path: '/shapes/1/strokeWidth',
+    code: 'out-of-range',
+    expected: 'a number between 0 and 10',
+    actual: 20,
+    message: 'shapes[1].strokeWidth must be a number between 0 and 10',
+});
+eq(problems[0].expected, `one of 'breton', 'pinstripe', 'checkerboard', 'diagonal', 'dots', 'linear-gradient', 'radial-gradient'`);
+eq(problems[0].actual, 'tartan');
+eq(problems[3].expected, `one of 'inside', 'center', or 'outside'`);
+eq(problems[4].actual, '1');
+eq(problems[5].message, `shapes[2] is 'null' not a plain object`);
+
+// The first problem is the one that the throwing validators report.
+throws(() => renderSvg(10, 10, { ...validBg, pattern: /** @type {any} */ ('tartan') }, badShapes),
+    { name: 'RangeError', message: `renderSvg() ${problems[0].message}` });
+throws(() => renderSvg(10, 10, validBg, badShapes), { name: 'RangeError', message: `renderSvg() ${problems[1].message}` });
+throws(() => renderSvg(10, 10, validBg, [ validShape0, validShape1, badShapes[2] ]), { name: 'TypeError', message: `renderSvg() ${problems[5].message}` });
+
+
+// Backgrounds and shapes arrays which are not objects.
+
+eq(validateScene(/** @type {any} */ (null), /** @type {any} */ ('shapes')), [
+    { path: '/background', code: 'invalid-type', expected: 'a plain object', actual: null, message: `background is 'null' not a plain object` },
+    { path: '/shapes', code: 'invalid-type', expected: 'an array of shapes and groups', actual: 'shapes', message: `shapes is type 'string' not 'array'` },
+]);
+eq(validateScene(validBg, /** @type {any} */ (null)).map(({ message }) => message), [ 'shapes is null not an array' ]);
+eq(validateScene({ ...validBg, pattern: 'linear-gradient', stripeWidth: 1 }, []).map(({ path, code }) => `${path} ${code}`),
+    [ '/background/stripeWidth not-allowed' ]);
+
+
+// Groups and their children.
+
+/** @type {any} */
+const badGroup = {
+    ...validShape0,
+    kind: 'group',
+    operation: 'union',
+    smoothness: 1,
+    children: [
+        { kind: 'circle', size: 1, position: { x: 0, y: 0 }, points: 5 },
+        { kind: 'blob', size: 1, position: { x: 0, y: 0 } },
+        { kind: 'group', operation: 'intersect', position: { x: 0, y: 0 }, children: [] },
+        { kind: 'square', size: 1, position: { x: 0, y: 0 }, scale: { x: 0, y: 20 } },
+    ],
+};
+eq(validateScene(validBg, [ badGroup ]).map(({ path, code }) => `${path} ${code}`), [
+    '/shapes/0/smoothness not-allowed',
+    '/shapes/0/children/0/points not-allowed',
+    '/shapes/0/children/1/kind invalid-value',
+    '/shapes/0/children/2/children out-of-range',
+    '/shapes/0/children/3/scale/x out-of-range',
+    '/shapes/0/children/3/scale/y out-of-range',
+]);
+
+// A group which contains itself is only followed so far.
+/** @type {any} */
+const loop = { kind: 'group', operation: 'union', position: { x: 0, y: 0 }, children: [] };
+loop.children.push(loop);
+eq(validateScene(validBg, [ { ...validShape0, ...loop } ]).map(({ path, code, actual }) => `${path} ${code} ${actual}`), [
+    '/shapes/0/children/0/children/0/children/0/children/0/children/0/children/0/children/0/children/0/children/0 too-deep 9',
+]);
+
+console.log(`All ${xpx} tests passed!`);
@@ -1 +1,16 @@
+import './src/sdf-and-aabb.test.js';
+import './src/color.test.js';
 import './src/render-ansi.test.js';
+import './src/detect-color-depth.test.js';
+import './src/encode-integer.test.js';
+import './src/decode-scene.test.js';
+import './src/name-codec.test.js';
+import './src/keyed-permutation.test.js';
+import './src/render-svg.test.js';
+import './src/render-html.test.js';
+import './src/rasterize.test.js';
+import './src/render-png.test.js';
+import './src/validate-scene.test.js';
+import './src/scene-document.test.js';
+import './src/illustrated-number-element.test.js';
+import './src/cli.test.js';